@@ -0,0 +1,203 @@
+/**
+ * BPSR Tools capture agent
+ *
+ * Runs only the capture and TCP reassembly parts of the sniffer and forwards
+ * game packets over a websocket to a BPSR Tools server started with
+ * `--source agent`, which decodes them and serves the UI, sessions and Sheets sync.
+ *
+ * Usage:
+ *   node agent.js ws://<server>:8989/agent [--source <spec>] [--realtime] [--token <token>]
+ *
+ * --source accepts the same specs as server.js (device index, stdin, tcp://, file).
+ * The token can also be given through the BPSR_AGENT_TOKEN environment variable.
+ */
+const path = require("path");
+const WebSocket = require("ws");
+
+const Sniffer = require(
+  path.join(__dirname, "src", "server", "service", "sniffer"),
+);
+const { createCaptureSource } = require(
+  path.join(__dirname, "src", "server", "service", "captureSources"),
+);
+const { DEFAULT_SETTINGS } = require(
+  path.join(__dirname, "src", "server", "utilities", "settings"),
+);
+const packageJson = require(path.join(__dirname, "package.json"));
+
+const RECONNECT_DELAY = 5000;
+const MAX_BUFFERED_BYTES = 16 * 1024 * 1024; // Drop packets rather than queue unbounded while the link is slow
+
+const logger = {
+  info: (msg) => console.log(`[Agent] ${msg}`),
+  error: (msg) => console.error(`[Agent] ${msg}`),
+  warn: (msg) => console.warn(`[Agent] ${msg}`),
+  debug: (msg) => {}, // Suppress debug logs
+};
+
+/**
+ * Websocket link to the BPSR Tools server, reconnecting until the agent exits
+ */
+class AgentConnection {
+  constructor(url, { token, source }) {
+    this.url = url;
+    this.token = token;
+    this.source = source;
+    this.ws = null;
+    this.currentServer = null; // Replayed after reconnecting
+    this.sent = 0;
+    this.dropped = 0;
+    // Resolves on the first successful connection
+    this.opened = new Promise((resolve) => (this._resolveOpened = resolve));
+  }
+
+  connect() {
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on("open", () => {
+      logger.info(`Connected to ${this.url}`);
+      this._resolveOpened();
+      this._send(
+        JSON.stringify({
+          type: "hello",
+          token: this.token,
+          version: packageJson.version,
+          source: this.source.name,
+        }),
+      );
+      if (this.currentServer) {
+        this._send(
+          JSON.stringify({ type: "server-change", server: this.currentServer }),
+        );
+      }
+    });
+
+    ws.on("close", (code, reason) => {
+      if (this.ws !== ws) return;
+      logger.warn(
+        `Disconnected from server (${code}${reason.length ? `: ${reason}` : ""}), retrying in ${RECONNECT_DELAY / 1000}s`,
+      );
+      this.ws = null;
+      setTimeout(() => this.connect(), RECONNECT_DELAY);
+    });
+
+    ws.on("error", (error) => {
+      // A close event always follows, which schedules the reconnect
+      logger.debug(`Connection error: ${error.message}`);
+    });
+  }
+
+  /**
+   * Forward a reassembled game packet
+   * @param {Buffer} packet
+   */
+  sendPacket(packet) {
+    if (!this._send(packet)) {
+      this.dropped++;
+      return;
+    }
+    this.sent++;
+  }
+
+  /**
+   * Tell the server the game connection moved to another server
+   * @param {string} server - Connection key ("ip:port -> ip:port")
+   */
+  sendServerChange(server) {
+    this.currentServer = server;
+    this._send(JSON.stringify({ type: "server-change", server }));
+  }
+
+  _send(data) {
+    const ws = this.ws;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) return false;
+    ws.send(data);
+    return true;
+  }
+}
+
+/**
+ * Sniffer that forwards game packets instead of decoding them locally
+ */
+class AgentSniffer extends Sniffer {
+  constructor(connection) {
+    super(logger, null, { ...DEFAULT_SETTINGS });
+    this.connection = connection;
+  }
+
+  dispatchPacket(packet) {
+    this.connection.sendPacket(packet);
+  }
+
+  handleServerChange(src_server) {
+    logger.info(`Game server detected: ${src_server}`);
+    this.connection.sendServerChange(src_server);
+  }
+}
+
+/**
+ * Value of a `--flag <value>` command line option
+ * @param {string[]} argv
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function getOption(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 ? argv[index + 1] : undefined;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const url = argv[0];
+  if (!url || !/^wss?:\/\//.test(url)) {
+    console.error(
+      "Usage: node agent.js ws://<server>:8989/agent [--source <spec>] [--realtime] [--token <token>]",
+    );
+    process.exit(1);
+  }
+
+  const source = createCaptureSource(getOption(argv, "--source"), {
+    logger,
+    realtime: argv.includes("--realtime"),
+  });
+  const connection = new AgentConnection(url, {
+    token: getOption(argv, "--token") || process.env.BPSR_AGENT_TOKEN || null,
+    source,
+  });
+  if (!connection.token) {
+    logger.warn(
+      "No token given, the server rejects agents without the token it logged at startup",
+    );
+  }
+  const sniffer = new AgentSniffer(connection);
+
+  // Packets captured before the server is reachable would only be dropped
+  connection.connect();
+  await connection.opened;
+
+  try {
+    await sniffer.start(source, null, {
+      onComplete: ({ frames, skipped, elapsed }) => {
+        logger.info(
+          `Capture source ${source.name} finished: ${frames} frames, ${skipped} skipped in ${(elapsed / 1000).toFixed(1)}s (${connection.sent} packets sent, ${connection.dropped} dropped)`,
+        );
+      },
+    });
+  } catch (error) {
+    logger.error(`Error starting capture: ${error.message}`);
+    process.exit(1);
+  }
+
+  logger.info(`Capturing from ${source.name}, press Ctrl+C to stop`);
+
+  process.on("SIGINT", () => {
+    logger.info(
+      `Stopping (${connection.sent} packets sent, ${connection.dropped} dropped)`,
+    );
+    process.exit(0);
+  });
+}
+
+main();
@@ -8,11 +8,12 @@ import { Sidebar } from '@components/Sidebar';
 import type { MenuItem } from '@components/Sidebar';
 import { router } from '@shared/router';
 import { $, setTheme } from '@shared/uiHelpers';
+import { createSocketManager } from '@shared/socketManager';
 import { WINDOW, ZOOM } from '@shared/constants';
 import type { Theme } from '@app-types/index';
 
 // Import route views
-import { Gui, Cli, Settings, SessionsView, SessionDetail } from '@views/index';
+import { Gui, Cli, Settings, SessionsView, SessionDetail, Inspector } from '@views/index';
 
 class App {
   private header?: Header;
@@ -20,6 +21,7 @@ class App {
   private contentArea?: HTMLElement;
   private currentView?: any;
   private sheetsConfigured: boolean = false;
+  private inspectorEnabled: boolean = false;
 
   constructor() {
     this.init();
@@ -34,6 +36,7 @@ class App {
 
     // Load settings (theme and sidebar state)
     const settings = await this.loadSettings();
+    this.inspectorEnabled = settings.inspectorEnabled;
 
     // Check if Google Sheets is configured
     await this.checkSheetsConfigured();
@@ -43,6 +46,7 @@ class App {
 
     // Initialize header
     this.initHeader();
+    this.initCaptureHealth();
 
     // Register routes
     this.registerRoutes();
@@ -120,16 +124,25 @@ class App {
       onSidebarToggle: () => this.handleSidebarToggle(),
       onClose: () => this.handleClose(),
       isElectron,
+      showCaptureHealth: true,
     });
   }
 
   /**
-   * Initialize sidebar component
+   * Keep the header capture health badge updated from the server
    */
-  private initSidebar(initialCollapsed: boolean): void {
-    const sidebarContainer = $('#app-sidebar');
-    if (!sidebarContainer) return;
+  private initCaptureHealth(): void {
+    const socket = createSocketManager();
+    socket.on({
+      onCaptureStats: (stats) => this.header?.setCaptureHealth(stats),
+      onDisconnect: () => this.header?.setCaptureHealth(null),
+    });
+  }
 
+  /**
+   * Sidebar menu items for the current configuration
+   */
+  private getMenuItems(): MenuItem[] {
     const menuItems: MenuItem[] = [
       {
         id: 'dpsmeter',
@@ -155,6 +168,16 @@ class App {
       });
     }
 
+    // Add Inspector above Settings if the protocol inspector is enabled
+    if (this.inspectorEnabled) {
+      menuItems.push({
+        id: 'inspector',
+        label: 'Inspector',
+        icon: 'fa-solid fa-microscope',
+        route: '/inspector',
+      });
+    }
+
     // Settings always at the bottom
     menuItems.push({
       id: 'settings',
@@ -163,8 +186,18 @@ class App {
       route: '/settings',
     });
 
+    return menuItems;
+  }
+
+  /**
+   * Initialize sidebar component
+   */
+  private initSidebar(initialCollapsed: boolean): void {
+    const sidebarContainer = $('#app-sidebar');
+    if (!sidebarContainer) return;
+
     this.sidebar = new Sidebar(sidebarContainer, {
-      items: menuItems,
+      items: this.getMenuItems(),
       initialCollapsed,
       onToggle: (collapsed) => this.saveSidebarState(collapsed),
     });
@@ -199,6 +232,12 @@ class App {
       });
     }, 'CLI');
 
+    router.register('/inspector', async () => {
+      await this.loadView('inspector', () => {
+        this.currentView = new Inspector(this.contentArea!);
+      });
+    }, 'Inspector');
+
     router.register('/settings', async () => {
       await this.loadView('settings', () => {
         this.currentView = new Settings(this.contentArea!);
@@ -261,7 +300,7 @@ class App {
   /**
    * Load settings from settings API
    */
-  private async loadSettings(): Promise<{ theme: Theme; sidebarCollapsed: boolean; lastRoute: string; windowOpacity?: number }> {
+  private async loadSettings(): Promise<{ theme: Theme; sidebarCollapsed: boolean; lastRoute: string; windowOpacity?: number; inspectorEnabled: boolean }> {
     try {
       const response = await fetch('/api/settings');
       const result = await response.json();
@@ -272,6 +311,7 @@ class App {
         sidebarCollapsed: settings.sidebarCollapsed ?? false,
         lastRoute: settings.lastRoute || '/dpsmeter',
         windowOpacity: settings.windowOpacity,
+        inspectorEnabled: settings.protocolInspector?.enabled === true,
       };
     } catch (error) {
       console.error('[App] Error loading settings:', error);
@@ -279,6 +319,7 @@ class App {
         theme: 'dark',
         sidebarCollapsed: false,
         lastRoute: '/dpsmeter',
+        inspectorEnabled: false,
       };
     }
   }
@@ -301,52 +342,19 @@ class App {
   }
 
   /**
-   * Refresh sidebar menu items (re-checks sheets config)
-   * Called when sheets configuration changes
+   * Refresh sidebar menu items (re-checks sheets config and the inspector setting)
+   * Called when sheets configuration changes or the protocol inspector is toggled
    */
   public async refreshSidebar(): Promise<void> {
     console.log('[App] Refreshing sidebar...');
 
-    // Re-check sheets configuration
+    // Re-check sheets configuration and the protocol inspector setting
     await this.checkSheetsConfigured();
-
-    // Rebuild menu items
-    const menuItems: MenuItem[] = [
-      {
-        id: 'dpsmeter',
-        label: 'dpsmeter',
-        icon: 'fa-solid fa-gauge-high',
-        route: '/dpsmeter',
-      },
-      {
-        id: 'sessions',
-        label: 'Sessions',
-        icon: 'fa-solid fa-clock-rotate-left',
-        route: '/sessions',
-      },
-    ];
-
-    // Add CLI above Settings if sheets configured
-    if (this.sheetsConfigured) {
-      menuItems.push({
-        id: 'cli',
-        label: 'CLI',
-        icon: 'fa-solid fa-terminal',
-        route: '/cli',
-      });
-    }
-
-    // Settings always at the bottom
-    menuItems.push({
-      id: 'settings',
-      label: 'Settings',
-      icon: 'fa-solid fa-gear',
-      route: '/settings',
-    });
+    this.inspectorEnabled = (await this.loadSettings()).inspectorEnabled;
 
     // Update sidebar with new items
     if (this.sidebar) {
-      this.sidebar.setItems(menuItems);
+      this.sidebar.setItems(this.getMenuItems());
       console.log('[App] Sidebar refreshed, sheets configured:', this.sheetsConfigured);
     }
   }
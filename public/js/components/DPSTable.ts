@@ -3,7 +3,7 @@
  * Manages the display of player DPS/HPS bars in both lite and advanced modes
  */
 
-import type { CombatData, ViewMode, LiteModeType } from '@app-types/index';
+import type { CombatData, ViewMode, LiteModeType, DPSTableColumns } from '@app-types/index';
 import { formatStat, getProfessionName } from '@shared/dataFormatter';
 import { PLAYER_COLORS, STAT_COLORS, HEALTH_COLORS } from '@shared/constants';
 
@@ -11,6 +11,7 @@ export interface DPSTableOptions {
   container: HTMLElement;
   viewMode?: ViewMode;
   liteModeType?: LiteModeType;
+  optionalColumns?: DPSTableColumns;
   onSkillAnalysisClick?: (uid: string) => void;
 }
 
@@ -28,6 +29,7 @@ export class DPSTable {
   private container: HTMLElement;
   private viewMode: ViewMode;
   private liteModeType: LiteModeType;
+  private optionalColumns: DPSTableColumns;
   private onSkillAnalysisClick?: (uid: string) => void;
   private playerBars: Map<string, HTMLElement> = new Map();
 
@@ -35,6 +37,7 @@ export class DPSTable {
     this.container = options.container;
     this.viewMode = options.viewMode || 'advanced';
     this.liteModeType = options.liteModeType || 'dps';
+    this.optionalColumns = options.optionalColumns || {};
     this.onSkillAnalysisClick = options.onSkillAnalysisClick;
 
     this.setupEventListeners();
@@ -302,11 +305,40 @@ export class DPSTable {
               </div>
             </div>
           </div>
+          ${this.renderOptionalColumns(player)}
         </div>
       </div>
     `;
   }
 
+  /**
+   * Render the optional stats column of an advanced bar, empty if none is enabled
+   */
+  private renderOptionalColumns(player: EnrichedCombatData): string {
+    const rows: string[] = [];
+    if (this.optionalColumns.effectiveDamage) {
+      rows.push(`
+              <div class="additional-stat-row" title="Effective damage (without shield absorbs and overkill)">
+                <span class="additional-stat-icon" style="font-weight: bold;">EFF</span>
+                <span class="additional-stat-value" data-stat="effectiveDamage">${formatStat(player.effectiveDamage || 0)}</span>
+              </div>`);
+    }
+    if (this.optionalColumns.overkill) {
+      rows.push(`
+              <div class="additional-stat-row" title="Overkill (damage of killing blows beyond the remaining HP)">
+                <span class="additional-stat-icon" style="font-weight: bold;">OK</span>
+                <span class="additional-stat-value" data-stat="overkillDamage">${formatStat(player.overkillDamage || 0)}</span>
+              </div>`);
+    }
+    if (rows.length === 0) return '';
+
+    return `
+          <div class="column additional-stats-col optional-stats-col">
+            <div class="additional-stats-group">${rows.join('')}
+            </div>
+          </div>`;
+  }
+
   /**
    * Update lite bar values
    */
@@ -466,6 +498,12 @@ export class DPSTable {
     if (additionalStats[1]) additionalStats[1].textContent = formatStat(player.fightPoint || 0);
     if (additionalStats[2]) additionalStats[2].textContent = formatStat(player.totalDamage?.total || 0);
     if (additionalStats[3]) additionalStats[3].textContent = formatStat(player.totalHealing?.total || 0);
+
+    // Update optional stats
+    const effectiveDamageEl = bar.querySelector('[data-stat="effectiveDamage"]') as HTMLElement;
+    const overkillEl = bar.querySelector('[data-stat="overkillDamage"]') as HTMLElement;
+    if (effectiveDamageEl) effectiveDamageEl.textContent = formatStat(player.effectiveDamage || 0);
+    if (overkillEl) overkillEl.textContent = formatStat(player.overkillDamage || 0);
   }
 
   /**
@@ -528,6 +566,15 @@ export class DPSTable {
     this.liteModeType = type;
   }
 
+  /**
+   * Set the optional columns of advanced bars
+   * Existing bars are recreated with the next update
+   */
+  public setOptionalColumns(columns: DPSTableColumns): void {
+    this.optionalColumns = columns;
+    this.clear();
+  }
+
   /**
    * Get current view mode
    */
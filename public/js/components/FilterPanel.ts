@@ -6,16 +6,20 @@
 import { createFilter, Filter, FilterOption } from '@components/Filter';
 import { MONSTER_FILTER_COLORS } from '@shared/index';
 
+const PARTY_ONLY_STORAGE_KEY = 'partyOnlyFilter';
+
 export interface FilterPanelOptions {
   monsterTypeOptions?: FilterOption[];
   onMonsterFilterChange?: (selected: string[]) => void;
   onPlayerSearchChange?: (searchTerm: string) => void;
+  onPartyOnlyChange?: (partyOnly: boolean) => void;
 }
 
 export class FilterPanel {
   private element: HTMLElement;
   private monsterFilter: Filter | null = null;
   private playerSearchInput: HTMLInputElement | null = null;
+  private partyOnlyCheckbox: HTMLInputElement | null = null;
 
   /**
    * Create a new FilterPanel
@@ -73,6 +77,32 @@ export class FilterPanel {
     monsterFilterGroup.appendChild(filterContainer);
     filterSection.appendChild(monsterFilterGroup);
 
+    // Party Only Toggle
+    const partyOnlyGroup = document.createElement('div');
+    partyOnlyGroup.className = 'filter-group party-only';
+    const partyOnlyLabel = document.createElement('label');
+    partyOnlyLabel.setAttribute('for', 'party-only-checkbox');
+    partyOnlyLabel.textContent = 'Party Only';
+    const partyOnlyToggle = document.createElement('label');
+    partyOnlyToggle.className = 'toggle-switch';
+    const partyOnlyCheckbox = document.createElement('input');
+    partyOnlyCheckbox.type = 'checkbox';
+    partyOnlyCheckbox.id = 'party-only-checkbox';
+    partyOnlyCheckbox.checked = localStorage.getItem(PARTY_ONLY_STORAGE_KEY) === 'true';
+    const partyOnlySlider = document.createElement('span');
+    partyOnlySlider.className = 'toggle-slider';
+    partyOnlyToggle.appendChild(partyOnlyCheckbox);
+    partyOnlyToggle.appendChild(partyOnlySlider);
+    partyOnlyGroup.appendChild(partyOnlyLabel);
+    partyOnlyGroup.appendChild(partyOnlyToggle);
+    filterSection.appendChild(partyOnlyGroup);
+
+    partyOnlyCheckbox.addEventListener('change', () => {
+      localStorage.setItem(PARTY_ONLY_STORAGE_KEY, String(partyOnlyCheckbox.checked));
+      options.onPartyOnlyChange?.(partyOnlyCheckbox.checked);
+    });
+    this.partyOnlyCheckbox = partyOnlyCheckbox;
+
     content.appendChild(filterSection);
     panel.appendChild(content);
 
@@ -187,6 +217,13 @@ export class FilterPanel {
     return this.element;
   }
 
+  /**
+   * Whether only party members are shown
+   */
+  public isPartyOnly(): boolean {
+    return this.partyOnlyCheckbox?.checked || false;
+  }
+
   /**
    * Get player search term
    */
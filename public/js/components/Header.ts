@@ -5,7 +5,7 @@
 
 import { Button } from '@components/Button';
 import { COLORS } from '@shared/constants';
-import type { Theme } from '@app-types/index';
+import type { CaptureStats, Theme } from '@app-types/index';
 
 export interface HeaderOptions {
   title?: string;
@@ -16,8 +16,27 @@ export interface HeaderOptions {
   onClose?: () => void;
   onSidebarToggle?: () => void;
   isElectron?: boolean;
+  showCaptureHealth?: boolean;
 }
 
+const CAPTURE_STATUS_LABELS: Record<string, string> = {
+  ok: 'Capture OK',
+  degraded: 'Capture Degraded',
+  idle: 'No Game Traffic',
+  failed: 'Decoder Stopped',
+  offline: 'Server Offline',
+};
+
+const CAPTURE_REASON_LABELS: Record<string, string> = {
+  tcpGaps: 'TCP packets were lost',
+  forcedResyncs: 'Stream resynced after missing data',
+  expiredFragments: 'IP fragments expired',
+  decodeErrors: 'Packets failed to decode',
+  invalidLengths: 'Corrupt data was skipped',
+  queueDepth: 'Decoder is falling behind',
+  workerExited: 'Packet decoder exited and was not restarted, restart the server',
+};
+
 export class Header {
   private container: HTMLElement;
   private options: HeaderOptions;
@@ -29,6 +48,7 @@ export class Header {
   private alwaysOnTopBtn?: Button;
   private settingsBtn?: Button;
   private closeBtn?: Button;
+  private captureBadge?: HTMLElement;
 
   constructor(container: HTMLElement, options: HeaderOptions = {}) {
     this.container = container;
@@ -106,6 +126,14 @@ export class Header {
     const rightSection = document.createElement('div');
     rightSection.className = 'header-right';
 
+    // Capture health badge
+    if (this.options.showCaptureHealth) {
+      this.captureBadge = document.createElement('div');
+      this.captureBadge.className = 'capture-health';
+      rightSection.appendChild(this.captureBadge);
+      this.setCaptureHealth(null);
+    }
+
     // Theme toggle
     this.themeBtn = new Button({
       icon: 'fa-solid fa-moon',
@@ -215,6 +243,44 @@ export class Header {
     this.updateAlwaysOnTopButton();
   }
 
+  /**
+   * Update the capture health badge
+   * @param stats - Latest capture stats, or null when the server is unreachable
+   */
+  public setCaptureHealth(stats: CaptureStats | null): void {
+    if (!this.captureBadge) return;
+
+    const status = stats?.status ?? 'offline';
+    this.captureBadge.dataset.status = status;
+    this.captureBadge.innerHTML = `<i class="fa-solid fa-circle"></i><span>${CAPTURE_STATUS_LABELS[status]}</span>`;
+
+    if (!stats) {
+      this.captureBadge.title = 'Not connected to the BPSR Tools server';
+      return;
+    }
+
+    const lines = [
+      `Source: ${stats.source ?? 'remote agent'}`,
+      ...(stats.filter ? [`Filter: ${stats.filter}`] : []),
+      ...(stats.sourceSwitch ? [`Switching source: ${stats.sourceSwitch.state === 'failed' ? `failed (${stats.sourceSwitch.error})` : stats.sourceSwitch.state}`] : []),
+      `Frames/s: ${stats.framesPerSec.toFixed(0)}`,
+      `Decoded: ${(stats.bytesDecodedPerSec / 1024).toFixed(1)} KB/s`,
+      `TCP gaps: ${stats.totals.tcpGaps}, resyncs: ${stats.totals.forcedResyncs}`,
+      `Expired fragments: ${stats.totals.expiredFragments}`,
+      `Decode errors: ${stats.totals.decodeErrors}`,
+      `Corrupt lengths: ${stats.totals.invalidLengths} (${stats.totals.bytesDropped} bytes dropped)`,
+      `Queue depth: ${stats.queueDepth}`,
+    ];
+    if (stats.reasons.length > 0) {
+      lines.unshift(
+        'Numbers may be incomplete:',
+        ...stats.reasons.map((reason) => `- ${CAPTURE_REASON_LABELS[reason] ?? reason}`),
+        '',
+      );
+    }
+    this.captureBadge.title = lines.join('\n');
+  }
+
   /**
    * Set title
    */
@@ -31,6 +31,8 @@ export class SummaryCards {
       { label: 'Lucky', value: `${Math.round(this.stats.luckyRate * 100)}%` },
       { label: 'Hits', value: formatNumber(this.stats.totalHits) },
       { label: 'Crit Hits', value: formatNumber(this.stats.totalCritHits) },
+      { label: 'Miss', value: `${Math.round(this.stats.missRate * 100)}%` },
+      { label: 'Misses', value: formatNumber(this.stats.totalMisses) },
     ]);
 
     const card2 = this.createCard([
@@ -42,6 +44,19 @@ export class SummaryCards {
       { label: 'Hits Taken', value: formatNumber(this.stats.hitsTaken) },
     ]);
 
+    // Casts are only captured for the local player
+    if (this.stats.totalCasts > 0) {
+      const wastedRate = this.stats.wastedCasts / this.stats.totalCasts;
+      card1.querySelector('.summary-grid')!.append(
+        this.createItem('Casts', formatNumber(this.stats.totalCasts)),
+        this.createItem('Casts/Min', formatNumber(this.stats.castsPerMinute)),
+      );
+      card2.querySelector('.summary-grid')!.append(
+        this.createItem('Wasted Casts', formatNumber(this.stats.wastedCasts)),
+        this.createItem('Wasted', `${Math.round(wastedRate * 100)}%`),
+      );
+    }
+
     this.container.appendChild(card1);
     this.container.appendChild(card2);
   }
@@ -54,26 +69,30 @@ export class SummaryCards {
     grid.className = 'summary-grid';
 
     items.forEach((item) => {
-      const summaryItem = document.createElement('div');
-      summaryItem.className = 'summary-item';
-
-      const label = document.createElement('span');
-      label.className = 'summary-label';
-      label.textContent = item.label;
-
-      const value = document.createElement('span');
-      value.className = 'summary-value';
-      value.textContent = item.value;
-
-      summaryItem.appendChild(label);
-      summaryItem.appendChild(value);
-      grid.appendChild(summaryItem);
+      grid.appendChild(this.createItem(item.label, item.value));
     });
 
     card.appendChild(grid);
     return card;
   }
 
+  private createItem(labelText: string, valueText: string): HTMLElement {
+    const summaryItem = document.createElement('div');
+    summaryItem.className = 'summary-item';
+
+    const label = document.createElement('span');
+    label.className = 'summary-label';
+    label.textContent = labelText;
+
+    const value = document.createElement('span');
+    value.className = 'summary-value';
+    value.textContent = valueText;
+
+    summaryItem.appendChild(label);
+    summaryItem.appendChild(value);
+    return summaryItem;
+  }
+
   public update(stats: SummaryStats): void {
     this.stats = stats;
     this.render();
@@ -31,66 +31,14 @@ const maxZoom = 3;
 const gridSize = Math.pow(2, maxZoom); // 8 tiles at zoom 3
 const mapSize = gridSize * tileSize; // 4096 pixels
 
-// Map IDs to tile names with bounds
-// Bounds calculated from collectible data: [[minY, minX], [maxY, maxX]]
-const mapIdToTileConfig = {
-  7: {
-    name: "asteria_plains",
-    displayName: "Asteria Plains",
-    bounds: [
-      [-1052.98, -668.89],
-      [813.15, 908.13],
-    ],
-  },
-  8: {
-    name: "asterleeds",
-    displayName: "Asterleeds",
-    bounds: [
-      [-236.31, -412.08],
-      [420.4, 697.84],
-    ],
-  },
-  71: {
-    name: "duskdye_woods",
-    displayName: "Duskdye Woods",
-    bounds: [
-      [-84.9, -163.38],
-      [425.61, 158.93],
-    ],
-  },
-  72: {
-    name: "everfall_forest",
-    displayName: "Everfall Forest",
-    bounds: [
-      [59.33, -119.14],
-      [376.11, 115.63],
-    ],
-  },
-  73: {
-    name: "windhowl_canyon",
-    displayName: "Windhowl Canyon",
-    bounds: [
-      [2.04, -373.25],
-      [466.61, 495.47],
-    ],
-  },
-  74: {
-    name: "underground_district",
-    displayName: "Underground District",
-    bounds: [
-      [-57.77, -344.08],
-      [273.79, 51.32],
-    ],
-  },
-  75: {
-    name: "skimmer_s_lair",
-    displayName: "Skimmer's Lair",
-    bounds: [
-      [-100.97, -103.2],
-      [172.38, 206.44],
-    ],
-  },
-};
+/**
+ * Tile configuration of a scene, resolved by the server from its scenes table
+ * Bounds are calculated from collectible data: [[minY, minX], [maxY, maxX]]
+ */
+function getTileConfig(scene) {
+  if (!scene || !scene.tile_config) return null;
+  return { ...scene.tile_config, displayName: scene.name_en };
+}
 
 /**
  * Convert game coordinates (X, Y) to pixel coordinates [0, 512]
@@ -198,12 +146,12 @@ function handleSceneUpdate(data) {
   }
 
   const mapId = data.scene.map_id;
-  const mapConfig = mapIdToTileConfig[mapId];
+  const mapConfig = getTileConfig(data.scene);
 
   console.log(`[Minimap] Map ID: ${mapId}, Line: ${data.scene.line || "?"}`);
 
   if (!mapConfig) {
-    console.log(`[Minimap] Unknown mapId: ${mapId}`);
+    console.log(`[Minimap] No tiles for mapId: ${mapId}`);
     showLoadingIndicator(true);
     return;
   }
@@ -316,7 +264,7 @@ function updateUI(data) {
   const mapInfo = document.getElementById("map-info");
   const mapId = data.scene?.map_id;
   const line = data.scene?.line;
-  const mapConfig = mapIdToTileConfig[mapId];
+  const mapConfig = getTileConfig(data.scene);
 
   if (sceneName && mapConfig) {
     sceneName.textContent = mapConfig.displayName;
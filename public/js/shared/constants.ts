@@ -152,6 +152,7 @@ export const API_ENDPOINTS = {
   DATA: '/api/data',
   ENEMIES: '/api/enemies',
   SKILL: '/api/skill',
+  DAMAGE_TAKEN: '/api/damage-taken',
   PROFESSIONS: '/api/professions',
   SETTINGS: '/api/settings',
   SYNC_SHEETS: '/api/sync-sheets',
@@ -160,6 +161,8 @@ export const API_ENDPOINTS = {
   PAUSE: '/api/pause',
   SET_USERNAME: '/api/set-username',
   HISTORY: '/api/history',
+  INSPECTOR: '/api/inspector',
+  SCENE: '/api/scene',
 } as const;
 
 // ============================================================================
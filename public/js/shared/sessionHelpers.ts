@@ -6,7 +6,7 @@
 import { API_ENDPOINTS } from '@shared/constants';
 import { detectSessionType } from '@shared/sessionTypeDetector';
 import type { DetectionContext } from '@shared/sessionTypeDetector';
-import type { SessionType } from '@app-types/index';
+import type { SessionType, SceneInfo } from '@app-types/index';
 
 /**
  * Save session with provided combat data
@@ -135,6 +135,21 @@ export async function fetchSessions(limit: number = 50, offset: number = 0): Pro
   }
 }
 
+/**
+ * Fetch the local player's scene, resolved against the scenes table
+ * @returns Scene or null if the local player is not known yet
+ */
+async function fetchCurrentScene(): Promise<SceneInfo | null> {
+  try {
+    const response = await fetch(API_ENDPOINTS.SCENE);
+    const result = await response.json();
+    return result.data?.scene || null;
+  } catch (error) {
+    console.error('[SessionHelpers] Error fetching scene:', error);
+    return null;
+  }
+}
+
 /**
  * Detect session type from current combat data
  * @param isParseMode Whether parse mode is currently active
@@ -152,6 +167,8 @@ export async function detectCurrentSessionType(isParseMode: boolean = false): Pr
     const enemiesResult = await enemiesResponse.json();
     const enemies = enemiesResult.data || [];
 
+    const scene = await fetchCurrentScene();
+
     // Calculate total damage and duration
     const players = Object.values(combatData) as any[];
     const totalDamage = players.reduce((sum: number, player: any) => sum + (player.totalDamage || 0), 0);
@@ -171,6 +188,7 @@ export async function detectCurrentSessionType(isParseMode: boolean = false): Pr
       })),
       totalDamage,
       duration,
+      contentType: scene?.content_type,
     };
 
     const detectedType = detectSessionType(context);
@@ -273,11 +291,13 @@ export async function checkAndAutoSave(trigger: 'onClear' | 'onInactivity' | 'on
       // Detect session type
       const sessionType = await detectCurrentSessionType(isParseMode);
 
-      // Generate auto-save name: "{TYPE} {Date} {Time}"
+      // Generate auto-save name: "{TYPE} - {Zone} {Date} {Time}", without the zone if it is unknown
+      const scene = await fetchCurrentScene();
+      const zone = scene?.name_en ? ` - ${scene.name_en}` : '';
       const now = new Date();
       const date = now.toLocaleDateString();
       const time = now.toLocaleTimeString();
-      const sessionName = `${sessionType} ${date} ${time}`;
+      const sessionName = `${sessionType}${zone} ${date} ${time}`;
 
       // Save session
       console.log('[SessionHelpers] Auto-saving session:', sessionName);
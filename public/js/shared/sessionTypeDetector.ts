@@ -3,7 +3,7 @@
  * Intelligently detects session type based on combat data
  */
 
-import type { SessionType } from '@app-types/index';
+import type { SessionType, SceneContentType } from '@app-types/index';
 
 export interface DetectionContext {
   playerCount: number;
@@ -15,6 +15,7 @@ export interface DetectionContext {
   }>;
   totalDamage: number;
   duration: number; // in seconds
+  contentType?: SceneContentType | null; // Resolved zone of the local player, if known
 }
 
 /**
@@ -28,7 +29,11 @@ export function detectSessionType(context: DetectionContext): SessionType {
     return 'Parse';
   }
 
-  const { playerCount, monsters = [] } = context;
+  const { playerCount, monsters = [], contentType } = context;
+
+  // The zone decides instanced content, no need to guess from the party size
+  if (contentType === 'raid') return 'Raid';
+  if (contentType === 'dungeon') return 'Dungeon';
 
   // Find if there's a boss monster (type 2)
   const hasBoss = monsters.some(m => m.monster_type === 2);
@@ -59,6 +64,11 @@ export function detectSessionType(context: DetectionContext): SessionType {
       return 'Boss Crusade';
     }
 
+    // Towns and fields are open world whatever the player count
+    if (contentType) {
+      return 'Open World';
+    }
+
     // Raid detection (8+ players with boss)
     if (playerCount >= 8 && hasBoss) {
       return 'Raid';
@@ -82,12 +92,15 @@ export function detectSessionType(context: DetectionContext): SessionType {
 export function getDetectionConfidence(context: DetectionContext): number {
   if (context.isParseMode) return 1.0; // Parse mode is 100% confident
 
-  const { playerCount, monsters = [] } = context;
+  const { playerCount, monsters = [], contentType } = context;
   const hasBoss = monsters.some(m => m.monster_type === 2);
 
+  // The zone is known, only hunts and crusades are still guessed
+  if (contentType === 'raid' || contentType === 'dungeon') return 0.95;
+
   // High confidence for specific patterns
-  if (playerCount >= 8 && hasBoss) return 0.9; // Raid
-  if (playerCount >= 4 && playerCount <= 7 && hasBoss) return 0.85; // Dungeon
+  if (!contentType && playerCount >= 8 && hasBoss) return 0.9; // Raid
+  if (!contentType && playerCount >= 4 && playerCount <= 7 && hasBoss) return 0.85; // Dungeon
 
   // Medium confidence for keyword matches
   if (hasBoss) {
@@ -99,5 +112,5 @@ export function getDetectionConfidence(context: DetectionContext): number {
   }
 
   // Low confidence fallback
-  return 0.5; // Open World guess
+  return contentType ? 0.8 : 0.5; // Open World guess
 }
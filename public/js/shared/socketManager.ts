@@ -3,7 +3,7 @@
  * Provides a type-safe wrapper around Socket.IO client for real-time communication
  */
 
-import type { CombatData, EnemyData } from '@app-types/index';
+import type { CaptureStats, CombatData, EnemyData, PlayerGroup } from '@app-types/index';
 
 // Socket.IO types (will be available from socket.io-client at runtime)
 declare const io: any;
@@ -14,6 +14,7 @@ export interface SocketEventHandlers {
   onThemeChanged?: (theme: 'light' | 'dark') => void;
   onPauseStateChanged?: (paused: boolean) => void;
   onCombatCleared?: () => void;
+  onCaptureStats?: (stats: CaptureStats) => void;
   onConnect?: () => void;
   onDisconnect?: () => void;
 }
@@ -21,6 +22,7 @@ export interface SocketEventHandlers {
 export class SocketManager {
   private socket: any;
   private handlers: SocketEventHandlers = {};
+  private groupFilter: PlayerGroup[] | null = null;
 
   constructor(serverUrl?: string) {
     this.socket = serverUrl ? io(serverUrl) : io();
@@ -33,6 +35,10 @@ export class SocketManager {
   private setupDefaultListeners(): void {
     this.socket.on('connect', () => {
       console.log('[Socket] Connected to server');
+      // The server forgets the filter when the connection drops
+      if (this.groupFilter) {
+        this.socket.emit('set-group-filter', this.groupFilter);
+      }
       this.handlers.onConnect?.();
     });
 
@@ -80,6 +86,12 @@ export class SocketManager {
     if (handlers.onCombatCleared) {
       this.socket.on('combat-cleared', handlers.onCombatCleared);
     }
+
+    if (handlers.onCaptureStats) {
+      this.socket.on('capture-stats', (response: any) => {
+        handlers.onCaptureStats?.(response.data);
+      });
+    }
   }
 
   /**
@@ -110,6 +122,15 @@ export class SocketManager {
     this.socket.emit('pause-tracking', paused);
   }
 
+  /**
+   * Only receive players of these roster groups in data events
+   * @param groups Groups to include, or null for all players
+   */
+  public setGroupFilter(groups: PlayerGroup[] | null): void {
+    this.groupFilter = groups;
+    this.socket.emit('set-group-filter', groups);
+  }
+
   /**
    * Get the raw socket instance (for advanced use cases)
    */
@@ -4,7 +4,7 @@
  * Creates all HTML programmatically - no reliance on HTML templates
  */
 
-import type { CombatData, Settings, LiteModeType } from '@app-types/index';
+import type { CombatData, Settings, LiteModeType, PlayerGroup } from '@app-types/index';
 import {
   DPSTable,
   ControlPanel,
@@ -17,6 +17,7 @@ import {
 } from '@components/index';
 import type { EnrichedCombatData, ParseConfig } from '@components/index';
 import { createSocketManager } from '@shared/socketManager';
+import type { SocketManager } from '@shared/socketManager';
 import { setTheme } from '@shared/uiHelpers';
 import { API_ENDPOINTS, COLORS } from '@shared/constants';
 import { exportParseToPNG } from '@shared/pngExporter';
@@ -38,6 +39,7 @@ export class Gui {
   private controlPanel: ControlPanel;
   private parsePanel: ParsePanel;
   private filterPanel: FilterPanel;
+  private socketManager!: SocketManager;
 
   // State
   private isPaused: boolean = false;
@@ -77,6 +79,7 @@ export class Gui {
     this.parsePanel = this.initializeParsePanel();
     this.filterPanel = this.initializeFilterPanel();
     this.dpsTable = this.initializeDPSTable();
+    this.socketManager.setGroupFilter(this.getGroupFilter());
 
     // Initialize Electron features (resize handles for frameless window)
     if (this.isElectron) {
@@ -126,7 +129,7 @@ export class Gui {
    */
   private async initialize(): Promise<void> {
     try {
-      await this.loadTheme();
+      await this.loadSettings();
       await this.loadPauseState();
 
       // Fetch and render any existing data (important when paused)
@@ -145,6 +148,7 @@ export class Gui {
    */
   private initializeSocket(): void {
     const socket = createSocketManager();
+    this.socketManager = socket;
 
     socket.on({
       onConnect: () => {
@@ -252,6 +256,11 @@ export class Gui {
         this.controlPanel.setFilterText(searchTerm);
         this.fetchAndRenderData();
       },
+      onPartyOnlyChange: (partyOnly: boolean) => {
+        console.log('[Gui] Party only changed:', partyOnly);
+        this.socketManager.setGroupFilter(this.getGroupFilter());
+        this.fetchAndRenderData();
+      },
     });
     this.collapsiblePanels.appendChild(panel.getElement());
     return panel;
@@ -303,6 +312,13 @@ export class Gui {
     this.resetInactivityTimer();
   }
 
+  /**
+   * Roster groups the server should send, null for all players
+   */
+  private getGroupFilter(): PlayerGroup[] | null {
+    return this.filterPanel.isPartyOnly() ? ['party'] : null;
+  }
+
   /**
    * Apply monster type filter to combat data
    */
@@ -394,7 +410,9 @@ export class Gui {
    */
   private async fetchAndRenderData(): Promise<void> {
     try {
-      const response = await fetch(API_ENDPOINTS.DATA);
+      const groups = this.getGroupFilter();
+      const url = groups ? `${API_ENDPOINTS.DATA}?group=${groups.join(',')}` : API_ENDPOINTS.DATA;
+      const response = await fetch(url);
       const result = await response.json();
       const data = result.data || result;
 
@@ -804,9 +822,9 @@ export class Gui {
   }
 
   /**
-   * Load theme from settings
+   * Load theme and optional DPS table columns from settings
    */
-  private async loadTheme(): Promise<void> {
+  private async loadSettings(): Promise<void> {
     try {
       const response = await fetch(API_ENDPOINTS.SETTINGS);
       const result = await response.json();
@@ -814,6 +832,7 @@ export class Gui {
 
       this.currentTheme = (settings.theme as 'light' | 'dark') || 'dark';
       setTheme(this.currentTheme);
+      this.dpsTable.setOptionalColumns(settings.dpsTableColumns || {});
     } catch (error) {
       console.error('[Gui] Error loading theme:', error);
       setTheme('dark');
@@ -9,3 +9,4 @@ export { Settings } from './settings';
 export { SkillAnalysis } from './skillAnalysis';
 export { SessionsView } from './sessions';
 export { SessionDetail } from './sessionDetail';
+export { Inspector } from './inspector';
@@ -0,0 +1,409 @@
+/**
+ * Protocol Inspector View
+ * Browse raw game messages by method, with hex and protobuf views
+ */
+
+import { Button } from '@components/Button';
+import { Table } from '@components/Table';
+import type { TableColumn } from '@components/Table';
+import { API_ENDPOINTS } from '@shared/constants';
+import type {
+  InspectorSummary,
+  InspectorGroup,
+  InspectorMessageInfo,
+  InspectorMessage,
+  InspectorField,
+} from '@app-types/index';
+
+const REFRESH_INTERVAL = 2000; // Group list refresh while the view is open
+const MAX_HEX_BYTES = 65536; // Larger payloads are cut off in the hex view
+
+type DetailMode = 'hex' | 'protobuf';
+
+export class Inspector {
+  private container: HTMLElement;
+  private wrapper: HTMLElement;
+  private statusEl!: HTMLElement;
+  private noticeEl!: HTMLElement;
+  private groupsTable?: Table;
+  private messagesTable?: Table;
+  private messagesTitle!: HTMLElement;
+  private detailEl!: HTMLElement;
+  private selectedGroup: InspectorGroup | null = null;
+  private selectedMessage: InspectorMessage | null = null;
+  private detailMode: DetailMode = 'protobuf';
+  private refreshInterval: NodeJS.Timeout | null = null;
+
+  constructor(container: HTMLElement) {
+    this.container = container;
+
+    this.wrapper = document.createElement('div');
+    this.wrapper.className = 'inspector-content';
+    this.container.appendChild(this.wrapper);
+
+    this.render();
+    this.refresh();
+    this.refreshInterval = setInterval(() => this.refreshGroups(), REFRESH_INTERVAL);
+  }
+
+  private render(): void {
+    const body = document.createElement('div');
+    body.className = 'inspector-body';
+
+    // Title row with status and actions
+    const titleRow = document.createElement('div');
+    titleRow.className = 'dashboard-title-row';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Protocol Inspector';
+    titleRow.appendChild(title);
+
+    const actions = document.createElement('div');
+    actions.className = 'inspector-actions';
+
+    this.statusEl = document.createElement('span');
+    this.statusEl.className = 'inspector-status';
+    actions.appendChild(this.statusEl);
+
+    const refreshBtn = new Button({
+      icon: 'fa-solid fa-refresh',
+      size: 'medium',
+      className: 'control-button',
+      title: 'Refresh',
+      onClick: () => this.refresh(),
+    });
+    refreshBtn.addClass('btn-medium');
+    actions.appendChild(refreshBtn.getElement());
+
+    const clearBtn = new Button({
+      icon: 'fa-solid fa-trash',
+      size: 'medium',
+      className: 'control-button',
+      title: 'Clear Buffered Messages',
+      onClick: () => this.clear(),
+    });
+    clearBtn.addClass('btn-medium');
+    actions.appendChild(clearBtn.getElement());
+
+    titleRow.appendChild(actions);
+    body.appendChild(titleRow);
+
+    this.noticeEl = document.createElement('div');
+    this.noticeEl.className = 'inspector-notice';
+    this.noticeEl.textContent = 'The protocol inspector is off. Enable it under Settings → Developer to start buffering messages.';
+    this.noticeEl.style.display = 'none';
+    body.appendChild(this.noticeEl);
+
+    const layout = document.createElement('div');
+    layout.className = 'inspector-layout';
+
+    // Groups
+    const groupsPane = document.createElement('div');
+    groupsPane.className = 'inspector-pane';
+    groupsPane.appendChild(this.createPaneTitle('Methods'));
+    const groupsTableEl = document.createElement('div');
+    groupsPane.appendChild(groupsTableEl);
+    this.groupsTable = new Table(groupsTableEl, {
+      columns: this.getGroupColumns(),
+      data: [],
+      emptyMessage: 'No messages recorded',
+      defaultSortColumn: 'lastSeen',
+      defaultSortDirection: 'desc',
+      onRowClick: (group: InspectorGroup) => this.selectGroup(group),
+    });
+    layout.appendChild(groupsPane);
+
+    // Messages of the selected group
+    const messagesPane = document.createElement('div');
+    messagesPane.className = 'inspector-pane';
+    this.messagesTitle = this.createPaneTitle('Messages');
+    messagesPane.appendChild(this.messagesTitle);
+    const messagesTableEl = document.createElement('div');
+    messagesPane.appendChild(messagesTableEl);
+    this.messagesTable = new Table(messagesTableEl, {
+      columns: this.getMessageColumns(),
+      data: [],
+      emptyMessage: 'Select a method',
+      onRowClick: (message: InspectorMessageInfo) => this.selectMessage(message.id),
+    });
+    layout.appendChild(messagesPane);
+
+    // Selected message
+    const detailPane = document.createElement('div');
+    detailPane.className = 'inspector-pane inspector-detail-pane';
+    const detailTitle = this.createPaneTitle('Payload');
+    const modeToggle = document.createElement('div');
+    modeToggle.className = 'inspector-mode-toggle';
+    (['protobuf', 'hex'] as DetailMode[]).forEach((mode) => {
+      const button = document.createElement('button');
+      button.className = `inspector-mode-button ${mode === this.detailMode ? 'active' : ''}`;
+      button.textContent = mode === 'hex' ? 'Hex' : 'Protobuf';
+      button.addEventListener('click', () => {
+        this.detailMode = mode;
+        modeToggle.querySelectorAll('button').forEach((b) => b.classList.toggle('active', b === button));
+        this.renderDetail();
+      });
+      modeToggle.appendChild(button);
+    });
+    detailTitle.appendChild(modeToggle);
+    detailPane.appendChild(detailTitle);
+    this.detailEl = document.createElement('div');
+    this.detailEl.className = 'inspector-detail';
+    detailPane.appendChild(this.detailEl);
+    layout.appendChild(detailPane);
+
+    body.appendChild(layout);
+    this.wrapper.appendChild(body);
+    this.renderDetail();
+  }
+
+  private createPaneTitle(text: string): HTMLElement {
+    const title = document.createElement('div');
+    title.className = 'inspector-pane-title';
+    const label = document.createElement('span');
+    label.textContent = text;
+    title.appendChild(label);
+    return title;
+  }
+
+  private getGroupColumns(): TableColumn[] {
+    return [
+      {
+        key: 'methodId',
+        label: 'Method',
+        width: '40%',
+        sortable: true,
+        render: (value, row: InspectorGroup) => {
+          const cell = document.createElement('div');
+          const name = document.createElement('div');
+          name.className = row.methodName ? 'inspector-method-name' : 'inspector-method-name unknown';
+          name.textContent = row.methodName ?? `0x${value.toString(16).padStart(8, '0')}`;
+          const detail = document.createElement('div');
+          detail.className = 'inspector-method-detail';
+          detail.textContent = `${row.messageType} · ${row.service} · ${value}`;
+          cell.appendChild(name);
+          cell.appendChild(detail);
+          return cell;
+        },
+      },
+      {
+        key: 'count',
+        label: 'Count',
+        width: '18%',
+        align: 'right',
+        sortable: true,
+        render: (value) => value.toLocaleString(),
+      },
+      {
+        key: 'bytes',
+        label: 'Bytes',
+        width: '20%',
+        align: 'right',
+        sortable: true,
+        render: (value) => value.toLocaleString(),
+      },
+      {
+        key: 'lastSeen',
+        label: 'Last Seen',
+        width: '22%',
+        align: 'right',
+        sortable: true,
+        render: (value) => new Date(value).toLocaleTimeString(),
+      },
+    ];
+  }
+
+  private getMessageColumns(): TableColumn[] {
+    return [
+      {
+        key: 'time',
+        label: 'Time',
+        width: '28%',
+        render: (value) => new Date(value).toLocaleTimeString(),
+      },
+      {
+        key: 'size',
+        label: 'Size',
+        width: '17%',
+        align: 'right',
+        render: (value, row: InspectorMessageInfo) => `${value.toLocaleString()}${row.compressed ? ' (zstd)' : ''}`,
+      },
+      {
+        key: 'preview',
+        label: 'Payload',
+        width: '55%',
+        render: (value) => {
+          const span = document.createElement('span');
+          span.className = 'inspector-hex-preview';
+          span.textContent = value;
+          return span;
+        },
+      },
+    ];
+  }
+
+  private async refresh(): Promise<void> {
+    await this.refreshGroups();
+    if (this.selectedGroup) await this.loadMessages(this.selectedGroup);
+  }
+
+  private async refreshGroups(): Promise<void> {
+    try {
+      const response = await fetch(API_ENDPOINTS.INSPECTOR);
+      const result = await response.json();
+      if (result.code !== 0) {
+        this.statusEl.textContent = result.msg;
+        return;
+      }
+
+      const summary: InspectorSummary = result.data;
+      this.noticeEl.style.display = summary.enabled ? 'none' : '';
+      this.statusEl.textContent = `${summary.buffered.toLocaleString()} / ${summary.capacity.toLocaleString()} messages buffered`;
+      this.groupsTable?.setData(summary.groups);
+    } catch (error) {
+      console.error('[Inspector] Error loading summary:', error);
+    }
+  }
+
+  private async selectGroup(group: InspectorGroup): Promise<void> {
+    this.selectedGroup = group;
+    const label = this.messagesTitle.firstChild as HTMLElement;
+    label.textContent = `Messages · ${group.methodName ?? `${group.messageType} ${group.methodId}`}`;
+    await this.loadMessages(group);
+  }
+
+  private async loadMessages(group: InspectorGroup): Promise<void> {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.INSPECTOR}/messages?group=${encodeURIComponent(group.key)}`);
+      const result = await response.json();
+      if (result.code === 0) {
+        this.messagesTable?.setData(result.data);
+      }
+    } catch (error) {
+      console.error('[Inspector] Error loading messages:', error);
+    }
+  }
+
+  private async selectMessage(id: number): Promise<void> {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.INSPECTOR}/messages/${id}`);
+      const result = await response.json();
+      this.selectedMessage = result.code === 0 ? result.data : null;
+      this.renderDetail(result.code === 0 ? undefined : result.msg);
+    } catch (error) {
+      console.error('[Inspector] Error loading message:', error);
+    }
+  }
+
+  private async clear(): Promise<void> {
+    try {
+      await fetch(`${API_ENDPOINTS.INSPECTOR}/clear`, { method: 'POST' });
+      this.selectedGroup = null;
+      this.selectedMessage = null;
+      this.messagesTable?.clear();
+      this.renderDetail();
+      await this.refreshGroups();
+    } catch (error) {
+      console.error('[Inspector] Error clearing messages:', error);
+    }
+  }
+
+  private renderDetail(error?: string): void {
+    this.detailEl.innerHTML = '';
+    const message = this.selectedMessage;
+    if (!message) {
+      this.detailEl.textContent = error ?? 'Select a message';
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'inspector-method-detail';
+    header.textContent = `#${message.id} · ${new Date(message.time).toLocaleTimeString()} · ${message.size.toLocaleString()} bytes${message.compressed ? ' (zstd)' : ''}`;
+    this.detailEl.appendChild(header);
+
+    if (this.detailMode === 'hex') {
+      this.detailEl.appendChild(this.renderHexDump(message.hex));
+    } else if (message.fields === null) {
+      const note = document.createElement('div');
+      note.className = 'inspector-notice';
+      note.textContent = 'The payload does not decode as a protobuf message.';
+      this.detailEl.appendChild(note);
+      this.detailEl.appendChild(this.renderHexDump(message.hex));
+    } else {
+      this.detailEl.appendChild(this.renderFields(message.fields));
+    }
+  }
+
+  /**
+   * Offset, 16 bytes and their ASCII per line
+   */
+  private renderHexDump(hex: string): HTMLElement {
+    const pre = document.createElement('pre');
+    pre.className = 'inspector-hex';
+
+    const size = hex.length / 2;
+    const shown = Math.min(size, MAX_HEX_BYTES);
+    const lines: string[] = [];
+    for (let offset = 0; offset < shown; offset += 16) {
+      const bytes: string[] = [];
+      let ascii = '';
+      for (let i = offset; i < Math.min(offset + 16, shown); i++) {
+        const byteHex = hex.slice(i * 2, i * 2 + 2);
+        const byte = parseInt(byteHex, 16);
+        bytes.push(byteHex);
+        ascii += byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.';
+      }
+      lines.push(`${offset.toString(16).padStart(8, '0')}  ${bytes.join(' ').padEnd(47)}  ${ascii}`);
+    }
+    if (shown < size) {
+      lines.push(`… ${(size - shown).toLocaleString()} more bytes`);
+    }
+
+    pre.textContent = lines.join('\n');
+    return pre;
+  }
+
+  private renderFields(fields: InspectorField[]): HTMLElement {
+    const list = document.createElement('ul');
+    list.className = 'inspector-fields';
+
+    fields.forEach((field) => {
+      const item = document.createElement('li');
+
+      const line = document.createElement('div');
+      line.className = 'inspector-field';
+      const number = document.createElement('span');
+      number.className = 'inspector-field-number';
+      number.textContent = `#${field.field}`;
+      line.appendChild(number);
+
+      const value = document.createElement('span');
+      value.className = 'inspector-field-value';
+      if (field.type === 'number') {
+        value.textContent = String(field.value);
+      } else if (field.text) {
+        value.textContent = `"${field.text}"`;
+      } else {
+        const hex = field.hex ?? '';
+        value.textContent = `bytes[${field.length}] ${hex.length > 64 ? `${hex.slice(0, 64)}…` : hex}`;
+      }
+      line.appendChild(value);
+      item.appendChild(line);
+
+      if (field.fields && field.fields.length > 0) {
+        item.appendChild(this.renderFields(field.fields));
+      }
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  public destroy(): void {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    this.wrapper.remove();
+  }
+}
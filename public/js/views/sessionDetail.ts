@@ -7,7 +7,7 @@ import {formatNumber, formatDuration, formatTimestamp} from '@shared/dataFormatt
 import {API_ENDPOINTS, COLORS, PLAYER_COLORS} from '@shared/constants';
 import {setTheme} from '@shared/uiHelpers';
 import {router} from '@shared/router';
-import type {Theme, Settings, Session, SessionPlayer, SessionType} from '@app-types/index';
+import type {Theme, Settings, Session, SessionPlayer, SessionType, BossEncounter} from '@app-types/index';
 
 declare const Chart: any;
 
@@ -87,6 +87,9 @@ export class SessionDetail {
         wrapper.appendChild(statsEl);
         wrapper.appendChild(chartsRow);
         wrapper.appendChild(playersSection);
+        if (this.session.boss_encounters?.length) {
+            wrapper.appendChild(this.renderBossesSection());
+        }
         wrapper.appendChild(notesSection);
 
         this.container.appendChild(wrapper);
@@ -369,6 +372,12 @@ export class SessionDetail {
                 sortable: true,
                 render: (value) => formatNumber(value as number),
             },
+            {
+                key: 'effectiveHealing',
+                label: 'Effective',
+                sortable: true,
+                render: (value) => formatNumber((value as number) || 0),
+            },
             {
                 key: 'dead_count',
                 label: 'Deaths',
@@ -409,6 +418,76 @@ export class SessionDetail {
         return section;
     }
 
+    private renderBossesSection(): HTMLElement {
+        const section = document.createElement('div');
+        section.className = 'session-bosses-section';
+        section.innerHTML = '<h3 class="section-title">Bosses</h3>';
+
+        const tableContainer = document.createElement('div');
+        section.appendChild(tableContainer);
+
+        const columns: TableColumn[] = [
+            {
+                key: 'name',
+                label: 'Boss',
+                sortable: true,
+                render: (value, row) => {
+                    const encounter = row as BossEncounter;
+                    const zone = encounter.zone?.name ? ` · ${encounter.zone.name}` : '';
+                    return `
+            <div>${value || 'Unknown'}</div>
+            <div style="color: var(--text-secondary); font-size: 0.85em;">${encounter.classification}${zone}</div>
+          `;
+                },
+            },
+            {
+                key: 'killed',
+                label: 'Result',
+                sortable: true,
+                render: (value) => (value ? 'Killed' : 'Not killed'),
+            },
+            {
+                key: 'duration',
+                label: 'Duration',
+                sortable: true,
+                render: (value) => formatDuration(value as number),
+            },
+            {
+                key: 'damage',
+                label: 'Damage',
+                sortable: true,
+                render: (value) => formatNumber(value as number),
+            },
+            {
+                key: 'dps',
+                label: 'DPS',
+                sortable: true,
+                render: (value) => formatNumber(value as number),
+            },
+            {
+                key: 'phases',
+                label: 'Phases',
+                sortable: false,
+                render: (_value, row) => {
+                    const encounter = row as BossEncounter;
+                    return encounter.phases
+                        .map(phase => `P${phase.phase} (${phase.fromPercent}% → ${phase.toPercent}%): ${formatDuration(phase.duration)}, ${formatNumber(phase.dps)} DPS`)
+                        .join('<br>');
+                },
+            },
+        ];
+
+        new Table(tableContainer, {
+            columns,
+            data: this.session!.boss_encounters || [],
+            defaultSortColumn: 'duration',
+            defaultSortDirection: 'desc',
+            emptyMessage: 'No boss encounters',
+        });
+
+        return section;
+    }
+
     private renderNotesSection(): HTMLElement {
         const section = document.createElement('div');
         section.className = 'session-notes-section';
@@ -736,6 +815,8 @@ export class SessionDetail {
                 <span>${((skill.damagePercent || 0) * 100).toFixed(1)}%</span>
                 <span class="skill-stat-divider">•</span>
                 <span>${formatNumber(skill.dpsHps || 0)} ${isHealing ? 'HPS' : 'DPS'}</span>
+                ${skill.missRate > 0 ? `<span class="skill-stat-divider">•</span>
+                <span>${(skill.missRate * 100).toFixed(1)}% miss</span>` : ''}
               </div>
             </div>
           </div>
@@ -4,6 +4,7 @@
  */
 
 import { Slider } from '@components/Slider';
+import type { CaptureSourceSwitch } from '@app-types/index';
 
 /**
  * Settings interface
@@ -26,6 +27,34 @@ export interface AppSettings {
     minPlayers: number;
     minTotalDamage: number;
   };
+  captureRecording?: {
+    enabled: boolean;
+    rotatePerSession: boolean;
+    maxFileSizeMB: number;
+    directory: string | null;
+  };
+  networkInterface?: string | null;
+  dpsTableColumns?: {
+    effectiveDamage: boolean;
+    overkill: boolean;
+  };
+  protocolInspector?: {
+    enabled: boolean;
+    maxMessages: number;
+  };
+  bossPhaseThresholds?: number[];
+}
+
+/**
+ * Capture device as listed by /api/capture/interfaces
+ */
+interface NetworkInterfaceInfo {
+  index: number;
+  name: string;
+  description: string | null;
+  addresses: string[];
+  virtual: boolean;
+  defaultRoute: boolean;
 }
 
 /**
@@ -35,6 +64,7 @@ export class Settings {
   private container: HTMLElement;
   private settingsWrapper: HTMLElement;
   private currentSettings: AppSettings | null = null;
+  private interfaceSwitchTimer: number | null = null;
   private opacitySlider?: Slider;
 
   constructor(container: HTMLElement) {
@@ -303,6 +333,283 @@ export class Settings {
     return container;
   }
 
+  /**
+   * Create Capture Recording section content
+   */
+  private createCaptureRecordingContent(): HTMLElement {
+    const container = document.createElement('div');
+    container.className = 'settings-items-group';
+
+    container.appendChild(
+      this.createToggleSetting(
+        'captureRecording.enabled',
+        'Record Raw Capture',
+        'Write game traffic to .pcapng files so sessions can be replayed and re-decoded later'
+      )
+    );
+
+    container.appendChild(
+      this.createToggleSetting(
+        'captureRecording.rotatePerSession',
+        'New File per Session',
+        'Start a new capture file each time a session is saved'
+      )
+    );
+
+    container.appendChild(
+      this.createNumberInputSetting(
+        'captureRecording.maxFileSizeMB',
+        'Maximum File Size (MB)',
+        'Start a new capture file once the current one reaches this size',
+        1,
+        10000,
+        10
+      )
+    );
+
+    return container;
+  }
+
+  /**
+   * Create Boss Encounters section content
+   */
+  private createBossEncountersContent(): HTMLElement {
+    const container = document.createElement('div');
+    container.className = 'settings-items-group';
+
+    const settingItem = document.createElement('div');
+    settingItem.className = 'setting-item';
+
+    const label = document.createElement('div');
+    label.className = 'setting-label';
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'setting-title';
+    titleEl.textContent = 'Phase Thresholds (%)';
+
+    const descEl = document.createElement('div');
+    descEl.className = 'setting-description';
+    descEl.textContent = 'Boss HP percentages at which a new phase starts, separated by commas. Applies to encounters that start afterwards';
+
+    label.appendChild(titleEl);
+    label.appendChild(descEl);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'bossPhaseThresholds';
+    input.className = 'number-input';
+    input.placeholder = '75, 50, 25';
+
+    // Auto-save once typing stops
+    let debounceTimer: number;
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = window.setTimeout(() => {
+        this.autoSaveSettings();
+      }, 500);
+    });
+
+    settingItem.appendChild(label);
+    settingItem.appendChild(input);
+    container.appendChild(settingItem);
+
+    return container;
+  }
+
+  /**
+   * Create Developer section content
+   */
+  private createDeveloperContent(): HTMLElement {
+    const container = document.createElement('div');
+    container.className = 'settings-items-group';
+
+    container.appendChild(
+      this.createToggleSetting(
+        'protocolInspector.enabled',
+        'Protocol Inspector',
+        'Buffer raw game messages and browse them by method on the Inspector page'
+      )
+    );
+
+    container.appendChild(
+      this.createNumberInputSetting(
+        'protocolInspector.maxMessages',
+        'Buffered Messages',
+        'Messages kept for the inspector, oldest dropped first',
+        100,
+        20000,
+        100
+      )
+    );
+
+    return container;
+  }
+
+  /**
+   * Create Network Interface section content
+   */
+  private createNetworkInterfaceContent(): HTMLElement {
+    const container = document.createElement('div');
+    container.className = 'settings-items-group';
+
+    const settingItem = document.createElement('div');
+    settingItem.className = 'setting-item';
+
+    const label = document.createElement('div');
+    label.className = 'setting-label';
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'setting-title';
+    titleEl.textContent = 'Capture Interface';
+
+    const descEl = document.createElement('div');
+    descEl.className = 'setting-description';
+    descEl.textContent = 'Network adapter the game traffic is captured from. Automatic picks the busiest adapter or the default route';
+
+    label.appendChild(titleEl);
+    label.appendChild(descEl);
+
+    const select = document.createElement('select');
+    select.id = 'networkInterface';
+    select.className = 'settings-select';
+    select.addEventListener('change', () => this.selectNetworkInterface(select.value || null));
+
+    settingItem.appendChild(label);
+    settingItem.appendChild(select);
+
+    const status = document.createElement('div');
+    status.id = 'networkInterfaceStatus';
+    status.className = 'action-status';
+
+    container.appendChild(settingItem);
+    container.appendChild(status);
+
+    // Load interfaces after DOM is ready
+    setTimeout(() => this.loadNetworkInterfaces(), 0);
+
+    return container;
+  }
+
+  /**
+   * Load the capture interfaces into the interface select
+   */
+  private async loadNetworkInterfaces(): Promise<void> {
+    const select = document.getElementById('networkInterface') as HTMLSelectElement;
+    const statusEl = document.getElementById('networkInterfaceStatus');
+    if (!select || !statusEl) return;
+
+    try {
+      const response = await fetch('/api/capture/interfaces');
+      const result = await response.json();
+
+      if (result.code !== 0 || !result.data) {
+        statusEl.textContent = result.msg || 'Failed to load network interfaces';
+        select.disabled = true;
+        return;
+      }
+
+      const { interfaces, selected, active, switching } = result.data as {
+        interfaces: NetworkInterfaceInfo[];
+        selected: string | null;
+        active: string | null;
+        switching: CaptureSourceSwitch | null;
+      };
+
+      select.innerHTML = '';
+      const autoOption = document.createElement('option');
+      autoOption.value = '';
+      autoOption.textContent = 'Automatic';
+      select.appendChild(autoOption);
+
+      interfaces.forEach(iface => {
+        const option = document.createElement('option');
+        option.value = iface.name;
+        const details = [
+          ...iface.addresses.filter(address => !address.includes(':')),
+          iface.defaultRoute ? 'default route' : '',
+          iface.virtual ? 'virtual' : '',
+        ].filter(Boolean);
+        option.textContent = `${iface.description || iface.name}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+        select.appendChild(option);
+      });
+
+      select.value = selected ?? '';
+      this.showInterfaceSwitch(active, switching);
+    } catch (error) {
+      console.error('[Settings] Error loading network interfaces:', error);
+      statusEl.textContent = 'Failed to load network interfaces';
+    }
+  }
+
+  /**
+   * Save the capture interface and switch the running live capture to it
+   */
+  private async selectNetworkInterface(name: string | null): Promise<void> {
+    const statusEl = document.getElementById('networkInterfaceStatus');
+    if (statusEl) statusEl.textContent = 'Switching interface...';
+
+    try {
+      const response = await fetch('/api/capture/interface', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name }),
+      });
+      const result = await response.json();
+
+      if (!statusEl) return;
+      if (result.code === 0) {
+        if (result.data.active || result.data.switching) {
+          this.showInterfaceSwitch(result.data.active, result.data.switching);
+        } else {
+          statusEl.textContent = 'Saved, used the next time live capture starts';
+        }
+      } else {
+        statusEl.textContent = result.msg || 'Failed to select interface';
+      }
+    } catch (error) {
+      console.error('[Settings] Error selecting network interface:', error);
+      if (statusEl) statusEl.textContent = 'Failed to select interface';
+    }
+  }
+
+  /**
+   * Show the active interface, and poll while a switch is still waiting for its interface
+   */
+  private showInterfaceSwitch(active: string | null, switching: CaptureSourceSwitch | null): void {
+    const statusEl = document.getElementById('networkInterfaceStatus');
+    if (!statusEl) return;
+
+    if (this.interfaceSwitchTimer !== null) {
+      window.clearTimeout(this.interfaceSwitchTimer);
+      this.interfaceSwitchTimer = null;
+    }
+
+    if (!switching) {
+      statusEl.textContent = active ? `Capturing on ${active}` : '';
+      return;
+    }
+    if (switching.state === 'failed') {
+      statusEl.textContent = `Failed to switch interface: ${switching.error}`;
+      return;
+    }
+
+    statusEl.textContent = switching.state === 'detecting'
+      ? 'Waiting for game traffic to detect the interface...'
+      : `Switching to ${switching.source}...`;
+    this.interfaceSwitchTimer = window.setTimeout(async () => {
+      this.interfaceSwitchTimer = null;
+      try {
+        const response = await fetch('/api/capture/interfaces');
+        const result = await response.json();
+        if (result.code === 0 && result.data) {
+          this.showInterfaceSwitch(result.data.active, result.data.switching);
+        }
+      } catch (error) {
+        console.error('[Settings] Error checking interface switch:', error);
+      }
+    }, 2000);
+  }
+
   /**
    * Create update checker section content
    */
@@ -552,6 +859,22 @@ export class Settings {
             'Automatically reset statistics when changing servers or maps'
           )
         );
+
+        container.appendChild(
+          this.createToggleSetting(
+            'dpsTableColumns.effectiveDamage',
+            'Show Effective Damage',
+            'Show damage that actually removed HP, without shield absorbs and overkill, on each player bar'
+          )
+        );
+
+        container.appendChild(
+          this.createToggleSetting(
+            'dpsTableColumns.overkill',
+            'Show Overkill',
+            'Show damage of killing blows beyond the remaining HP of their target on each player bar'
+          )
+        );
         return container;
       }
     );
@@ -564,6 +887,38 @@ export class Settings {
       }
     );
 
+    const captureRecordingSection = this.createCollapsibleSection(
+      'Capture Recording',
+      'Keep the raw network capture for troubleshooting. Files are linked to the sessions they were recorded in',
+      () => {
+        return this.createCaptureRecordingContent();
+      }
+    );
+
+    const networkInterfaceSection = this.createCollapsibleSection(
+      'Network Interface',
+      'Choose the network adapter used for live capture',
+      () => {
+        return this.createNetworkInterfaceContent();
+      }
+    );
+
+    const bossEncountersSection = this.createCollapsibleSection(
+      'Boss Encounters',
+      'Split boss fights into phases by remaining HP. Phases are saved with sessions',
+      () => {
+        return this.createBossEncountersContent();
+      }
+    );
+
+    const developerSection = this.createCollapsibleSection(
+      'Developer',
+      'Tools for mapping game protocol messages the meter does not decode yet',
+      () => {
+        return this.createDeveloperContent();
+      }
+    );
+
     const sheetsSection = this.createCollapsibleSection(
       'Google Sheets',
       'Paste your Sheets configuration if you would like to sync player data to Google Sheets (Guild VGL Only)',
@@ -576,6 +931,10 @@ export class Settings {
     settingsGroup.appendChild(appearanceSection);
     settingsGroup.appendChild(overlaySection);
     settingsGroup.appendChild(sessionAutoSaveSection);
+    settingsGroup.appendChild(bossEncountersSection);
+    settingsGroup.appendChild(networkInterfaceSection);
+    settingsGroup.appendChild(captureRecordingSection);
+    settingsGroup.appendChild(developerSection);
     settingsGroup.appendChild(sheetsSection);
 
     this.settingsWrapper.appendChild(header);
@@ -632,6 +991,22 @@ export class Settings {
           minPlayers: 1,
           minTotalDamage: 0,
         },
+        captureRecording: settings.captureRecording || {
+          enabled: false,
+          rotatePerSession: false,
+          maxFileSizeMB: 100,
+          directory: null,
+        },
+        networkInterface: settings.networkInterface ?? null,
+        dpsTableColumns: settings.dpsTableColumns || {
+          effectiveDamage: false,
+          overkill: false,
+        },
+        protocolInspector: settings.protocolInspector || {
+          enabled: false,
+          maxMessages: 2000,
+        },
+        bossPhaseThresholds: settings.bossPhaseThresholds ?? [75, 50, 25],
       };
 
       this.populateForm(this.currentSettings);
@@ -747,8 +1122,8 @@ export class Settings {
       this.opacitySlider.setValue(settings.windowOpacity);
     }
 
-    // Auto-save settings
-    const autoSaveIds = [
+    // Nested settings (auto-save, capture recording)
+    const nestedSettingIds = [
       'autoSave.enabled',
       'autoSave.onClear',
       'autoSave.onInactivity',
@@ -757,9 +1132,19 @@ export class Settings {
       'autoSave.minDuration',
       'autoSave.minPlayers',
       'autoSave.minTotalDamage',
+      'captureRecording.enabled',
+      'captureRecording.rotatePerSession',
+      'captureRecording.maxFileSizeMB',
+      'dpsTableColumns.effectiveDamage',
+      'dpsTableColumns.overkill',
+      'protocolInspector.enabled',
+      'protocolInspector.maxMessages',
     ];
 
-    autoSaveIds.forEach(id => {
+    const bossPhaseInput = document.getElementById('bossPhaseThresholds') as HTMLInputElement;
+    if (bossPhaseInput) bossPhaseInput.value = (settings.bossPhaseThresholds ?? []).join(', ');
+
+    nestedSettingIds.forEach(id => {
       const element = document.getElementById(id) as HTMLInputElement;
       if (!element) return;
 
@@ -792,6 +1177,30 @@ export class Settings {
     const autoSaveMinPlayers = parseInt((document.getElementById('autoSave.minPlayers') as HTMLInputElement)?.value ?? '1');
     const autoSaveMinTotalDamage = parseInt((document.getElementById('autoSave.minTotalDamage') as HTMLInputElement)?.value ?? '0');
 
+    // Collect capture recording settings
+    const captureEnabled = (document.getElementById('captureRecording.enabled') as HTMLInputElement)?.checked ?? false;
+    const captureRotatePerSession = (document.getElementById('captureRecording.rotatePerSession') as HTMLInputElement)?.checked ?? false;
+    const captureMaxFileSizeMB = parseInt((document.getElementById('captureRecording.maxFileSizeMB') as HTMLInputElement)?.value ?? '100');
+
+    // Collect optional DPS table columns
+    const showEffectiveDamage = (document.getElementById('dpsTableColumns.effectiveDamage') as HTMLInputElement)?.checked ?? false;
+    const showOverkill = (document.getElementById('dpsTableColumns.overkill') as HTMLInputElement)?.checked ?? false;
+
+    // Collect protocol inspector settings
+    const inspectorEnabled = (document.getElementById('protocolInspector.enabled') as HTMLInputElement)?.checked ?? false;
+    const inspectorMaxMessages = parseInt((document.getElementById('protocolInspector.maxMessages') as HTMLInputElement)?.value ?? '2000');
+
+    // Collect boss phase thresholds, keeping the saved ones while the list is being typed
+    const bossPhaseInput = document.getElementById('bossPhaseThresholds') as HTMLInputElement;
+    const parsedThresholds = (bossPhaseInput?.value ?? '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(value => value !== '')
+      .map(Number);
+    const bossPhaseThresholds = parsedThresholds.every(value => value > 0 && value < 100)
+      ? parsedThresholds
+      : this.currentSettings?.bossPhaseThresholds ?? [75, 50, 25];
+
     const settings: any = {
       autoUpdateEnabled: autoUpdateCheckbox?.checked || false,
       autoClearOnChannelChange: autoClearChannelCheckbox?.checked || false,
@@ -808,6 +1217,21 @@ export class Settings {
         minPlayers: autoSaveMinPlayers,
         minTotalDamage: autoSaveMinTotalDamage,
       },
+      captureRecording: {
+        enabled: captureEnabled,
+        rotatePerSession: captureRotatePerSession,
+        maxFileSizeMB: captureMaxFileSizeMB || 100,
+        directory: this.currentSettings?.captureRecording?.directory ?? null,
+      },
+      dpsTableColumns: {
+        effectiveDamage: showEffectiveDamage,
+        overkill: showOverkill,
+      },
+      protocolInspector: {
+        enabled: inspectorEnabled,
+        maxMessages: inspectorMaxMessages || 2000,
+      },
+      bossPhaseThresholds,
     };
 
     try {
@@ -821,9 +1245,18 @@ export class Settings {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
+      const inspectorToggled = this.currentSettings?.protocolInspector?.enabled !== inspectorEnabled;
       this.currentSettings = settings;
       this.applyTheme(settings.theme);
 
+      // Show or hide the Inspector page in the sidebar
+      if (inspectorToggled) {
+        const appInstance = (window as any).appInstance;
+        if (appInstance && typeof appInstance.refreshSidebar === 'function') {
+          await appInstance.refreshSidebar();
+        }
+      }
+
       // Apply clickthrough immediately (Electron only)
       if (clickthroughCheckbox) {
         const electron = (window as any).electron;
@@ -849,6 +1282,7 @@ export class Settings {
    * Destroy the settings view
    */
   public destroy(): void {
+    if (this.interfaceSwitchTimer !== null) window.clearTimeout(this.interfaceSwitchTimer);
     this.settingsWrapper.remove();
   }
 }
@@ -7,7 +7,7 @@ import { Header } from '@components/Header';
 import { Table } from '@components/Table';
 import { Collapsible } from '@components/Collapsible';
 import { SummaryCards } from '@components/SummaryCards';
-import { formatNumber, formatPercentage } from '@shared/dataFormatter';
+import { formatDuration, formatNumber, formatPercentage } from '@shared/dataFormatter';
 import { COLORS, PLAYER_COLORS, API_ENDPOINTS } from '@shared/constants';
 import { setTheme } from '@shared/uiHelpers';
 import type { Theme, Settings } from '@app-types/index';
@@ -17,6 +17,10 @@ import type {
   EnrichedSkillData,
   SummaryStats,
   TargetDamage,
+  BuffRow,
+  ResourceRow,
+  SummonRow,
+  TakenDamageData,
 } from '@app-types/skillAnalysis';
 
 declare const Chart: any;
@@ -33,17 +37,29 @@ export class SkillAnalysis {
   private socket: any = null;
   private lastTargetDamageHash: string = '';
   private lastSkillsHash: string = '';
+  private lastBuffsHash: string = '';
+  private lastResourcesHash: string = '';
+  private lastHealingHash: string = '';
 
   // Components
   private header?: Header;
   private summaryCards?: SummaryCards;
   private skillsTable?: Table;
   private monsterTable?: Table;
+  private buffTable?: Table;
+  private resourceTable?: Table;
+  private summonTable?: Table;
+  private takenSourceTable?: Table;
+  private takenSkillTable?: Table;
+  private healTargetTable?: Table;
+  private takenDamageInterval: number | null = null;
 
   // Collapsible sections
   private dpsCollapsible?: Collapsible;
   private skillDistCollapsible?: Collapsible;
   private damageDistCollapsible?: Collapsible;
+  private takenDamageCollapsible?: Collapsible;
+  private healTargetCollapsible?: Collapsible;
 
   // Charts
   private dpsChart: any = null;
@@ -237,6 +253,24 @@ export class SkillAnalysis {
     });
     container.appendChild(this.damageDistCollapsible.getElement());
 
+    // Damage Taken
+    this.takenDamageCollapsible = new Collapsible({
+      title: 'Damage Taken',
+      icon: 'fa-solid fa-shield-halved',
+      content: this.createTakenDamagePanel(),
+      isOpen: true,
+    });
+    container.appendChild(this.takenDamageCollapsible.getElement());
+
+    // Healing by Target
+    this.healTargetCollapsible = new Collapsible({
+      title: 'Healing by Target',
+      icon: 'fa-solid fa-hand-holding-medical',
+      content: this.createHealTargetPanel(),
+      isOpen: true,
+    });
+    container.appendChild(this.healTargetCollapsible.getElement());
+
     // Initialize charts after DOM is ready
     setTimeout(() => {
       this.initializeCharts();
@@ -271,6 +305,24 @@ export class SkillAnalysis {
     this.renderMonsterTable(monsterSection);
     tablesContainer.appendChild(monsterSection);
 
+    // Buff Uptime Table
+    const buffSection = document.createElement('div');
+    buffSection.className = 'skill-table-section';
+    this.renderBuffTable(buffSection);
+    tablesContainer.appendChild(buffSection);
+
+    // Resource Table
+    const resourceSection = document.createElement('div');
+    resourceSection.className = 'skill-table-section';
+    this.renderResourceTable(resourceSection);
+    tablesContainer.appendChild(resourceSection);
+
+    // Summon Damage Table
+    const summonSection = document.createElement('div');
+    summonSection.className = 'skill-table-section';
+    this.renderSummonTable(summonSection, stats);
+    tablesContainer.appendChild(summonSection);
+
     container.appendChild(tablesContainer);
   }
 
@@ -282,6 +334,7 @@ export class SkillAnalysis {
     let totalCritHits = 0;
     let totalLuckyHits = 0;
     let totalNormalHits = 0;
+    let totalMisses = 0;
     let normalDamage = 0;
     let critDamage = 0;
     let luckyDamage = 0;
@@ -291,6 +344,7 @@ export class SkillAnalysis {
       totalHits += skill.totalCount || 0;
       totalCritHits += skill.critCount || 0;
       totalLuckyHits += skill.luckyCount || 0;
+      totalMisses += (skill.missCount || 0) + (skill.immuneCount || 0);
 
       const breakdown = skill.countBreakdown || {};
       totalNormalHits += breakdown.normal || 0;
@@ -303,10 +357,12 @@ export class SkillAnalysis {
 
     const critRate = totalHits > 0 ? totalCritHits / totalHits : 0;
     const luckyRate = totalHits > 0 ? totalLuckyHits / totalHits : 0;
+    const missRate = totalHits + totalMisses > 0 ? totalMisses / (totalHits + totalMisses) : 0;
     const avgPerHit = totalHits > 0 ? totalDamage / totalHits : 0;
     const duration = this.data!.attr?.combat_duration || 1;
     const dps = totalDamage / duration;
     const hitsTaken = this.data!.attr?.hits_taken || 0;
+    const casts = this.data!.casts;
 
     return {
       totalDamage,
@@ -319,10 +375,15 @@ export class SkillAnalysis {
       luckyDamage,
       critRate,
       luckyRate,
+      missRate,
+      totalMisses,
       avgPerHit,
       dps,
       hitsTaken,
       duration,
+      totalCasts: casts?.totalCasts || 0,
+      wastedCasts: casts?.wastedCasts || 0,
+      castsPerMinute: casts?.castsPerMinute || 0,
     };
   }
 
@@ -373,6 +434,16 @@ export class SkillAnalysis {
           label: 'HPM (H/s)',
           render: (_value: any, row: any) => `${formatNumber(row.hitsPerMinute)} (${row.hitsPerSecond.toFixed(2)})`,
         },
+        {
+          key: 'castCount',
+          label: 'Casts',
+          render: (value: any) => formatNumber(value || 0),
+        },
+        {
+          key: 'wastedCasts',
+          label: 'Wasted',
+          render: (value: any) => formatNumber(value || 0),
+        },
         {
           key: 'avgPerHit',
           label: 'Average',
@@ -403,6 +474,24 @@ export class SkillAnalysis {
           label: 'Crit Rate',
           render: (value: any) => formatPercentage(value),
         },
+        {
+          key: 'missRate',
+          label: 'Miss Rate',
+          render: (value: any, row: any) => {
+            const misses = (row.missCount || 0) + (row.immuneCount || 0);
+            const title = `${formatNumber(row.missCount || 0, 0)} missed, ${formatNumber(row.immuneCount || 0, 0)} immune`;
+            return misses > 0 ? `<span title="${title}">${formatPercentage(value)}</span>` : formatPercentage(0);
+          },
+        },
+        {
+          key: 'overhealRate',
+          label: 'Overheal',
+          render: (value: any, row: any) => {
+            if (row.type !== 'healing') return '-';
+            const title = `${formatNumber(row.totalDamage - (row.overheal || 0))} effective`;
+            return `<span title="${title}">${formatPercentage(value || 0)}</span>`;
+          },
+        },
         {
           key: 'critAvg',
           label: 'Crit Avg',
@@ -464,6 +553,14 @@ export class SkillAnalysis {
           label: 'Damage %',
           render: (value: any) => formatPercentage(value),
         },
+        {
+          key: 'effectiveDamage',
+          label: 'Effective',
+          render: (value: any, row: any) => {
+            const title = `${formatNumber(row.overkill || 0)} overkill`;
+            return `<span title="${title}">${formatNumber(value || 0)}</span>`;
+          },
+        },
       ],
       data: targetData,
       emptyMessage: 'No target damage data',
@@ -473,6 +570,303 @@ export class SkillAnalysis {
     });
   }
 
+  private getBuffRows(): BuffRow[] {
+    const buffs = this.data!.buffs;
+    if (!buffs) return [];
+
+    const rows: BuffRow[] = [];
+    for (const source of ['received', 'applied'] as const) {
+      for (const [buffId, buff] of Object.entries(buffs[source])) {
+        rows.push({ ...buff, buffId, source });
+      }
+    }
+    return rows;
+  }
+
+  private renderBuffTable(container: HTMLElement): void {
+    this.buffTable = new Table(container, {
+      columns: [
+        {
+          key: 'displayName',
+          label: 'Buff',
+          render: (_value: any, row: any) => `${row.active ? '● ' : ''}${row.displayName}`,
+        },
+        {
+          key: 'source',
+          label: 'Type',
+          render: (value: any) => (value === 'applied' ? 'Applied' : 'Received'),
+        },
+        {
+          key: 'uptimeRate',
+          label: 'Uptime',
+          render: (value: any) => formatPercentage(value),
+        },
+        {
+          key: 'uptime',
+          label: 'Duration',
+          render: (value: any) => formatDuration(value),
+        },
+        {
+          key: 'applications',
+          label: 'Applications',
+          render: (value: any) => formatNumber(value, 0),
+        },
+        {
+          key: 'avgTargets',
+          label: 'Avg Targets',
+          render: (value: any, row: any) => (row.source === 'applied' ? value.toFixed(2) : '-'),
+        },
+      ],
+      data: this.getBuffRows(),
+      emptyMessage: 'No buffs recorded yet',
+      sortable: true,
+      defaultSortColumn: 'uptimeRate',
+      defaultSortDirection: 'desc',
+    });
+  }
+
+  private getResourceRows(): ResourceRow[] {
+    return Object.entries(this.data!.resources || {}).map(([resource, stats]) => ({ ...stats, resource }));
+  }
+
+  private renderResourceTable(container: HTMLElement): void {
+    this.resourceTable = new Table(container, {
+      columns: [
+        {
+          key: 'resource',
+          label: 'Resource',
+          render: (value: any) => value.charAt(0).toUpperCase() + value.slice(1),
+        },
+        {
+          key: 'current',
+          label: 'Current',
+          render: (value: any, row: any) => `${formatNumber(value, 0)} / ${formatNumber(row.cap, 0)}`,
+        },
+        {
+          key: 'average',
+          label: 'Average',
+          render: (value: any) => formatNumber(value, 0),
+        },
+        {
+          key: 'cappedRate',
+          label: 'Capped',
+          render: (value: any) => formatPercentage(value),
+        },
+        {
+          key: 'cappedTime',
+          label: 'Time Capped',
+          render: (value: any) => formatDuration(value),
+        },
+        {
+          key: 'gained',
+          label: 'Gained',
+          render: (value: any) => formatNumber(value, 0),
+        },
+        {
+          key: 'wasted',
+          label: 'Wasted',
+          render: (value: any) => formatNumber(value, 0),
+        },
+      ],
+      data: this.getResourceRows(),
+      emptyMessage: 'No resource changes recorded yet',
+      sortable: true,
+      defaultSortColumn: 'cappedRate',
+      defaultSortDirection: 'desc',
+    });
+  }
+
+  private getSummonRows(stats: SummaryStats): SummonRow[] {
+    const summons = new Map<string, SummonRow & { critHits: number; skillNames: string[] }>();
+    for (const skill of Object.values(this.data!.skills)) {
+      for (const summon of skill.summons || []) {
+        let row = summons.get(summon.summonKey);
+        if (!row) {
+          row = {
+            summonKey: summon.summonKey,
+            summonName: summon.summonName,
+            damage: 0,
+            hits: 0,
+            critHits: 0,
+            critRate: 0,
+            damagePercent: 0,
+            skills: '',
+            skillNames: [],
+          };
+          summons.set(summon.summonKey, row);
+        }
+        row.damage += summon.damage;
+        row.hits += summon.hits;
+        row.critHits += summon.critHits;
+        row.skillNames.push(skill.displayName);
+      }
+    }
+
+    return Array.from(summons.values(), ({ critHits, skillNames, ...row }) => ({
+      ...row,
+      critRate: row.hits > 0 ? critHits / row.hits : 0,
+      damagePercent: stats.totalDamage > 0 ? row.damage / stats.totalDamage : 0,
+      skills: skillNames.join(', '),
+    }));
+  }
+
+  private renderSummonTable(container: HTMLElement, stats: SummaryStats): void {
+    this.summonTable = new Table(container, {
+      columns: [
+        { key: 'summonName', label: 'Summon' },
+        { key: 'skills', label: 'Skills' },
+        {
+          key: 'damage',
+          label: 'Total DMG',
+          render: (value: any) => formatNumber(value),
+        },
+        {
+          key: 'damagePercent',
+          label: 'Damage %',
+          render: (value: any) => formatPercentage(value),
+        },
+        {
+          key: 'hits',
+          label: 'Hits',
+          render: (value: any) => formatNumber(value, 0),
+        },
+        {
+          key: 'critRate',
+          label: 'Crit Rate',
+          render: (value: any) => formatPercentage(value),
+        },
+      ],
+      data: this.getSummonRows(stats),
+      emptyMessage: 'No summon or pet damage recorded',
+      sortable: true,
+      defaultSortColumn: 'damage',
+      defaultSortDirection: 'desc',
+    });
+  }
+
+  private createTakenDamagePanel(): HTMLElement {
+    const panel = document.createElement('div');
+    panel.className = 'taken-damage-panel';
+
+    const sourceContainer = document.createElement('div');
+    const skillContainer = document.createElement('div');
+    panel.appendChild(sourceContainer);
+    panel.appendChild(skillContainer);
+
+    const renderKills = (value: any) => (value > 0 ? `<span class="taken-damage-kills">${value}</span>` : '-');
+
+    this.takenSourceTable = new Table(sourceContainer, {
+      columns: [
+        {
+          key: 'sourceName',
+          label: 'Source',
+          render: (_value: any, row: any) =>
+            row.monsterClassification ? `${row.sourceName} (${row.monsterClassification})` : row.sourceName,
+        },
+        {
+          key: 'damage',
+          label: 'Damage',
+          render: (value: any) => formatNumber(value),
+        },
+        {
+          key: 'damagePercent',
+          label: '%',
+          render: (value: any) => formatPercentage(value),
+        },
+        {
+          key: 'critRate',
+          label: 'Crit',
+          render: (value: any) => formatPercentage(value),
+        },
+        { key: 'kills', label: 'Kills', render: renderKills },
+      ],
+      data: [],
+      emptyMessage: 'No damage taken',
+      sortable: true,
+      defaultSortColumn: 'damage',
+      defaultSortDirection: 'desc',
+    });
+
+    this.takenSkillTable = new Table(skillContainer, {
+      columns: [
+        { key: 'displayName', label: 'Enemy Skill' },
+        {
+          key: 'damage',
+          label: 'Damage',
+          render: (value: any) => formatNumber(value),
+        },
+        {
+          key: 'hits',
+          label: 'Hits',
+          render: (value: any) => formatNumber(value, 0),
+        },
+        {
+          key: 'maxHit',
+          label: 'Max',
+          render: (value: any) => formatNumber(value),
+        },
+        { key: 'kills', label: 'Kills', render: renderKills },
+      ],
+      data: [],
+      emptyMessage: 'No damage taken',
+      sortable: true,
+      defaultSortColumn: 'damage',
+      defaultSortDirection: 'desc',
+    });
+
+    this.loadTakenDamage();
+    this.takenDamageInterval = window.setInterval(() => this.loadTakenDamage(), 2000);
+    return panel;
+  }
+
+  private createHealTargetPanel(): HTMLElement {
+    const panel = document.createElement('div');
+    panel.className = 'heal-target-panel';
+
+    this.healTargetTable = new Table(panel, {
+      columns: [
+        { key: 'name', label: 'Target' },
+        {
+          key: 'effective',
+          label: 'Effective',
+          render: (value: any) => formatNumber(value),
+        },
+        {
+          key: 'overhealRate',
+          label: 'Overheal',
+          render: (value: any) => formatPercentage(value),
+        },
+        {
+          key: 'hits',
+          label: 'Heals',
+          render: (value: any) => formatNumber(value, 0),
+        },
+      ],
+      data: this.data?.healing?.targets || [],
+      emptyMessage: 'No healing done',
+      sortable: true,
+      defaultSortColumn: 'effective',
+      defaultSortDirection: 'desc',
+    });
+
+    return panel;
+  }
+
+  private async loadTakenDamage(): Promise<void> {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.DAMAGE_TAKEN}/${this.uid}`);
+      const result = await response.json();
+      if (result.code !== 0 || !result.data) return;
+
+      const data: TakenDamageData = result.data;
+      this.takenSourceTable?.setData(data.bySource);
+      this.takenSkillTable?.setData(data.bySkill);
+      this.takenDamageCollapsible?.refresh();
+    } catch (error) {
+      console.error('[SkillAnalysis] Error loading damage taken:', error);
+    }
+  }
+
   private initializeCharts(): void {
     this.initDPSChart();
     this.initSkillDistributionChart();
@@ -786,8 +1180,37 @@ export class SkillAnalysis {
         }))
       );
 
+      // Uptime of active buffs grows continuously, compare it by the second
+      const buffsHash = JSON.stringify(
+        ['received', 'applied'].map((source) =>
+          Object.entries(skillData.buffs?.[source] || {}).map(([id, buff]: [string, any]) => ({
+            id,
+            apps: buff.applications,
+            active: buff.active,
+            secs: Math.floor(buff.uptime / 1000),
+          }))
+        )
+      );
+
+      // Time at the cap also grows continuously, compare it by the second
+      const resourcesHash = JSON.stringify(
+        Object.entries(skillData.resources || {}).map(([resource, stats]: [string, any]) => [
+          resource,
+          stats.current,
+          stats.cap,
+          Math.floor(stats.cappedTime / 1000),
+        ])
+      );
+
+      const healingHash = JSON.stringify(
+        (skillData.healing?.targets || []).map((target: any) => [target.uid, target.healing, target.effective])
+      );
+
       const targetDamageChanged = targetDamageHash !== this.lastTargetDamageHash;
       const skillsChanged = skillsHash !== this.lastSkillsHash;
+      const buffsChanged = buffsHash !== this.lastBuffsHash;
+      const resourcesChanged = resourcesHash !== this.lastResourcesHash;
+      const healingChanged = healingHash !== this.lastHealingHash;
 
       // Only log if something changed
       if (targetDamageChanged || skillsChanged) {
@@ -815,6 +1238,22 @@ export class SkillAnalysis {
         this.lastTargetDamageHash = targetDamageHash;
         this.updateMonsterTable();
       }
+
+      if (buffsChanged) {
+        this.lastBuffsHash = buffsHash;
+        this.buffTable?.setData(this.getBuffRows());
+      }
+
+      if (resourcesChanged) {
+        this.lastResourcesHash = resourcesHash;
+        this.resourceTable?.setData(this.getResourceRows());
+      }
+
+      if (healingChanged) {
+        this.lastHealingHash = healingHash;
+        this.healTargetTable?.setData(skillData.healing?.targets || []);
+        this.healTargetCollapsible?.refresh();
+      }
     });
 
     // Listen for theme changes
@@ -870,6 +1309,7 @@ export class SkillAnalysis {
     }));
 
     this.skillsTable.setData(skillsArray);
+    this.summonTable?.setData(this.getSummonRows(stats));
   }
 
   /**
@@ -944,6 +1384,11 @@ export class SkillAnalysis {
   }
 
   public destroy(): void {
+    if (this.takenDamageInterval !== null) {
+      clearInterval(this.takenDamageInterval);
+      this.takenDamageInterval = null;
+    }
+
     // Disconnect Socket.IO
     if (this.socket) {
       this.socket.disconnect();
@@ -955,6 +1400,9 @@ export class SkillAnalysis {
     this.summaryCards?.destroy();
     this.skillsTable?.destroy();
     this.monsterTable?.destroy();
+    this.buffTable?.destroy();
+    this.takenSourceTable?.destroy();
+    this.takenSkillTable?.destroy();
     this.container.innerHTML = '';
   }
 }
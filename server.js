@@ -10,14 +10,22 @@ const zlib = require("zlib");
 const { UserDataManager } = require(
   path.join(__dirname, "src", "server", "service", "dataManager"),
 );
-const Sniffer = require(
-  path.join(__dirname, "src", "server", "service", "sniffer"),
+const { CaptureWorker } = require(
+  path.join(__dirname, "src", "server", "service", "captureWorker"),
 );
+const {
+  createCaptureSource,
+  LiveCaptureSource,
+  PcapFileSource,
+  StdinSource,
+} = require(path.join(__dirname, "src", "server", "service", "captureSources"));
 const CollectionManager = require(
   path.join(__dirname, "src", "server", "service", "collectionManager"),
 );
+const AgentServer = require(
+  path.join(__dirname, "src", "server", "service", "agentServer"),
+);
 const initializeApi = require(path.join(__dirname, "src", "server", "api"));
-const PacketProcessor = require(path.join(__dirname, "src", "algo", "packet"));
 const configPaths = require(
   path.join(__dirname, "src", "server", "utilities", "configPaths"),
 );
@@ -141,10 +149,29 @@ async function main() {
     // Continue anyway - don't block server startup
   }
 
-  const sniffer = new Sniffer(logger, userDataManager, globalSettings); // Pass globalSettings to sniffer
+  // Reassembly and decoding run in a worker thread, combat events are applied here
+  const sniffer = new CaptureWorker(logger, userDataManager, globalSettings);
+
+  // Capture source: --source <device|live:name|stdin|tcp://host:port|tcp-listen://[host]:port|file|agent>
+  // Without one, live capture uses the interface selected in the settings, or detects it
+  // --replay <file.pcap|file.pcapng> is kept as a shorthand for a file source
+  // --realtime paces file sources by their capture timestamps
+  // --agent-token <token> is the shared secret remote agents must present (--source agent), generated if not given
+  const argv = process.argv.slice(2);
+  const valueFlags = ["--source", "--replay", "--agent-token"];
+  const getOption = (flag) => {
+    const index = argv.indexOf(flag);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+  const replayFile = getOption("--replay");
+  const sourceSpec = getOption("--source");
+  const realtime = argv.includes("--realtime");
 
   // Get device number and log level from command line arguments
-  const args = process.argv.slice(2);
+  const args = argv.filter(
+    (arg, index) =>
+      !arg.startsWith("--") && !valueFlags.includes(argv[index - 1]),
+  );
   let current_arg_index = 0;
 
   if (args[current_arg_index] && !isNaN(parseInt(args[current_arg_index]))) {
@@ -154,8 +181,47 @@ async function main() {
 
   let deviceNum = args[current_arg_index];
 
+  // Remote agents forward reassembled game packets, so there is no local source
+  let agentServer = null;
+
   try {
-    await sniffer.start(deviceNum, PacketProcessor);
+    for (const flag of valueFlags) {
+      if (argv.includes(flag) && !getOption(flag)) {
+        throw new Error(`${flag} requires a value`);
+      }
+    }
+
+    if (sourceSpec === "agent") {
+      agentServer = new AgentServer(logger, sniffer, {
+        token:
+          getOption("--agent-token") || process.env.BPSR_AGENT_TOKEN || null,
+      });
+    } else {
+      const source = replayFile
+        ? new PcapFileSource(replayFile, { realtime })
+        : createCaptureSource(
+            sourceSpec ??
+              deviceNum ??
+              (globalSettings.networkInterface
+                ? `live:${globalSettings.networkInterface}`
+                : undefined),
+            { logger, realtime },
+          );
+      if (source instanceof StdinSource) {
+        // The console prompt would otherwise compete for the capture bytes
+        rl.close();
+      }
+      if (!(source instanceof LiveCaptureSource)) {
+        console.log(`Reading capture from ${source.name}...`);
+      }
+      await sniffer.start(source, {
+        onComplete: ({ frames, skipped, elapsed }) => {
+          console.log(
+            `Capture source ${source.name} finished: ${frames} frames processed, ${skipped} skipped (non-IPv4) in ${(elapsed / 1000).toFixed(1)}s`,
+          );
+        },
+      });
+    }
   } catch (error) {
     logger.error(`Error starting sniffer: ${error.message}`);
     rl.close();
@@ -212,6 +278,10 @@ async function main() {
     sniffer,
   ); // Initialize API with globalSettings and sniffer
 
+  if (agentServer) {
+    agentServer.attach(server);
+  }
+
   server.listen(server_port, "0.0.0.0", () => {
     const localUrl = `http://localhost:${server_port}`;
 
@@ -1,4 +1,5 @@
 const { exec } = require("child_process");
+const fs = require("fs");
 const cap = require("cap");
 
 // Filter virtual adapters
@@ -11,6 +12,9 @@ const VIRTUAL_KEYWORDS = [
   "tap",
   "bluetooth",
   "wan miniport",
+  "docker",
+  "veth",
+  "virbr",
 ];
 
 function isVirtual(name) {
@@ -18,6 +22,23 @@ function isVirtual(name) {
   return VIRTUAL_KEYWORDS.some((keyword) => lower.includes(keyword));
 }
 
+// libpcap names Linux loopback "lo", so rely on its flag as well
+function isVirtualDevice(device) {
+  return (
+    device.flags === "PCAP_IF_LOOPBACK" ||
+    isVirtual(device.description || device.name || "")
+  );
+}
+
+function run(command) {
+  return new Promise((resolve, reject) => {
+    exec(command, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+}
+
 // Detect TCP traffic for 3 seconds
 function detectTraffic(deviceIndex, devices) {
   return new Promise((resolve) => {
@@ -53,25 +74,65 @@ function detectTraffic(deviceIndex, devices) {
   });
 }
 
-async function findByRoute(devices) {
-  try {
-    const stdout = await new Promise((resolve, reject) => {
-      exec("route print 0.0.0.0", (error, stdout) => {
-        if (error) reject(error);
-        else resolve(stdout);
-      });
-    });
+/**
+ * Parse the default route out of /proc/net/route
+ * @param {string} table - File contents
+ * @returns {string|undefined} - Interface name of the default route with the lowest metric
+ */
+function parseProcNetRoute(table) {
+  const RTF_UP = 0x1;
+  return table
+    .split("\n")
+    .slice(1)
+    .map((line) => line.trim().split(/\s+/))
+    .filter(
+      ([iface, destination, , flags, , , , mask]) =>
+        iface &&
+        destination === "00000000" &&
+        mask === "00000000" &&
+        parseInt(flags, 16) & RTF_UP,
+    )
+    .sort((a, b) => parseInt(a[6]) - parseInt(b[6]))[0]?.[0];
+}
 
-    const defaultInterface = stdout
-      .split("\n")
-      .find((line) => line.trim().startsWith("0.0.0.0"))
-      ?.trim()
-      .split(/\s+/)[3];
+/**
+ * Find the default route of the host
+ * @returns {Promise<{iface?: string, address?: string}|undefined>} - Linux reports the
+ * interface name, Windows the address of the interface
+ */
+async function getDefaultRoute() {
+  if (process.platform === "linux") {
+    try {
+      const iface = parseProcNetRoute(
+        await fs.promises.readFile("/proc/net/route", "utf8"),
+      );
+      if (iface) return { iface };
+    } catch (error) {
+      // Not available in every container, fall back to iproute2
+    }
+    const iface = (await run("ip route show default")).match(
+      /\bdev\s+(\S+)/,
+    )?.[1];
+    return iface ? { iface } : undefined;
+  }
+
+  const address = (await run("route print 0.0.0.0"))
+    .split("\n")
+    .find((line) => line.trim().startsWith("0.0.0.0"))
+    ?.trim()
+    .split(/\s+/)[3];
+  return address ? { address } : undefined;
+}
 
-    if (!defaultInterface) return undefined;
+async function findByRoute(devices) {
+  try {
+    const route = await getDefaultRoute();
+    if (!route) return undefined;
 
     const targetInterface = Object.entries(devices).find(([, device]) =>
-      device.addresses.find((address) => address.addr === defaultInterface),
+      route.iface
+        ? device.name === route.iface
+        : device.addresses.find((address) => address.addr === route.address),
     )?.[0];
 
     return targetInterface !== undefined
@@ -82,15 +143,49 @@ async function findByRoute(devices) {
   }
 }
 
+/**
+ * Find a device by name, or by description as shown for Npcap adapters
+ * @param {Array} devices - From Cap.deviceList()
+ * @param {string} name - Device name or description
+ * @returns {number|undefined} - Device index
+ */
+function findDeviceByName(devices, name) {
+  const index = devices.findIndex((device) => device.name === name);
+  if (index !== -1) return index;
+  const byDescription = devices.findIndex(
+    (device) => device.description === name,
+  );
+  return byDescription !== -1 ? byDescription : undefined;
+}
+
+/**
+ * Describe the capture devices for manual interface selection
+ * @param {Array} [devices] - From Cap.deviceList(), listed fresh if omitted
+ * @returns {Promise<Array<{index: number, name: string, description: string|null, addresses: string[], virtual: boolean, defaultRoute: boolean}>>}
+ */
+async function listNetworkDevices(devices = cap.Cap.deviceList()) {
+  const routeIndex = await findByRoute(devices);
+  return devices.map((device, index) => ({
+    index,
+    name: device.name,
+    description: device.description || null,
+    addresses: (device.addresses || [])
+      .map((address) => address.addr)
+      .filter(Boolean),
+    virtual: isVirtualDevice(device),
+    defaultRoute: index === routeIndex,
+  }));
+}
+
 async function findDefaultNetworkDevice(devices) {
   try {
     // Get physical adapters
-    const physical = Object.entries(devices).filter(([, device]) => {
-      const name = device.description || device.name || "";
-      return (
-        !isVirtual(name) && device.addresses && device.addresses.length > 0
-      );
-    });
+    const physical = Object.entries(devices).filter(
+      ([, device]) =>
+        !isVirtualDevice(device) &&
+        device.addresses &&
+        device.addresses.length > 0,
+    );
 
     if (physical.length === 0) {
       return await findByRoute(devices);
@@ -112,7 +207,7 @@ async function findDefaultNetworkDevice(devices) {
 
     if (best) {
       console.log(
-        `Using adapter with most traffic: ${best.index} - ${devices[best.index].description} (${best.packets} packets)`,
+        `Using adapter with most traffic: ${best.index} - ${devices[best.index].description || devices[best.index].name} (${best.packets} packets)`,
       );
       return best.index;
     }
@@ -122,7 +217,7 @@ async function findDefaultNetworkDevice(devices) {
     if (
       routeIndex !== undefined &&
       devices[routeIndex] &&
-      isVirtual(devices[routeIndex].description || "")
+      isVirtualDevice(devices[routeIndex])
     ) {
       console.log(
         "Route table selected virtual adapter, using first physical adapter instead",
@@ -136,4 +231,10 @@ async function findDefaultNetworkDevice(devices) {
   }
 }
 
-module.exports = findDefaultNetworkDevice;
+module.exports = {
+  findDefaultNetworkDevice,
+  findByRoute,
+  findDeviceByName,
+  listNetworkDevices,
+  parseProcNetRoute,
+};
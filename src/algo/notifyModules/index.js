@@ -0,0 +1,22 @@
+/**
+ * Notify modules loaded by every packet processor
+ *
+ * A module is a function called with the processor's NotifyRegistry and
+ * { logger }. It registers decoders for the notify methods it handles and may
+ * subscribe to the results of its own or other modules' handlers:
+ *
+ *   module.exports = (registry, { logger }) => {
+ *     registry.register({
+ *       name: "ChatMessage",
+ *       methodId: 0x12,
+ *       decode: (payload) => ({ text: payload.toString() }),
+ *       publish: true,
+ *     });
+ *   };
+ *
+ * Modules run in the capture worker. Results of handlers registered with
+ * publish are forwarded to the main thread, where they are emitted on
+ * userDataManager.notifyEvents under the handler name; they have to be plain
+ * data (no functions, Longs converted to numbers or strings).
+ */
+module.exports = [];
@@ -0,0 +1,159 @@
+const WORLD_SERVICE_UUID = 0x0000000063335342n; // Service of the world notify methods
+
+/**
+ * Decoders for notify messages, by service and method ID
+ *
+ * Each handler decodes the payload of one method and passes its result to the
+ * handler's subscribers. Several handlers may share a method, e.g. a module
+ * reading fields of a message the packet processor already handles. Results of
+ * handlers registered with publish are also handed to onPublish, which the
+ * packet processor forwards to the main thread.
+ */
+class NotifyRegistry {
+  /**
+   * @param {Object} logger - Logger
+   * @param {Function} [onPublish] - Called with (name, result) for handlers registered with publish
+   */
+  constructor(logger, onPublish = null) {
+    this.logger = logger;
+    this.onPublish = onPublish;
+    this.handlers = new Map(); // Handlers by "service:method" key, in registration order
+    this.names = new Set();
+    this.subscribers = new Map(); // Listeners by handler name
+  }
+
+  /**
+   * Register a decoder for a notify method
+   * @param {Object} handler
+   * @param {string} handler.name - Unique name subscribers refer to the handler by
+   * @param {number} handler.methodId - Notify method ID
+   * @param {bigint} [handler.serviceUuid] - Service ID, the world service by default
+   * @param {Function} handler.decode - Called with (payload, context), returns the result for subscribers or undefined for none
+   * @param {boolean} [handler.publish] - Forward results to the main thread; they must then be plain data
+   * @returns {Function} - Removes the handler again
+   */
+  register({
+    name,
+    methodId,
+    serviceUuid = WORLD_SERVICE_UUID,
+    decode,
+    publish = false,
+  }) {
+    if (this.names.has(name)) {
+      throw new Error(`Notify handler ${name} is already registered`);
+    }
+
+    const key = this._key(serviceUuid, methodId);
+    const handler = { name, serviceUuid, methodId, decode, publish };
+    if (!this.handlers.has(key)) this.handlers.set(key, []);
+    this.handlers.get(key).push(handler);
+    this.names.add(name);
+
+    return () => {
+      const handlers = this.handlers.get(key) ?? [];
+      const index = handlers.indexOf(handler);
+      if (index === -1) return;
+      handlers.splice(index, 1);
+      if (handlers.length === 0) this.handlers.delete(key);
+      this.names.delete(name);
+    };
+  }
+
+  /**
+   * Receive the results of a handler
+   * @param {string} name - Handler name
+   * @param {Function} listener - Called with (result, context)
+   * @returns {Function} - Removes the listener again
+   */
+  subscribe(name, listener) {
+    if (!this.subscribers.has(name)) this.subscribers.set(name, new Set());
+    this.subscribers.get(name).add(listener);
+    return () => this.subscribers.get(name)?.delete(listener);
+  }
+
+  /**
+   * @param {bigint} serviceUuid - Service ID
+   * @param {number} methodId - Notify method ID
+   * @returns {boolean} - Whether any handler decodes the method
+   */
+  has(serviceUuid, methodId) {
+    return this.handlers.has(this._key(serviceUuid, methodId));
+  }
+
+  /**
+   * @param {bigint} serviceUuid - Service ID
+   * @param {number} methodId - Notify method ID
+   * @returns {string|null} - Name of the first handler of the method
+   */
+  getName(serviceUuid, methodId) {
+    return (
+      this.handlers.get(this._key(serviceUuid, methodId))?.[0].name ?? null
+    );
+  }
+
+  /**
+   * Run the handlers of a method
+   * Every handler runs even if an earlier one throws; the first error is
+   * rethrown afterwards so the packet still counts as failed to decode
+   * @param {bigint} serviceUuid - Service ID
+   * @param {number} methodId - Notify method ID
+   * @param {Buffer} payload - Decompressed payload
+   * @param {Object} context - Passed to decoders and subscribers, e.g. { isPaused }
+   * @returns {boolean} - Whether any handler decoded the message
+   */
+  dispatch(serviceUuid, methodId, payload, context) {
+    const handlers = this.handlers.get(this._key(serviceUuid, methodId));
+    if (!handlers) return false;
+
+    let error = null;
+    for (const handler of handlers) {
+      let result;
+      try {
+        result = handler.decode(payload, context);
+      } catch (e) {
+        error ??= e;
+        continue;
+      }
+      if (result === undefined) continue;
+
+      for (const listener of this.subscribers.get(handler.name) ?? []) {
+        try {
+          listener(result, context);
+        } catch (e) {
+          this.logger.error(
+            `Subscriber of notify handler ${handler.name} failed: ${e.message}`,
+          );
+        }
+      }
+      if (handler.publish) this.onPublish?.(handler.name, result);
+    }
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Registered handlers, for diagnostics
+   * @returns {Array<{name: string, service: string, methodId: number, publish: boolean, subscribers: number}>}
+   */
+  getHandlers() {
+    return Array.from(this.handlers.values()).flatMap((handlers) =>
+      handlers.map((handler) => ({
+        name: handler.name,
+        service: `0x${handler.serviceUuid.toString(16)}`,
+        methodId: handler.methodId,
+        publish: handler.publish,
+        subscribers: this.subscribers.get(handler.name)?.size ?? 0,
+      })),
+    );
+  }
+
+  _key(serviceUuid, methodId) {
+    return `${serviceUuid}:${methodId}`;
+  }
+}
+
+module.exports = {
+  NotifyRegistry,
+  WORLD_SERVICE_UUID,
+};
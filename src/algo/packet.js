@@ -3,6 +3,7 @@ const pb = require("./blueprotobuf");
 const Long = require("long");
 const pbjs = require("protobufjs/minimal");
 const fs = require("fs");
+const { NotifyRegistry, WORLD_SERVICE_UUID } = require("./notifyRegistry");
 
 class BinaryReader {
   constructor(buffer, offset = 0) {
@@ -97,6 +98,11 @@ const NotifyMethod = {
   SyncToMeDeltaInfo: 0x0000002e,
 };
 
+// World service methods called by the client (MessageType.Call)
+const CallMethod = {
+  UseSkill: 0x00000031,
+};
+
 const AttrType = {
   AttrName: 0x01,
   AttrId: 0x0a,
@@ -254,8 +260,17 @@ const streamReadString = (reader) => {
 
 let currentUserUuid = Long.ZERO;
 
+const MIN_SERVER_TIME = 1577836800000; // 2020-01-01, earlier SyncServerTime values are not epoch times
+
 class PacketProcessor {
-  constructor({ logger, userDataManager }) {
+  constructor({
+    logger,
+    userDataManager,
+    captureStats = null,
+    protocolInspector = null,
+    serverClock = null,
+    notifyModules = require("./notifyModules"),
+  }) {
     // Wrap logger with [Packet] prefix
     this.logger = {
       info: (msg) => {}, // Suppressed (too verbose)
@@ -264,6 +279,88 @@ class PacketProcessor {
       debug: (msg) => {}, // Suppressed (too verbose)
     };
     this.userDataManager = userDataManager;
+    this.captureStats = captureStats; // Counts packets that fail to decode
+    this.protocolInspector = protocolInspector; // Buffers raw messages while enabled
+    this.serverClock = serverClock; // Converts capture times to server times
+    this.eventTime = null; // Event time last passed to the data manager
+
+    // Published handler results are applied on the main thread like combat events
+    this.notifyRegistry = new NotifyRegistry(this.logger, (name, result) =>
+      this.userDataManager.publishNotify(name, result),
+    );
+    this._registerNotifyHandlers();
+    for (const registerModule of notifyModules) {
+      try {
+        registerModule(this.notifyRegistry, { logger: this.logger });
+      } catch (e) {
+        this.logger.error(`Failed to load notify module: ${e.message}`);
+      }
+    }
+  }
+
+  /** Register the notify methods the meter decodes itself */
+  _registerNotifyHandlers() {
+    const handlers = {
+      SyncSceneData: (payload) => this._processSyncSceneData(payload),
+      SyncNearEntities: (payload) => this._processSyncNearEntities(payload),
+      SyncContainerData: (payload) => this._processSyncContainerData(payload),
+      SyncContainerDirtyData: (payload) =>
+        this._processSyncContainerDirtyData(payload),
+      SyncToMeDeltaInfo: (payload, { isPaused }) =>
+        this._processSyncToMeDeltaInfo(payload, isPaused),
+      SyncNearDeltaInfo: (payload, { isPaused }) =>
+        this._processSyncNearDeltaInfo(payload, isPaused),
+      SyncServerTime: (payload, { receivedAt }) =>
+        this._processSyncServerTime(payload, receivedAt),
+    };
+    for (const [name, decode] of Object.entries(handlers)) {
+      this.notifyRegistry.register({
+        name,
+        methodId: NotifyMethod[name],
+        // The built-in handlers apply the message directly, without a result
+        decode: (payload, context) => {
+          decode(payload, context);
+        },
+      });
+    }
+  }
+
+  /** Hand a message to the protocol inspector, if it is recording
+   * @param {string} messageType - Message type name
+   * @param {bigint} serviceUuid - Service ID
+   * @param {number} methodId - Method ID
+   * @param {Buffer|Uint8Array} payload - Decompressed payload
+   * @param {boolean} compressed - Whether the payload arrived compressed
+   * @param {Object} [methods] - Known world service methods of this message type, by name
+   */
+  _inspect(messageType, serviceUuid, methodId, payload, compressed, methods) {
+    if (!this.protocolInspector?.enabled) return;
+    let methodName = null;
+    if (methods && serviceUuid === WORLD_SERVICE_UUID) {
+      methodName =
+        Object.keys(methods).find((name) => methods[name] === methodId) ?? null;
+    }
+    if (messageType === "Notify") {
+      methodName ??= this.notifyRegistry.getName(serviceUuid, methodId);
+    }
+    this.protocolInspector.record({
+      messageType,
+      serviceUuid,
+      methodId,
+      methodName,
+      compressed: !!compressed,
+      payload,
+    });
+  }
+
+  /** Payload of the message the reader is at, decompressed
+   * @param {BinaryReader} reader - Positioned after the message header
+   * @param {boolean} isZstdCompressed - Whether the payload is compressed
+   * @returns {Buffer}
+   */
+  _readPayload(reader, isZstdCompressed) {
+    const payload = reader.readRemaining();
+    return isZstdCompressed ? this._decompressPayload(payload) : payload;
   }
 
   _decompressPayload(buffer) {
@@ -285,22 +382,44 @@ class PacketProcessor {
     const isTargetMonster = isUuidMonster(targetUuid);
     targetUuid = targetUuid.shiftRight(16);
 
-    const attrCollection = aoiSyncDelta.Attrs;
-    if (attrCollection && attrCollection.Attrs) {
-      if (isTargetPlayer) {
-        this._processPlayerAttrs(targetUuid.toNumber(), attrCollection.Attrs);
-      } else if (isTargetMonster) {
-        this._processEnemyAttrs(targetUuid.toNumber(), attrCollection.Attrs);
-      }
+    const attrs = aoiSyncDelta.Attrs?.Attrs;
+    if (attrs && isTargetMonster) {
+      this._processEnemyAttrs(targetUuid.toNumber(), attrs);
+    }
+
+    if (isTargetPlayer || isTargetMonster) {
+      this._processBuffs(
+        targetUuid.toNumber(),
+        isTargetPlayer,
+        aoiSyncDelta,
+        isPaused,
+      );
     }
 
-    const skillEffect = aoiSyncDelta.SkillEffects;
-    if (!skillEffect) return;
+    // Skip damage/healing processing if paused, but still process player attributes
+    if (!isPaused) {
+      this._processSkillEffects(
+        aoiSyncDelta.SkillEffects,
+        targetUuid,
+        isTargetPlayer,
+      );
+    }
 
-    // Skip damage/healing processing if paused, but continue processing player attributes above
-    if (isPaused) return;
+    // The HP in a player's delta already includes the healing of its skill
+    // effects, so it is applied after them and the heals are measured against
+    // the HP the player had before
+    if (attrs && isTargetPlayer) {
+      this._processPlayerAttrs(targetUuid.toNumber(), attrs);
+    }
+  }
 
-    if (!skillEffect.Damages) return;
+  /** Record the damage and healing a target received in an AOI delta
+   * @param {Object} skillEffect - Decoded SkillEffect of the delta, if any
+   * @param {Long} targetUuid - Shifted UUID of the target
+   * @param {boolean} isTargetPlayer - Whether the target is a player
+   */
+  _processSkillEffects(skillEffect, targetUuid, isTargetPlayer) {
+    if (!skillEffect?.Damages) return;
     for (const syncDamageInfo of skillEffect.Damages) {
       const skillId = syncDamageInfo.OwnerId;
       if (!skillId) continue;
@@ -311,10 +430,27 @@ class PacketProcessor {
       const isAttackerPlayer = isUuidPlayer(attackerUuid);
       attackerUuid = attackerUuid.shiftRight(16);
 
+      // Summon or pet that dealt the hit on behalf of the attacker
+      const summonUid =
+        syncDamageInfo.TopSummonerId &&
+        syncDamageInfo.AttackerUuid &&
+        !syncDamageInfo.AttackerUuid.equals(syncDamageInfo.TopSummonerId)
+          ? syncDamageInfo.AttackerUuid.shiftRight(16).toNumber()
+          : null;
+
       const value = syncDamageInfo.Value;
       const luckyValue = syncDamageInfo.LuckyValue;
       const damage = value ?? luckyValue ?? Long.ZERO;
-      if (damage.isZero()) continue;
+      if (damage.isZero()) {
+        this._processMiss(
+          syncDamageInfo,
+          attackerUuid.toNumber(),
+          isAttackerPlayer,
+          targetUuid.toNumber(),
+          isTargetPlayer,
+        );
+        continue;
+      }
 
       // syncDamageInfo.IsCrit doesn't seem to be set by server, use typeFlag instead
       // const isCrit = syncDamageInfo.IsCrit !== null ? syncDamageInfo.IsCrit : false;
@@ -329,8 +465,6 @@ class PacketProcessor {
           ? (syncDamageInfo.TypeFlag & 0b100) === 0b100
           : false;
 
-      const isMiss =
-        syncDamageInfo.IsMiss != null ? syncDamageInfo.IsMiss : false;
       const isHeal = syncDamageInfo.Type === pb.EDamageType.Heal;
       const isDead =
         syncDamageInfo.IsDead != null ? syncDamageInfo.IsDead : false;
@@ -362,6 +496,10 @@ class PacketProcessor {
             targetUuid.toNumber(),
             damage.toNumber(),
             isDead,
+            attackerUuid.toNumber(),
+            isAttackerPlayer,
+            skillId,
+            isCrit,
           );
         }
         if (isDead) {
@@ -385,6 +523,8 @@ class PacketProcessor {
               isCauseLucky,
               hpLessenValue.toNumber(),
               targetUuid.toNumber(),
+              summonUid,
+              isDead,
             );
           }
         }
@@ -396,54 +536,105 @@ class PacketProcessor {
       if (isCauseLucky) extra.push("CauseLucky");
       if (extra.length === 0) extra = ["Normal"];
 
-      const actionType = isHeal ? "HEAL" : "DMG";
+      this.userDataManager.addCombatLog({
+        actionType: isHeal ? "HEAL" : "DMG",
+        damageSource: getDamageSource(damageSource),
+        attackerUid: attackerUuid.toNumber(),
+        isAttackerPlayer,
+        targetUid: targetUuid.toNumber(),
+        isTargetPlayer,
+        skillId,
+        value: damage.toString(),
+        hpLessenValue: hpLessenValue.toString(),
+        element: damageElement.slice(-1),
+        extra,
+      });
+    }
+  }
 
-      let infoStr = `SRC: `;
-      if (isAttackerPlayer) {
-        const attacker = this.userDataManager.getUser(attackerUuid.toNumber());
-        if (attacker.name) {
-          infoStr += attacker.name;
-        }
-        infoStr += `#${attackerUuid.toString()}(player)`;
-      } else {
-        if (this.userDataManager.enemyCache.name.has(attackerUuid.toNumber())) {
-          infoStr += this.userDataManager.enemyCache.name.get(
-            attackerUuid.toNumber(),
-          );
-        }
-        infoStr += `#${attackerUuid.toString()}(enemy)`;
-      }
+  /** Record a hit that dealt nothing because it missed, was dodged or hit an immune target
+   * Other zero-value hits are ignored. Only misses of players are counted,
+   * against any target; the combat log gets all of them
+   * @param {Object} syncDamageInfo - Decoded SyncDamageInfo with a zero value
+   * @param {number} attackerUid - Shifted UID of the attacker (or its top summoner)
+   * @param {boolean} isAttackerPlayer - Whether the attacker is a player
+   * @param {number} targetUid - Shifted UID of the target
+   * @param {boolean} isTargetPlayer - Whether the target is a player
+   */
+  _processMiss(
+    syncDamageInfo,
+    attackerUid,
+    isAttackerPlayer,
+    targetUid,
+    isTargetPlayer,
+  ) {
+    const isImmune = syncDamageInfo.Type === pb.EDamageType.Immune;
+    const isMiss =
+      !!syncDamageInfo.IsMiss || syncDamageInfo.Type === pb.EDamageType.Miss;
+    if (!isMiss && !isImmune) return;
+
+    const skillId = syncDamageInfo.OwnerId;
+    const damageElement = getDamageElement(syncDamageInfo.Property);
+    if (isAttackerPlayer) {
+      this.userDataManager.addMiss(
+        attackerUid,
+        skillId,
+        damageElement,
+        isImmune,
+      );
+    }
 
-      let targetName = "";
-      if (isTargetPlayer) {
-        const target = this.userDataManager.getUser(targetUuid.toNumber());
-        if (target.name) {
-          targetName += target.name;
-        }
-        targetName += `#${targetUuid.toString()}(player)`;
-      } else {
-        if (this.userDataManager.enemyCache.name.has(targetUuid.toNumber())) {
-          targetName += this.userDataManager.enemyCache.name.get(
-            targetUuid.toNumber(),
-          );
-        }
-        targetName += `#${targetUuid.toString()}(enemy)`;
+    this.userDataManager.addCombatLog({
+      actionType: "DMG",
+      damageSource: getDamageSource(syncDamageInfo.DamageSource ?? 0),
+      attackerUid,
+      isAttackerPlayer,
+      targetUid,
+      isTargetPlayer,
+      skillId,
+      value: "0",
+      hpLessenValue: "0",
+      element: damageElement.slice(-1),
+      extra: [isImmune ? "Immune" : "Miss"],
+    });
+  }
+
+  /** Track buffs and debuffs added to, refreshed on or removed from an entity
+   * BuffInfos carries the state of each added or refreshed buff instance,
+   * BuffEffect the events of its lifecycle, of which only removal is needed
+   * @param {number} hostUid - Shifted UID of the entity carrying the buffs
+   * @param {boolean} isHostPlayer - Whether the entity is a player
+   * @param {Object} aoiSyncDelta - Decoded AoiSyncDelta
+   * @param {boolean} isPaused - Whether tracking is paused
+   */
+  _processBuffs(hostUid, isHostPlayer, aoiSyncDelta, isPaused = false) {
+    // Removals are still applied while paused so no buff stays active forever
+    if (!isPaused) {
+      for (const buffInfo of aoiSyncDelta.BuffInfos?.BuffInfos ?? []) {
+        if (buffInfo.BuffUuid == null || !buffInfo.BaseId) continue;
+
+        const fireUuid = buffInfo.FireUuid;
+        const sourceUid =
+          fireUuid && isUuidPlayer(fireUuid)
+            ? fireUuid.shiftRight(16).toNumber()
+            : 0;
+        this.userDataManager.addBuff(
+          hostUid,
+          isHostPlayer,
+          buffInfo.BuffUuid,
+          buffInfo.BaseId,
+          sourceUid,
+          buffInfo.Duration ?? 0,
+        );
+        this.logger.debug(
+          `[BUFF] Host: ${hostUid} Buff: ${buffInfo.BaseId} Source: ${sourceUid}`,
+        );
       }
-      infoStr += ` TGT: ${targetName}`;
-
-      const dmgLogArr = [
-        `[${actionType}]`,
-        `DS: ${getDamageSource(damageSource)}`,
-        infoStr,
-        `ID: ${skillId}`,
-        `VAL: ${damage}`,
-        `HPLSN: ${hpLessenValue}`,
-        `ELEM: ${damageElement.slice(-1)}`,
-        `EXT: ${extra.join("|")}`,
-      ];
-      const dmgLog = dmgLogArr.join(" ");
-      this.logger.info(dmgLog);
-      this.userDataManager.addLog(dmgLog);
+    }
+
+    for (const buffEffect of aoiSyncDelta.BuffEffect?.BuffEffects ?? []) {
+      if (buffEffect.Type !== pb.EBuffEventType.BuffEventRemove) continue;
+      this.userDataManager.removeBuff(hostUid, buffEffect.BuffUuid);
     }
   }
 
@@ -514,6 +705,8 @@ class PacketProcessor {
           vData.Attr.MaxHp.toNumber(),
         );
 
+      if (vData.TeamInfo) this._processTeamInfo(vData.TeamInfo);
+
       if (!vData.CharBase) return;
       const charBase = vData.CharBase;
 
@@ -558,6 +751,24 @@ class PacketProcessor {
     }
   }
 
+  /** Pass on the local player's team roster
+   * TeamInfo (CharTeam) has the team ID, 0 outside a team, and the member
+   * CharIds, which are player UIDs listed party by party in raids
+   * @param {Object} teamInfo - CharTeam message
+   */
+  _processTeamInfo(teamInfo) {
+    const teamId = teamInfo.TeamId
+      ? Long.fromValue(teamInfo.TeamId).toNumber()
+      : 0;
+    const members = teamId
+      ? (teamInfo.CharIds || []).map((charId) =>
+          Long.fromValue(charId).toNumber(),
+        )
+      : [];
+    this.logger.debug(`[TEAM] ID: ${teamId} Members: ${members.join(", ")}`);
+    this.userDataManager.setTeam(teamId || null, members);
+  }
+
   _processSyncContainerDirtyData(payloadBuffer) {
     if (currentUserUuid.isZero()) return;
 
@@ -566,6 +777,14 @@ class PacketProcessor {
     if (!syncContainerDirtyData.VData || !syncContainerDirtyData.VData.Buffer)
       return;
     this.logger.debug(syncContainerDirtyData.VData.Buffer.toString("hex"));
+    this._inspect(
+      "DirtyData",
+      0x0000000063335342n,
+      NotifyMethod.SyncContainerDirtyData,
+      syncContainerDirtyData.VData.Buffer,
+      false,
+      NotifyMethod,
+    );
     const messageReader = new BinaryReader(
       Buffer.from(syncContainerDirtyData.VData.Buffer),
     );
@@ -738,6 +957,11 @@ class PacketProcessor {
             "element_flag",
             playerElementFlag,
           );
+          this.userDataManager.setResource(
+            playerUid,
+            "element",
+            playerElementFlag,
+          );
           break;
         case AttrType.AttrEnergyFlag:
           const playerEnergyFlag = reader.int32();
@@ -746,6 +970,11 @@ class PacketProcessor {
             "energy_flag",
             playerEnergyFlag,
           );
+          this.userDataManager.setResource(
+            playerUid,
+            "energy",
+            playerEnergyFlag,
+          );
           break;
         case AttrType.AttrReductionLevel:
           const playerReductionLevel = reader.int32();
@@ -772,37 +1001,23 @@ class PacketProcessor {
       switch (attr.Id) {
         case AttrType.AttrName:
           const enemyName = reader.string();
-          this.userDataManager.enemyCache.name.set(enemyUid, enemyName);
+          this.userDataManager.setEnemyName(enemyUid, enemyName);
           this.logger.info(
             `Found monster name ${enemyName} for id ${enemyUid}`,
           );
           break;
         case AttrType.AttrId:
           const attrId = reader.int32();
-          // Store the monster database ID for later lookup
-          this.userDataManager.enemyCache.attrId.set(enemyUid, attrId);
-          const name = this.userDataManager.monsterDb?.getMonsterName(attrId);
-          if (name) {
-            this.logger.info(`Found monster name ${name} for id ${enemyUid}`);
-            this.userDataManager.enemyCache.name.set(enemyUid, name);
-          }
-
-          // Invalidate old "unknown" cache entry if it exists (race condition fix)
-          // This happens when damage was tracked before AttrId packet arrived
-          const unknownKey = `unknown_${enemyUid}`;
-          for (const user of this.userDataManager.users.values()) {
-            if (user.monsterDetailsCache.has(unknownKey)) {
-              user.monsterDetailsCache.delete(unknownKey);
-            }
-          }
+          // Named from the monster database by the data manager
+          this.userDataManager.setEnemyAttrId(enemyUid, attrId);
           break;
         case AttrType.AttrHp:
           const enemyHp = reader.int32();
-          this.userDataManager.enemyCache.hp.set(enemyUid, enemyHp);
+          this.userDataManager.setEnemyHp(enemyUid, enemyHp);
           break;
         case AttrType.AttrMaxHp:
           const enemyMaxHp = reader.int32();
-          this.userDataManager.enemyCache.maxHp.set(enemyUid, enemyMaxHp);
+          this.userDataManager.setEnemyMaxHp(enemyUid, enemyMaxHp);
           break;
         default:
           // this.logger.debug(`Found unknown attrId ${attr.Id} for E${enemyUid} ${attr.RawData.toString('base64')}`);
@@ -839,45 +1054,109 @@ class PacketProcessor {
     }
   }
 
-  _processNotifyMsg(reader, isZstdCompressed, isPaused = false) {
+  _processNotifyMsg(
+    reader,
+    isZstdCompressed,
+    isPaused = false,
+    receivedAt = Date.now(),
+  ) {
     const serviceUuid = reader.readUInt64();
     const stubId = reader.readUInt32();
     const methodId = reader.readUInt32();
 
-    if (serviceUuid !== 0x0000000063335342n) {
-      this.logger.debug(`Skipping NotifyMsg with serviceId ${serviceUuid}`);
+    if (!this.notifyRegistry.has(serviceUuid, methodId)) {
+      // Unknown notify method, only kept for the protocol inspector
+      if (this.protocolInspector?.enabled) {
+        this._inspect(
+          "Notify",
+          serviceUuid,
+          methodId,
+          this._readPayload(reader, isZstdCompressed),
+          isZstdCompressed,
+          NotifyMethod,
+        );
+      }
       return;
     }
 
-    let msgPayload = reader.readRemaining();
-    if (isZstdCompressed) {
-      msgPayload = this._decompressPayload(msgPayload);
+    const msgPayload = this._readPayload(reader, isZstdCompressed);
+    this._inspect(
+      "Notify",
+      serviceUuid,
+      methodId,
+      msgPayload,
+      isZstdCompressed,
+      NotifyMethod,
+    );
+    this.notifyRegistry.dispatch(serviceUuid, methodId, msgPayload, {
+      isPaused,
+      receivedAt,
+    });
+  }
+
+  _processCallMsg(reader, isZstdCompressed, isPaused = false) {
+    const serviceUuid = reader.readUInt64();
+    const stubId = reader.readUInt32();
+    const methodId = reader.readUInt32();
+
+    if (serviceUuid !== 0x0000000063335342n) {
+      this.logger.debug(`Skipping CallMsg with serviceId ${serviceUuid}`);
+      if (this.protocolInspector?.enabled) {
+        this._inspect(
+          "Call",
+          serviceUuid,
+          methodId,
+          this._readPayload(reader, isZstdCompressed),
+          isZstdCompressed,
+        );
+      }
+      return;
     }
 
+    const msgPayload = this._readPayload(reader, isZstdCompressed);
+    this._inspect(
+      "Call",
+      serviceUuid,
+      methodId,
+      msgPayload,
+      isZstdCompressed,
+      CallMethod,
+    );
+
     switch (methodId) {
-      case NotifyMethod.SyncSceneData:
-        this._processSyncSceneData(msgPayload);
-        break;
-      case NotifyMethod.SyncNearEntities:
-        this._processSyncNearEntities(msgPayload);
-        break;
-      case NotifyMethod.SyncContainerData:
-        this._processSyncContainerData(msgPayload);
-        break;
-      case NotifyMethod.SyncContainerDirtyData:
-        this._processSyncContainerDirtyData(msgPayload);
-        break;
-      case NotifyMethod.SyncToMeDeltaInfo:
-        this._processSyncToMeDeltaInfo(msgPayload, isPaused);
-        break;
-      case NotifyMethod.SyncNearDeltaInfo:
-        this._processSyncNearDeltaInfo(msgPayload, isPaused);
+      case CallMethod.UseSkill:
+        this._processUseSkill(msgPayload, isPaused);
         break;
       default:
-        // Unknown notify method
+        // Other client requests are not used
         break;
     }
-    return;
+  }
+
+  /** Record a skill cast requested by the local player
+   * The request is not part of the generated protocol bundle, so the skill ID
+   * (varint field 1) is read directly
+   * @param {Buffer} payloadBuffer - UseSkill request payload
+   * @param {boolean} isPaused - Whether tracking is paused
+   */
+  _processUseSkill(payloadBuffer, isPaused = false) {
+    if (isPaused || currentUserUuid.isZero()) return;
+
+    const reader = pbjs.Reader.create(payloadBuffer);
+    let skillId = null;
+    while (reader.pos < reader.len) {
+      const tag = reader.uint32();
+      if (tag >>> 3 === 1 && (tag & 7) === 0) {
+        skillId = reader.int32();
+        break;
+      }
+      reader.skipType(tag & 7);
+    }
+    if (!skillId) return;
+
+    const localPlayerUid = currentUserUuid.shiftRight(16).toNumber();
+    this.userDataManager.addSkillCast(localPlayerUid, skillId);
+    this.logger.debug(`[CAST] UID: ${localPlayerUid} ID: ${skillId}`);
   }
 
   _processReturnMsg(reader, isZstdCompressed) {
@@ -886,21 +1165,71 @@ class PacketProcessor {
     const methodId = reader.readUInt32();
     const errorCode = reader.readInt32();
 
-    let msgPayload = reader.readRemaining();
-    if (isZstdCompressed) {
-      msgPayload = this._decompressPayload(msgPayload);
-    }
+    const msgPayload = this._readPayload(reader, isZstdCompressed);
+    this._inspect(
+      "Return",
+      serviceUuid,
+      methodId,
+      msgPayload,
+      isZstdCompressed,
+    );
 
     // Return messages not used for master score detection
   }
 
-  processPacket(packets, isPaused = false, globalSettings = null) {
+  /** Sync the server clock
+   * The message is not part of the generated protocol bundle, so the server
+   * time in milliseconds (varint field 2) is read directly
+   * @param {Buffer} payloadBuffer
+   * @param {number} receivedAt - Capture time the message arrived at
+   */
+  _processSyncServerTime(payloadBuffer, receivedAt) {
+    if (!this.serverClock) return;
+
+    const reader = pbjs.Reader.create(payloadBuffer);
+    let serverTime = null;
+    while (reader.pos < reader.len) {
+      const tag = reader.uint32();
+      if (tag >>> 3 === 2 && (tag & 7) === 0) {
+        serverTime = Long.fromValue(reader.int64()).toNumber();
+        break;
+      }
+      reader.skipType(tag & 7);
+    }
+    // Ignore anything that is not a plausible epoch time
+    if (!serverTime || serverTime < MIN_SERVER_TIME) return;
+
+    this.serverClock.sync(serverTime, receivedAt);
+    this.logger.debug(
+      `[CLOCK] Server time offset ${this.serverClock.offset} ms`,
+    );
+  }
+
+  /** Stamp the events of the packet being processed with its server time
+   * @param {number} receivedAt - Capture time the packet arrived at
+   */
+  _setEventTime(receivedAt) {
+    const time = this.serverClock?.toServerTime(receivedAt) ?? receivedAt;
+    if (time === this.eventTime) return;
+    this.eventTime = time;
+    // The offset lets the data manager age realtime windows on the same clock
+    this.userDataManager.setEventTime(time, time - Date.now());
+  }
+
+  processPacket(
+    packets,
+    isPaused = false,
+    globalSettings = null,
+    receivedAt = Date.now(),
+  ) {
+    this._setEventTime(receivedAt);
     try {
       const packetsReader = new BinaryReader(packets);
 
       do {
         let packetSize = packetsReader.peekUInt32();
         if (packetSize < 6) {
+          this.captureStats?.recordDecodeError();
           this.logger.debug(`Received invalid packet`);
           return;
         }
@@ -915,13 +1244,23 @@ class PacketProcessor {
 
         switch (msgTypeId) {
           case MessageType.Notify:
-            this._processNotifyMsg(packetReader, isZstdCompressed, isPaused);
+            this._processNotifyMsg(
+              packetReader,
+              isZstdCompressed,
+              isPaused,
+              receivedAt,
+            );
+            break;
+          case MessageType.Call:
+            this._processCallMsg(packetReader, isZstdCompressed, isPaused);
             break;
           case MessageType.Return:
             this._processReturnMsg(packetReader, isZstdCompressed);
             break;
+          case MessageType.FrameUp:
           case MessageType.FrameDown:
-            const serverSequenceId = packetReader.readUInt32();
+            // Client and server frames share the layout: sequence ID, then nested packets
+            const sequenceId = packetReader.readUInt32();
             if (packetReader.remaining() == 0) break;
 
             let nestedPacket = packetReader.readRemaining();
@@ -930,8 +1269,13 @@ class PacketProcessor {
               nestedPacket = this._decompressPayload(nestedPacket);
             }
 
-            // this.logger.debug("Processing FrameDown packet.");
-            this.processPacket(nestedPacket, isPaused, globalSettings);
+            // this.logger.debug("Processing FrameUp/FrameDown packet.");
+            this.processPacket(
+              nestedPacket,
+              isPaused,
+              globalSettings,
+              receivedAt,
+            );
             break;
           default:
             // this.logger.debug(`Ignore packet with message type ${msgTypeId}.`);
@@ -940,6 +1284,7 @@ class PacketProcessor {
       } while (packetsReader.remaining() > 0);
     } catch (e) {
       // Buffer read errors are common with malformed/incomplete packets - log at debug level
+      this.captureStats?.recordDecodeError();
       this.logger.debug(
         `Packet parsing error for player ${currentUserUuid.shiftRight(16)}: ${e.message}`,
       );
@@ -0,0 +1,303 @@
+const fs = require("fs");
+
+const PCAP_MAGIC_US = 0xa1b2c3d4;
+const PCAP_MAGIC_NS = 0xa1b23c4d;
+const PCAPNG_SHB = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+
+const PcapngBlockType = {
+  InterfaceDescription: 0x00000001,
+  ObsoletePacket: 0x00000002,
+  SimplePacket: 0x00000003,
+  EnhancedPacket: 0x00000006,
+};
+
+const LinkType = {
+  Null: 0,
+  Ethernet: 1,
+  Raw: 101,
+  LinuxSll: 113,
+  Ipv4: 228,
+  LinuxSll2: 276,
+};
+
+const ETHERTYPE_IPV4 = 0x0800;
+
+/**
+ * Wrap an IPv4 packet in a synthetic Ethernet header so it can go through
+ * the same decoding path as frames captured on an Ethernet adapter
+ * @param {Buffer} ipPacket - Raw IPv4 packet
+ * @returns {Buffer} - Ethernet frame
+ */
+function wrapInEthernet(ipPacket) {
+  const header = Buffer.alloc(14);
+  header.writeUInt16BE(ETHERTYPE_IPV4, 12);
+  return Buffer.concat([header, ipPacket]);
+}
+
+/**
+ * Normalize a captured frame to Ethernet
+ * @param {number} linkType - Capture link type (LINKTYPE_* value)
+ * @param {Buffer} data - Captured frame
+ * @returns {Buffer|null} - Ethernet frame, or null when the frame cannot carry IPv4
+ */
+function toEthernetFrame(linkType, data) {
+  switch (linkType) {
+    case LinkType.Ethernet:
+      return data;
+    case LinkType.Raw:
+    case LinkType.Ipv4:
+      return data.length > 0 && data[0] >> 4 === 4
+        ? wrapInEthernet(data)
+        : null;
+    case LinkType.LinuxSll:
+      if (data.length < 16 || data.readUInt16BE(14) !== ETHERTYPE_IPV4)
+        return null;
+      return wrapInEthernet(data.subarray(16));
+    case LinkType.LinuxSll2:
+      if (data.length < 20 || data.readUInt16BE(0) !== ETHERTYPE_IPV4)
+        return null;
+      return wrapInEthernet(data.subarray(20));
+    case LinkType.Null:
+      // Address family is stored in the capturing host's byte order
+      if (data.length < 4) return null;
+      if (data.readUInt32LE(0) !== 2 && data.readUInt32BE(0) !== 2) return null;
+      return wrapInEthernet(data.subarray(4));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Incremental parser for pcap and pcapng capture data
+ * Accepts arbitrary chunks (file reads, stdin, sockets) and yields complete frames
+ */
+class PcapParser {
+  constructor() {
+    this._buffer = Buffer.alloc(0);
+    this.format = null; // "pcap" | "pcapng"
+    this.littleEndian = true;
+
+    // pcap state
+    this.linkType = null;
+    this.nanosecond = false;
+
+    // pcapng state (interfaces are scoped to the current section)
+    this.interfaces = [];
+  }
+
+  /**
+   * Feed more capture data into the parser
+   * @param {Buffer} chunk - Raw capture bytes
+   * @returns {Array<{timestamp: number, linkType: number, data: Buffer}>} - Frames completed by this chunk (timestamp in ms)
+   */
+  push(chunk) {
+    this._buffer =
+      this._buffer.length === 0 ? chunk : Buffer.concat([this._buffer, chunk]);
+
+    const frames = [];
+    if (!this.format && !this._readFileHeader()) return frames;
+
+    if (this.format === "pcap") {
+      this._readPcapRecords(frames);
+    } else {
+      this._readPcapngBlocks(frames);
+    }
+    return frames;
+  }
+
+  /** Number of bytes buffered but not yet parsed into a frame */
+  get pendingBytes() {
+    return this._buffer.length;
+  }
+
+  _readUInt16(buffer, offset) {
+    return this.littleEndian
+      ? buffer.readUInt16LE(offset)
+      : buffer.readUInt16BE(offset);
+  }
+
+  _readUInt32(buffer, offset) {
+    return this.littleEndian
+      ? buffer.readUInt32LE(offset)
+      : buffer.readUInt32BE(offset);
+  }
+
+  _readFileHeader() {
+    if (this._buffer.length < 4) return false;
+
+    const magicLE = this._buffer.readUInt32LE(0);
+    const magicBE = this._buffer.readUInt32BE(0);
+
+    if (magicBE === PCAPNG_SHB) {
+      // Section header blocks are parsed like any other block
+      this.format = "pcapng";
+      return true;
+    }
+
+    if (this._buffer.length < 24) return false;
+
+    if (magicLE === PCAP_MAGIC_US || magicLE === PCAP_MAGIC_NS) {
+      this.littleEndian = true;
+    } else if (magicBE === PCAP_MAGIC_US || magicBE === PCAP_MAGIC_NS) {
+      this.littleEndian = false;
+    } else {
+      throw new Error(
+        `Unrecognized capture format (magic 0x${magicBE.toString(16)})`,
+      );
+    }
+
+    const magic = this._readUInt32(this._buffer, 0);
+    this.format = "pcap";
+    this.nanosecond = magic === PCAP_MAGIC_NS;
+    this.linkType = this._readUInt32(this._buffer, 20) & 0x0fffffff;
+    this._buffer = this._buffer.subarray(24);
+    return true;
+  }
+
+  _readPcapRecords(frames) {
+    while (this._buffer.length >= 16) {
+      const capturedLength = this._readUInt32(this._buffer, 8);
+      if (this._buffer.length < 16 + capturedLength) break;
+
+      const seconds = this._readUInt32(this._buffer, 0);
+      const fraction = this._readUInt32(this._buffer, 4);
+      const timestamp =
+        seconds * 1000 + fraction / (this.nanosecond ? 1000000 : 1000);
+
+      frames.push({
+        timestamp,
+        linkType: this.linkType,
+        data: Buffer.from(this._buffer.subarray(16, 16 + capturedLength)),
+      });
+      this._buffer = this._buffer.subarray(16 + capturedLength);
+    }
+  }
+
+  _readPcapngBlocks(frames) {
+    while (this._buffer.length >= 12) {
+      // The section header type is a palindrome, so it reads the same in either byte order
+      if (this._buffer.readUInt32LE(0) === PCAPNG_SHB) {
+        // Byte order of a section is only known once its header is read
+        const byteOrder = this._buffer.readUInt32LE(8);
+        if (byteOrder === PCAPNG_BYTE_ORDER_MAGIC) {
+          this.littleEndian = true;
+        } else if (this._buffer.readUInt32BE(8) === PCAPNG_BYTE_ORDER_MAGIC) {
+          this.littleEndian = false;
+        } else {
+          throw new Error("Invalid pcapng section header byte-order magic");
+        }
+        this.interfaces = [];
+      }
+
+      const blockLength = this._readUInt32(this._buffer, 4);
+      if (blockLength < 12 || blockLength % 4 !== 0) {
+        throw new Error(`Invalid pcapng block length ${blockLength}`);
+      }
+      if (this._buffer.length < blockLength) break;
+
+      const body = this._buffer.subarray(8, blockLength - 4);
+      this._readPcapngBlock(this._readUInt32(this._buffer, 0), body, frames);
+      this._buffer = this._buffer.subarray(blockLength);
+    }
+  }
+
+  _readPcapngBlock(blockType, body, frames) {
+    switch (blockType) {
+      case PcapngBlockType.InterfaceDescription:
+        this.interfaces.push({
+          linkType: this._readUInt16(body, 0),
+          unitsPerMs: this._readTimestampResolution(body.subarray(8)),
+        });
+        break;
+      case PcapngBlockType.EnhancedPacket: {
+        const iface = this.interfaces[this._readUInt32(body, 0)];
+        if (!iface) break;
+        const capturedLength = this._readUInt32(body, 12);
+        frames.push({
+          timestamp: this._readPcapngTimestamp(body, 4, iface),
+          linkType: iface.linkType,
+          data: Buffer.from(body.subarray(20, 20 + capturedLength)),
+        });
+        break;
+      }
+      case PcapngBlockType.ObsoletePacket: {
+        const iface = this.interfaces[this._readUInt16(body, 0)];
+        if (!iface) break;
+        const capturedLength = this._readUInt32(body, 12);
+        frames.push({
+          timestamp: this._readPcapngTimestamp(body, 4, iface),
+          linkType: iface.linkType,
+          data: Buffer.from(body.subarray(20, 20 + capturedLength)),
+        });
+        break;
+      }
+      case PcapngBlockType.SimplePacket: {
+        // Simple packets carry no timestamp and always belong to interface 0
+        const iface = this.interfaces[0];
+        if (!iface) break;
+        const originalLength = this._readUInt32(body, 0);
+        frames.push({
+          timestamp: null,
+          linkType: iface.linkType,
+          data: Buffer.from(
+            body.subarray(4, 4 + Math.min(originalLength, body.length - 4)),
+          ),
+        });
+        break;
+      }
+      default:
+        // Statistics, name resolution and custom blocks are not needed
+        break;
+    }
+  }
+
+  /**
+   * Read the if_tsresol option of an interface description block
+   * @param {Buffer} options - Option list
+   * @returns {number} - Timestamp units per millisecond
+   */
+  _readTimestampResolution(options) {
+    let offset = 0;
+    while (offset + 4 <= options.length) {
+      const code = this._readUInt16(options, offset);
+      const length = this._readUInt16(options, offset + 2);
+      if (code === 0) break; // opt_endofopt
+      if (code === 9 && length >= 1) {
+        const resolution = options[offset + 4];
+        const unitsPerSecond =
+          resolution & 0x80 ? 2 ** (resolution & 0x7f) : 10 ** resolution;
+        return unitsPerSecond / 1000;
+      }
+      offset += 4 + Math.ceil(length / 4) * 4;
+    }
+    return 1000; // Default resolution is microseconds
+  }
+
+  _readPcapngTimestamp(body, offset, iface) {
+    const high = this._readUInt32(body, offset);
+    const low = this._readUInt32(body, offset + 4);
+    return (high * 0x100000000 + low) / iface.unitsPerMs;
+  }
+}
+
+/**
+ * Read every frame of a pcap/pcapng file
+ * @param {string} filePath - Capture file path
+ * @returns {AsyncGenerator<{timestamp: number, linkType: number, data: Buffer}>}
+ */
+async function* readCaptureFile(filePath) {
+  const parser = new PcapParser();
+  // A capture cut off mid-record (e.g. the recorder was killed) still replays
+  // up to its last complete frame
+  for await (const chunk of fs.createReadStream(filePath)) {
+    yield* parser.push(chunk);
+  }
+}
+
+module.exports = {
+  PcapParser,
+  LinkType,
+  toEthernetFrame,
+  readCaptureFile,
+};
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const { LinkType } = require("./pcapReader");
+
+const BlockType = {
+  SectionHeader: 0x0a0d0d0a,
+  InterfaceDescription: 0x00000001,
+  EnhancedPacket: 0x00000006,
+};
+
+const OPT_END = 0;
+const SHB_USERAPPL = 4;
+const IF_SNAPLEN = 65535;
+
+/**
+ * Build a pcapng option list, terminated by opt_endofopt
+ * @param {Array<{code: number, value: Buffer}>} options
+ * @returns {Buffer}
+ */
+function buildOptions(options) {
+  if (options.length === 0) return Buffer.alloc(0);
+
+  const parts = [];
+  for (const { code, value } of options) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16LE(code, 0);
+    header.writeUInt16LE(value.length, 2);
+    parts.push(header, value, Buffer.alloc((4 - (value.length % 4)) % 4));
+  }
+  parts.push(Buffer.alloc(4)); // opt_endofopt
+  return Buffer.concat(parts);
+}
+
+/**
+ * Wrap a block body with its type and both length fields
+ * @param {number} blockType
+ * @param {Buffer} body - Block body, already padded to 32 bits
+ * @returns {Buffer}
+ */
+function buildBlock(blockType, body) {
+  const length = body.length + 12;
+  const block = Buffer.alloc(length);
+  block.writeUInt32LE(blockType, 0);
+  block.writeUInt32LE(length, 4);
+  body.copy(block, 8);
+  block.writeUInt32LE(length, length - 4);
+  return block;
+}
+
+/**
+ * Append-only pcapng writer with a single interface
+ * Writes are synchronous so a capture is complete up to the last frame even
+ * when the process exits without closing the file
+ */
+class PcapngWriter {
+  /**
+   * @param {string} filePath - Output file path (truncated if it exists)
+   * @param {Object} [options]
+   * @param {number} [options.linkType=LinkType.Ethernet] - Link type of the written frames
+   * @param {string} [options.application] - Recorded as shb_userappl
+   */
+  constructor(
+    filePath,
+    { linkType = LinkType.Ethernet, application = null } = {},
+  ) {
+    this.filePath = filePath;
+    this.fd = fs.openSync(filePath, "w");
+    this.bytesWritten = 0;
+    this.packetCount = 0;
+
+    this._writeSectionHeader(application);
+    this._writeInterfaceDescription(linkType);
+  }
+
+  _write(buffer) {
+    fs.writeSync(this.fd, buffer);
+    this.bytesWritten += buffer.length;
+  }
+
+  _writeSectionHeader(application) {
+    const fixed = Buffer.alloc(16);
+    fixed.writeUInt32LE(0x1a2b3c4d, 0); // Byte-order magic
+    fixed.writeUInt16LE(1, 4); // Major version
+    fixed.writeUInt16LE(0, 6); // Minor version
+    fixed.writeInt32LE(-1, 8); // Section length unknown
+    fixed.writeInt32LE(-1, 12);
+
+    const options = application
+      ? [{ code: SHB_USERAPPL, value: Buffer.from(application, "utf8") }]
+      : [];
+    this._write(
+      buildBlock(
+        BlockType.SectionHeader,
+        Buffer.concat([fixed, buildOptions(options)]),
+      ),
+    );
+  }
+
+  _writeInterfaceDescription(linkType) {
+    // if_tsresol is omitted, so timestamps are in microseconds
+    const body = Buffer.alloc(8);
+    body.writeUInt16LE(linkType, 0);
+    body.writeUInt32LE(IF_SNAPLEN, 4);
+    this._write(buildBlock(BlockType.InterfaceDescription, body));
+  }
+
+  /**
+   * Append a frame as an enhanced packet block
+   * @param {Buffer} data - Frame bytes
+   * @param {number} [timestamp=Date.now()] - Capture time in milliseconds
+   */
+  writePacket(data, timestamp = Date.now()) {
+    if (this.fd === null) throw new Error("Capture file is closed");
+
+    const micros = Math.round(timestamp * 1000);
+    const padding = (4 - (data.length % 4)) % 4;
+    const body = Buffer.alloc(20 + data.length + padding);
+    body.writeUInt32LE(0, 0); // Interface id
+    body.writeUInt32LE(Math.floor(micros / 0x100000000), 4);
+    body.writeUInt32LE(micros % 0x100000000, 8);
+    body.writeUInt32LE(data.length, 12); // Captured length
+    body.writeUInt32LE(data.length, 16); // Original length
+    data.copy(body, 20);
+
+    this._write(buildBlock(BlockType.EnhancedPacket, body));
+    this.packetCount++;
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+module.exports = PcapngWriter;
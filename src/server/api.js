@@ -10,9 +10,30 @@ const GoogleSheetsService = require(
   path.join(__dirname, "service", "googleSheets"),
 );
 const configPaths = require(path.join(__dirname, "utilities", "configPaths"));
+const { LiveCaptureSource } = require(
+  path.join(__dirname, "service", "captureSources"),
+);
+
+const { PLAYER_GROUPS } = require(
+  path.join(__dirname, "service", "dataManager"),
+);
+const BossTracker = require(path.join(__dirname, "service", "bossTracker"));
 
 const LOGS_DPS_PATH = path.join("./logs_dps.json");
 
+/**
+ * Roster groups to filter players by
+ * @param {string|string[]|undefined} value - Comma-separated list or array of "party", "raid" and "other"
+ * @returns {string[]|null} - Known groups given, or null when no filter is set
+ */
+function parseGroups(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const names = Array.isArray(value) ? value : String(value).split(",");
+  return names
+    .map((name) => String(name).trim())
+    .filter((name) => PLAYER_GROUPS.includes(name));
+}
+
 function initializeApi(
   app,
   server,
@@ -128,8 +149,13 @@ function initializeApi(
     return mainClass;
   }
 
+  // Query: group=party,raid to only include players of those roster groups
   app.get("/api/data", (req, res) => {
-    const userData = userDataManager.getAllUsersData();
+    const groups = parseGroups(req.query.group);
+    if (groups?.length === 0) {
+      return res.status(400).json({ code: 1, msg: "Unknown group." });
+    }
+    const userData = userDataManager.getAllUsersData(groups);
 
     // Add full profession details to user data
     const modifiedUserData = {};
@@ -279,6 +305,169 @@ function initializeApi(
     });
   });
 
+  // Capture health: frame rates, TCP gaps/resyncs, decode errors
+  app.get("/api/capture/stats", (req, res) => {
+    if (!sniffer) {
+      return res.status(503).json({ code: 1, msg: "Capture is not running." });
+    }
+    res.json({
+      code: 0,
+      data: sniffer.getCaptureStats(),
+    });
+  });
+
+  // Network interface of the running live capture, null for other sources
+  const getActiveInterface = () =>
+    sniffer?.source instanceof LiveCaptureSource &&
+    sniffer.source.name.startsWith("live:")
+      ? sniffer.source.name.slice("live:".length)
+      : null;
+
+  // Pending switch of the capture source, see Sniffer.switchSource
+  const getSourceSwitch = () => sniffer?.getCaptureStats().sourceSwitch ?? null;
+
+  // Network interfaces available for live capture
+  app.get("/api/capture/interfaces", async (req, res) => {
+    try {
+      // Loaded on demand so the API also works where cap is not installed
+      const { listNetworkDevices } = require(
+        path.join(__dirname, "..", "algo", "netInterfaceUtil"),
+      );
+      res.json({
+        code: 0,
+        data: {
+          interfaces: await listNetworkDevices(),
+          selected: globalSettings.networkInterface ?? null,
+          active: getActiveInterface(),
+          switching: getSourceSwitch(),
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to list network interfaces: ${error.message}`);
+      res.status(500).json({
+        code: 1,
+        msg: "Packet capture is not available on this machine.",
+      });
+    }
+  });
+
+  // Select the live capture interface (body: {name: string|null}, null detects it)
+  // A running live capture switches in the background, since detecting an
+  // interface waits for game traffic; progress is reported as `switching`.
+  // Other sources use the interface on the next start
+  app.post("/api/capture/interface", async (req, res) => {
+    const requested = req.body?.name ?? null;
+    if (requested !== null && typeof requested !== "string") {
+      return res
+        .status(400)
+        .json({ code: 1, msg: "Interface name must be a string or null." });
+    }
+
+    try {
+      let name = null;
+      if (requested !== null) {
+        const { findDeviceByName } = require(
+          path.join(__dirname, "..", "algo", "netInterfaceUtil"),
+        );
+        const devices = require("cap").Cap.deviceList();
+        const index = findDeviceByName(devices, requested);
+        if (index === undefined) {
+          return res.status(404).json({
+            code: 1,
+            msg: `Network interface ${requested} not found.`,
+          });
+        }
+        name = devices[index].name;
+      }
+
+      globalSettings.networkInterface = name;
+      const { isPaused, ...settingsToSave } = globalSettings;
+      saveSettings(settingsToSave);
+
+      if (sniffer?.source instanceof LiveCaptureSource) {
+        sniffer
+          .switchSource(new LiveCaptureSource(logger, name ?? "auto"))
+          .catch((error) => {
+            logger.error(
+              `Failed to switch capture interface: ${error.message}`,
+            );
+          });
+      }
+
+      res.json({
+        code: 0,
+        data: {
+          selected: name,
+          active: getActiveInterface(),
+          switching: getSourceSwitch(),
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to select network interface: ${error.message}`);
+      res.status(500).json({ code: 1, msg: error.message });
+    }
+  });
+
+  // Protocol inspector: raw game messages buffered while
+  // protocolInspector.enabled is set, grouped by message type, service and method
+  const inspectorRoute = (handler) => async (req, res) => {
+    if (!sniffer) {
+      return res.status(503).json({ code: 1, msg: "Capture is not running." });
+    }
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error(`Protocol inspector request failed: ${error.message}`);
+      res.status(500).json({ code: 1, msg: error.message });
+    }
+  };
+
+  app.get(
+    "/api/inspector",
+    inspectorRoute(async (req, res) => {
+      res.json({ code: 0, data: await sniffer.getInspectorSummary() });
+    }),
+  );
+
+  // Messages of a group (query: group, before=<message id> for the next page)
+  app.get(
+    "/api/inspector/messages",
+    inspectorRoute(async (req, res) => {
+      if (typeof req.query.group !== "string") {
+        return res.status(400).json({ code: 1, msg: "Missing group." });
+      }
+      const before = parseInt(req.query.before) || undefined;
+      res.json({
+        code: 0,
+        data: await sniffer.getInspectorMessages(req.query.group, before),
+      });
+    }),
+  );
+
+  app.get(
+    "/api/inspector/messages/:id",
+    inspectorRoute(async (req, res) => {
+      const message = await sniffer.getInspectorMessage(
+        parseInt(req.params.id),
+      );
+      if (!message) {
+        return res.status(404).json({
+          code: 1,
+          msg: "Message is no longer buffered.",
+        });
+      }
+      res.json({ code: 0, data: message });
+    }),
+  );
+
+  app.post(
+    "/api/inspector/clear",
+    inspectorRoute(async (req, res) => {
+      await sniffer.clearInspector();
+      res.json({ code: 0, msg: "Protocol inspector cleared." });
+    }),
+  );
+
   app.post("/api/set-username", (req, res) => {
     const { uid, name } = req.body;
     if (uid && name) {
@@ -312,6 +501,75 @@ function initializeApi(
     });
   });
 
+  app.get("/api/damage-taken", (req, res) => {
+    res.json({
+      code: 0,
+      data: userDataManager.getAllTakenDamageData(),
+    });
+  });
+
+  app.get("/api/damage-taken/:uid", (req, res) => {
+    const uid = parseInt(req.params.uid);
+    const takenDamageData = userDataManager.getTakenDamageData(uid);
+
+    if (!takenDamageData) {
+      return res.status(404).json({
+        code: 1,
+        msg: "User not found",
+      });
+    }
+
+    res.json({
+      code: 0,
+      data: takenDamageData,
+    });
+  });
+
+  app.get("/api/resources/:uid", (req, res) => {
+    const uid = parseInt(req.params.uid);
+    const resourceData = userDataManager.getUserResources(uid);
+
+    if (!resourceData) {
+      return res.status(404).json({
+        code: 1,
+        msg: "User not found",
+      });
+    }
+
+    res.json({
+      code: 0,
+      data: resourceData,
+    });
+  });
+
+  app.get("/api/deaths", (req, res) => {
+    res.json({
+      code: 0,
+      data: userDataManager.getAllDeaths(),
+    });
+  });
+
+  app.get("/api/bosses", (req, res) => {
+    res.json({
+      code: 0,
+      data: userDataManager.getBossEncounters(),
+    });
+  });
+
+  app.get("/api/scene", (req, res) => {
+    res.json({
+      code: 0,
+      data: userDataManager.getSceneData(),
+    });
+  });
+
+  app.get("/api/scenes", (req, res) => {
+    res.json({
+      code: 0,
+      data: userDataManager.sceneDb.getAllScenes(),
+    });
+  });
+
   app.get("/api/history/:timestamp/summary", async (req, res) => {
     const { timestamp } = req.params;
     const historyFilePath = path.join("./logs", timestamp, "summary.json"); // Adjust the path
@@ -439,6 +697,17 @@ function initializeApi(
 
   app.post("/api/settings", async (req, res) => {
     const newSettings = req.body;
+    if ("bossPhaseThresholds" in newSettings) {
+      const thresholds = BossTracker.normalizeThresholds(
+        newSettings.bossPhaseThresholds,
+      );
+      if (!thresholds) {
+        return res
+          .status(400)
+          .json({ code: 1, msg: "bossPhaseThresholds must be a list." });
+      }
+      newSettings.bossPhaseThresholds = thresholds;
+    }
     const oldTheme = globalSettings.theme;
     Object.assign(globalSettings, newSettings); // Update globalSettings directly
 
@@ -739,6 +1008,11 @@ function initializeApi(
   io.on("connection", (socket) => {
     console.log("WebSocket client connected: " + socket.id);
 
+    // Only send players of these roster groups in data events, null for all
+    socket.on("set-group-filter", (groups) => {
+      socket.data.groups = parseGroups(groups);
+    });
+
     socket.on("disconnect", () => {
       console.log("WebSocket client disconnected: " + socket.id);
     });
@@ -795,11 +1069,18 @@ function initializeApi(
         };
       });
 
-      const data = {
-        code: 0,
-        user: modifiedUserData,
-      };
-      io.emit("data", data);
+      for (const socket of io.sockets.sockets.values()) {
+        const groups = socket.data.groups;
+        let user = modifiedUserData;
+        if (groups) {
+          user = Object.fromEntries(
+            Object.entries(modifiedUserData).filter(([, data]) =>
+              groups.includes(data.group),
+            ),
+          );
+        }
+        socket.emit("data", { code: 0, user });
+      }
     }
   }, 100);
 
@@ -842,6 +1123,16 @@ function initializeApi(
     }
   }, 500);
 
+  // Emit capture health (1s, also while paused so the badge stays accurate)
+  setInterval(() => {
+    if (sniffer) {
+      io.emit("capture-stats", {
+        code: 0,
+        data: sniffer.getCaptureStats(),
+      });
+    }
+  }, 1000);
+
   // ===== Collectibles API Endpoints =====
 
   /**
@@ -1205,6 +1496,7 @@ function initializeApi(
   /**
    * GET /api/sessions/:id
    * Get session by ID with full details (players and fights)
+   * Query: group=party,raid to only include players of those roster groups
    */
   app.get("/api/sessions/:id", async (req, res) => {
     try {
@@ -1224,7 +1516,18 @@ function initializeApi(
         });
       }
 
-      const session = req.app.locals.sessionDb.getSessionWithDetails(sessionId);
+      const groups = parseGroups(req.query.group);
+      if (groups?.length === 0) {
+        return res.status(400).json({
+          code: 1,
+          msg: "Unknown group",
+        });
+      }
+
+      const session = req.app.locals.sessionDb.getSessionWithDetails(
+        sessionId,
+        groups,
+      );
 
       if (!session) {
         return res.status(404).json({
@@ -1415,7 +1718,10 @@ function initializeApi(
           player_name: user.name,
           profession_id: user.professionDetails?.id || null,
           total_damage: user.totalDamage?.total || 0,
+          effective_damage: user.effectiveDamage || 0,
+          overkill_damage: user.overkillDamage || 0,
           total_healing: user.totalHealing?.total || 0,
+          effective_healing: skillData?.healing?.effective || 0,
           total_dps: user.totalDps || 0,
           total_hps: user.totalHps || 0,
           max_dps: user.realtimeDpsMax || 0,
@@ -1429,6 +1735,9 @@ function initializeApi(
           skill_breakdown: enrichedSkills,
           time_series_data: user.timeSeriesData || [],
           target_damage: targetDamage,
+          deaths: userDataManager.getUserDeaths(user.uid),
+          heal_targets: skillData?.healing?.targets || [],
+          player_group: user.group || userDataManager.getPlayerGroup(user.uid),
         };
         req.app.locals.sessionDb.addSessionPlayer(sessionId, playerData);
       });
@@ -1455,6 +1764,25 @@ function initializeApi(
         is_active: 0, // Saved sessions are always completed
       });
 
+      // Link the raw capture recorded since the previous save, if recording is on
+      // The session itself is saved even if the capture cannot be linked
+      let captureFiles = [];
+      try {
+        captureFiles = (await sniffer?.linkCaptureFiles(sessionId)) || [];
+      } catch (error) {
+        logger.warn(
+          `[Session API] Failed to link capture files to session ${sessionId}: ${error.message}`,
+        );
+      }
+      if (captureFiles.length > 0) {
+        req.app.locals.sessionDb.setCaptureFiles(sessionId, captureFiles);
+      }
+
+      const bossEncounters = userDataManager.getBossEncounters();
+      if (bossEncounters.length > 0) {
+        req.app.locals.sessionDb.setBossEncounters(sessionId, bossEncounters);
+      }
+
       res.json({
         code: 0,
         data: {
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const configPaths = require("../utilities/configPaths");
+
+const CONTENT_TYPES = ["town", "field", "dungeon", "raid"];
+
+class SceneModel {
+  constructor(logger, db) {
+    // Wrap logger with [SceneDB] prefix
+    this.logger = {
+      info: (msg) => logger.info(`[SceneDB] ${msg}`),
+      error: (msg) => logger.error(`[SceneDB] ${msg}`),
+      warn: (msg) => logger.warn(`[SceneDB] ${msg}`),
+      debug: (msg) => logger.debug(`[SceneDB] ${msg}`),
+    };
+    this.db = db;
+    this.statements = {};
+  }
+
+  /** Initialize scenes table and prepare statements */
+  initialize() {
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS scenes (
+          map_id INTEGER PRIMARY KEY,
+          name_cn TEXT,
+          name_en TEXT NOT NULL,
+          content_type TEXT NOT NULL,
+          tile_config TEXT,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_scenes_name_cn ON scenes(name_cn);
+        CREATE INDEX IF NOT EXISTS idx_scenes_name_en ON scenes(name_en);
+      `);
+
+      this.statements.getScene = this.db.prepare(
+        "SELECT * FROM scenes WHERE map_id = ?",
+      );
+      this.statements.getSceneByName = this.db.prepare(
+        "SELECT * FROM scenes WHERE name_cn = ? OR name_en = ? LIMIT 1",
+      );
+      this.statements.insertScene = this.db.prepare(`
+        INSERT OR REPLACE INTO scenes (map_id, name_cn, name_en, content_type, tile_config)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      this.statements.getAllScenes = this.db.prepare(
+        "SELECT * FROM scenes ORDER BY map_id",
+      );
+
+      const count = this.db
+        .prepare("SELECT COUNT(*) as count FROM scenes")
+        .get();
+      this.logger.info(`Scene table initialized: ${count.count} scenes`);
+
+      // Auto-seed scenes if table is empty (databases seeded before it existed)
+      if (count.count === 0) {
+        const seedPath = configPaths.getDbSeedPath("scenes.json");
+        if (fs.existsSync(seedPath)) {
+          this.loadFromJSON(seedPath);
+        } else {
+          this.logger.warn(`Scene seed file not found: ${seedPath}`);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Failed to initialize scene table: ${error.message}`);
+      throw error;
+    }
+  }
+
+  loadFromJSON(jsonPath) {
+    try {
+      const count = this.db
+        .prepare("SELECT COUNT(*) as count FROM scenes")
+        .get();
+      if (count.count > 0) {
+        this.logger.debug("Scene table already populated, skipping JSON load");
+        return;
+      }
+
+      if (!fs.existsSync(jsonPath)) {
+        this.logger.warn(`Scenes JSON not found: ${jsonPath}`);
+        return;
+      }
+
+      const scenes = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+
+      const insert = this.db.transaction((scenes) => {
+        for (const scene of scenes) {
+          if (!CONTENT_TYPES.includes(scene.content_type)) {
+            this.logger.warn(
+              `Skipping scene ${scene.map_id}: unknown content type ${scene.content_type}`,
+            );
+            continue;
+          }
+          this.statements.insertScene.run(
+            scene.map_id,
+            scene.name_cn ?? null,
+            scene.name_en,
+            scene.content_type,
+            scene.tile_config ? JSON.stringify(scene.tile_config) : null,
+          );
+        }
+      });
+
+      insert(scenes);
+
+      const newCount = this.db
+        .prepare("SELECT COUNT(*) as count FROM scenes")
+        .get();
+      this.logger.info(
+        `Loaded ${newCount.count} scenes from JSON into database`,
+      );
+    } catch (error) {
+      this.logger.error(`Error loading scenes from JSON: ${error.message}`);
+    }
+  }
+
+  /** Get scene by map ID
+   * @param {string|number} mapId - Map ID
+   * @returns {Object|null} - Scene with parsed tile_config
+   */
+  getScene(mapId) {
+    try {
+      const id = parseInt(mapId);
+      if (isNaN(id)) {
+        this.logger.warn(`Invalid map ID: ${mapId}`);
+        return null;
+      }
+      return this._parse(this.statements.getScene.get(id));
+    } catch (error) {
+      this.logger.error(`Error getting scene ${mapId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /** Get scene by its Chinese or English name
+   * @param {string} name - Scene name as sent by the game, or English name
+   * @returns {Object|null} - Scene with parsed tile_config
+   */
+  getSceneByName(name) {
+    try {
+      if (!name) return null;
+      return this._parse(this.statements.getSceneByName.get(name, name));
+    } catch (error) {
+      this.logger.error(`Error getting scene ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  getAllScenes() {
+    try {
+      return this.statements.getAllScenes
+        .all()
+        .map((scene) => this._parse(scene));
+    } catch (error) {
+      this.logger.error(`Error getting all scenes: ${error.message}`);
+      return [];
+    }
+  }
+
+  _parse(scene) {
+    if (!scene) return null;
+    return {
+      ...scene,
+      tile_config: scene.tile_config ? JSON.parse(scene.tile_config) : null,
+    };
+  }
+}
+
+module.exports = SceneModel;
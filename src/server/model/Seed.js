@@ -15,6 +15,7 @@ class DatabaseSeeder {
     professionModel,
     tagModel,
     monsterTagModel,
+    sceneModel,
     db,
   ) {
     // Wrap logger with [DBSeed] prefix
@@ -31,6 +32,7 @@ class DatabaseSeeder {
       player: playerModel,
       tag: tagModel,
       monsterTag: monsterTagModel,
+      scene: sceneModel,
     };
     this.db = db;
   }
@@ -138,19 +140,29 @@ class DatabaseSeeder {
     );
   }
 
+  async seedScenes() {
+    return this.seedType(
+      "Scene",
+      "scenes.json",
+      () => this.models.scene.getAllScenes(),
+      (path) => this.models.scene.loadFromJSON(path),
+    );
+  }
+
   /**
    * Seed all databases
    * @returns {Object} - Result with success status and message
    */
   async seedAll() {
     try {
-      // Seed in order: tags and professions first (no dependencies)
+      // Seed in order: tags, professions and scenes first (no dependencies)
       // Then monsters (depends on professions for validation)
       // Then monster_tags (depends on monsters and tags)
       // Then skills and players
       const phase1 = await Promise.all([
         this.seedTags(),
         this.seedProfessions(),
+        this.seedScenes(),
       ]);
 
       const phase2 = await Promise.all([
@@ -200,6 +212,7 @@ class DatabaseSeeder {
         "monsters",
         "tags",
         "professions",
+        "scenes",
       ];
 
       tables.forEach((table) => db.prepare(`DELETE FROM ${table}`).run());
@@ -256,6 +269,7 @@ if (require.main === module) {
     const ProfessionModel = require("./Profession");
     const TagModel = require("./Tag");
     const MonsterTagModel = require("./MonsterTag");
+    const SceneModel = require("./Scene");
     const SessionModel = require("./Session");
 
     const playerModel = new PlayerModel(logger);
@@ -278,6 +292,9 @@ if (require.main === module) {
     const monsterTagModel = new MonsterTagModel(logger, db);
     monsterTagModel.initialize();
 
+    const sceneModel = new SceneModel(logger, db);
+    sceneModel.initialize();
+
     const sessionModel = new SessionModel(logger, db);
     sessionModel.initialize();
     sessionModel.prepareStatements();
@@ -289,6 +306,7 @@ if (require.main === module) {
       profession: professionModel,
       tag: tagModel,
       monsterTag: monsterTagModel,
+      scene: sceneModel,
       session: sessionModel,
       db,
     };
@@ -354,6 +372,7 @@ if (require.main === module) {
       "monsters",
       "tags",
       "monster_tags",
+      "scenes",
       "skills",
       "players",
       "sessions",
@@ -376,6 +395,7 @@ if (require.main === module) {
       monsters: "Monsters",
       tags: "Tags",
       monster_tags: "Monster-Tag Links",
+      scenes: "Scenes",
       skills: "Skills",
       players: "Players",
       sessions: "Sessions",
@@ -424,6 +444,7 @@ if (require.main === module) {
       models.profession,
       models.tag,
       models.monsterTag,
+      models.scene,
       models.db,
     );
 
@@ -67,6 +67,12 @@ class SessionModel {
                     skill_breakdown TEXT,
                     time_series_data TEXT,
                     target_damage TEXT,
+                    deaths TEXT,
+                    effective_healing INTEGER DEFAULT 0,
+                    heal_targets TEXT,
+                    effective_damage INTEGER DEFAULT 0,
+                    overkill_damage INTEGER DEFAULT 0,
+                    player_group TEXT,
                     created_at TEXT DEFAULT (datetime('now')),
                     FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
                     FOREIGN KEY (player_id) REFERENCES players(player_id),
@@ -93,6 +99,16 @@ class SessionModel {
         this.db.exec("ALTER TABLE sessions ADD COLUMN type TEXT DEFAULT 'Open World'");
       }
 
+      if (!sessionsColumnNames.includes('capture_files')) {
+        this.logger.info('Adding capture_files column to sessions table');
+        this.db.exec('ALTER TABLE sessions ADD COLUMN capture_files TEXT');
+      }
+
+      if (!sessionsColumnNames.includes('boss_encounters')) {
+        this.logger.info('Adding boss_encounters column to sessions table');
+        this.db.exec('ALTER TABLE sessions ADD COLUMN boss_encounters TEXT');
+      }
+
       // Migrate existing session_players table to new schema (add missing columns)
       const tableInfo = this.db.pragma('table_info(session_players)');
       const columnNames = tableInfo.map(col => col.name);
@@ -104,6 +120,12 @@ class SessionModel {
         { name: 'hp', type: 'INTEGER DEFAULT 0' },
         { name: 'max_hp', type: 'INTEGER DEFAULT 0' },
         { name: 'target_damage', type: 'TEXT' },
+        { name: 'deaths', type: 'TEXT' },
+        { name: 'effective_healing', type: 'INTEGER DEFAULT 0' },
+        { name: 'heal_targets', type: 'TEXT' },
+        { name: 'effective_damage', type: 'INTEGER DEFAULT 0' },
+        { name: 'overkill_damage', type: 'INTEGER DEFAULT 0' },
+        { name: 'player_group', type: 'TEXT' },
       ];
 
       newColumns.forEach(col => {
@@ -164,6 +186,14 @@ class SessionModel {
                 WHERE id = ?
             `);
 
+      this.statements.setCaptureFiles = this.db.prepare(`
+                UPDATE sessions SET capture_files = ? WHERE id = ?
+            `);
+
+      this.statements.setBossEncounters = this.db.prepare(`
+                UPDATE sessions SET boss_encounters = ? WHERE id = ?
+            `);
+
       this.statements.deleteSession = this.db.prepare(`
                 DELETE FROM sessions WHERE id = ?
             `);
@@ -173,8 +203,9 @@ class SessionModel {
                 INSERT OR REPLACE INTO session_players
                 (session_id, player_id, player_name, profession_id, total_damage, total_healing,
                  total_dps, total_hps, max_dps, max_hps, fight_point, total_count, taken_damage,
-                 dead_count, hp, max_hp, skill_breakdown, time_series_data, target_damage)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 dead_count, hp, max_hp, skill_breakdown, time_series_data, target_damage, deaths,
+                 effective_healing, heal_targets, effective_damage, overkill_damage, player_group)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
 
       this.statements.getSessionPlayers = this.db.prepare(`
@@ -361,6 +392,36 @@ class SessionModel {
     }
   }
 
+  /**
+   * Link raw capture files (pcapng) recorded during a session
+   * @param {number} sessionId
+   * @param {string[]} files - Capture file paths
+   */
+  setCaptureFiles(sessionId, files) {
+    try {
+      this.statements.setCaptureFiles.run(JSON.stringify(files), sessionId);
+      this.logger.info(`Session ${sessionId} linked to ${files.length} capture file(s)`);
+    } catch (error) {
+      this.logger.error(`Failed to set session capture files: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the boss encounters fought during a session, with their phases
+   * @param {number} sessionId
+   * @param {Object[]} encounters - Encounters from BossTracker.getEncounters
+   */
+  setBossEncounters(sessionId, encounters) {
+    try {
+      this.statements.setBossEncounters.run(JSON.stringify(encounters), sessionId);
+      this.logger.info(`Session ${sessionId} saved with ${encounters.length} boss encounter(s)`);
+    } catch (error) {
+      this.logger.error(`Failed to set session boss encounters: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Delete session
    * @param {number} sessionId
@@ -402,6 +463,12 @@ class SessionModel {
         JSON.stringify(playerData.skill_breakdown || {}),
         JSON.stringify(playerData.time_series_data || []),
         JSON.stringify(playerData.target_damage || []),
+        JSON.stringify(playerData.deaths || []),
+        playerData.effective_healing || 0,
+        JSON.stringify(playerData.heal_targets || []),
+        playerData.effective_damage || 0,
+        playerData.overkill_damage || 0,
+        playerData.player_group || null,
       );
       this.logger.debug(
         `Player ${playerData.player_id} added to session ${sessionId}`,
@@ -427,7 +494,10 @@ class SessionModel {
         player_name: player.player_name,
         profession_id: player.profession_id,
         totalDamage: player.total_damage,
+        effectiveDamage: player.effective_damage,
+        overkillDamage: player.overkill_damage,
         totalHealing: player.total_healing,
+        effectiveHealing: player.effective_healing,
         totalDps: player.total_dps,
         totalHps: player.total_hps,
         max_dps: player.max_dps,
@@ -441,6 +511,9 @@ class SessionModel {
         skill_breakdown: JSON.parse(player.skill_breakdown || "{}"),
         time_series_data: JSON.parse(player.time_series_data || "[]"),
         target_damage: JSON.parse(player.target_damage || "[]"),
+        deaths: JSON.parse(player.deaths || "[]"),
+        heal_targets: JSON.parse(player.heal_targets || "[]"),
+        group: player.player_group, // Null for sessions saved before rosters were tracked
         professionDetails: {
           id: player.profession_id,
           name_cn: player.name_cn,
@@ -459,14 +532,18 @@ class SessionModel {
   /**
    * Get session with full details (players)
    * @param {number} sessionId
+   * @param {string[]|null} [groups] - Only include players of these roster groups
    * @returns {object} - Complete session object
    */
-  getSessionWithDetails(sessionId) {
+  getSessionWithDetails(sessionId, groups = null) {
     try {
       const session = this.getSession(sessionId);
       if (!session) return null;
 
-      const players = this.getSessionPlayers(sessionId);
+      let players = this.getSessionPlayers(sessionId);
+      if (groups) {
+        players = players.filter((player) => groups.includes(player.group));
+      }
 
       return {
         id: session.id,
@@ -486,6 +563,8 @@ class SessionModel {
         is_active: session.is_active,
         created_at: session.created_at,
         updated_at: session.updated_at,
+        capture_files: JSON.parse(session.capture_files || "[]"),
+        boss_encounters: JSON.parse(session.boss_encounters || "[]"),
         players,
       };
     } catch (error) {
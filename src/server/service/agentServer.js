@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+
+const AGENT_PATH = "/agent";
+const HELLO_TIMEOUT = 5000; // Agents must identify themselves within this window
+const MAX_PACKET_SIZE = 0x0fffff; // Same bound the sniffer uses for a single game packet
+
+/**
+ * Accepts a remote capture agent (agent.js) on the web server and feeds the
+ * game packets it forwards into the local packet processor
+ *
+ * Protocol (websocket on /agent):
+ * - text frames are JSON control messages:
+ *   { type: "hello", token, version, source } once after connecting
+ *   { type: "server-change", server } when the agent locks onto a game server
+ * - binary frames are reassembled, length-prefixed game packets
+ *
+ * Agents always have to present the shared token, since anyone who can reach
+ * the web server could otherwise feed combat data into the meter. Without a
+ * configured token one is generated for this run and logged.
+ */
+class AgentServer {
+  /**
+   * @param {Object} logger - Logger
+   * @param {import("./captureWorker").CaptureWorker} sniffer - Decodes agent packets
+   * @param {Object} [options]
+   * @param {string|null} [options.token] - Shared secret agents must present, generated if not set
+   */
+  constructor(logger, sniffer, { token = null } = {}) {
+    this.logger = {
+      info: (msg) => logger.info(`[AgentServer] ${msg}`),
+      error: (msg) => logger.error(`[AgentServer] ${msg}`),
+      warn: (msg) => logger.warn(`[AgentServer] ${msg}`),
+      debug: (msg) => logger.debug(`[AgentServer] ${msg}`),
+    };
+    this.sniffer = sniffer;
+    this.token = token || crypto.randomBytes(16).toString("hex");
+    if (!token) {
+      this.logger.warn(
+        `No agent token configured, generated one for this run: ${this.token}`,
+      );
+      this.logger.warn(
+        "Start the agent with --token <token>, or set --agent-token/BPSR_AGENT_TOKEN to keep it across restarts",
+      );
+    }
+    this.wss = null;
+    this.agent = null; // Only one agent feeds the meter at a time
+  }
+
+  /**
+   * Handle agent websocket upgrades on an HTTP server
+   * Other upgrade requests (socket.io) are left to their own handlers
+   * @param {import("http").Server} httpServer
+   */
+  attach(httpServer) {
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: MAX_PACKET_SIZE,
+    });
+
+    httpServer.on("upgrade", (req, socket, head) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (pathname !== AGENT_PATH) return;
+
+      this.wss.handleUpgrade(req, socket, head, (ws) =>
+        this._onConnection(ws, req),
+      );
+    });
+
+    this.logger.info(`Accepting capture agents on ${AGENT_PATH}`);
+  }
+
+  /**
+   * Connected agent, if any
+   * @returns {{address: string, source: string, version: string, connectedAt: number, packets: number}|null}
+   */
+  getAgent() {
+    if (!this.agent) return null;
+    const { ws, ...info } = this.agent;
+    return info;
+  }
+
+  close() {
+    this.wss?.close();
+  }
+
+  _onConnection(ws, req) {
+    const address = req.socket.remoteAddress;
+    let agent = null;
+
+    const helloTimer = setTimeout(() => {
+      if (!agent) ws.close(4401, "Expected hello");
+    }, HELLO_TIMEOUT);
+
+    ws.on("message", (data, isBinary) => {
+      if (!isBinary) {
+        const message = this._parseControlMessage(data);
+        if (!message) return;
+
+        if (message.type === "hello") {
+          agent = this._onHello(ws, address, message);
+          clearTimeout(helloTimer);
+        } else if (agent && message.type === "server-change") {
+          this.logger.info(`Agent switched to game server ${message.server}`);
+          this.sniffer.handleServerChange(message.server);
+        }
+        return;
+      }
+
+      if (!agent) {
+        ws.close(4401, "Expected hello");
+        return;
+      }
+      agent.packets++;
+      try {
+        this.sniffer.dispatchPacket(data);
+      } catch (error) {
+        this.logger.debug(`Failed to process agent packet: ${error.message}`);
+      }
+    });
+
+    ws.on("close", () => {
+      clearTimeout(helloTimer);
+      if (this.agent?.ws === ws) {
+        this.logger.info(
+          `Agent ${address} disconnected after ${this.agent.packets} packets`,
+        );
+        this.agent = null;
+      }
+    });
+
+    ws.on("error", (error) => {
+      this.logger.warn(`Agent ${address} connection error: ${error.message}`);
+    });
+  }
+
+  _parseControlMessage(data) {
+    try {
+      return JSON.parse(data.toString());
+    } catch (error) {
+      this.logger.warn(`Ignoring malformed agent message: ${error.message}`);
+      return null;
+    }
+  }
+
+  _onHello(ws, address, message) {
+    // A repeated hello of the connected agent is not another agent
+    if (this.agent?.ws === ws) {
+      this.logger.debug(`Ignoring repeated hello from agent ${address}`);
+      return this.agent;
+    }
+    if (!this._isValidToken(message.token)) {
+      this.logger.warn(`Rejected agent ${address}: invalid token`);
+      ws.close(4403, "Invalid token");
+      return null;
+    }
+    if (this.agent) {
+      this.logger.warn(
+        `Rejected agent ${address}: ${this.agent.address} is already connected`,
+      );
+      ws.close(4409, "Another agent is connected");
+      return null;
+    }
+
+    this.agent = {
+      ws,
+      address,
+      source: message.source || "unknown",
+      version: message.version || "unknown",
+      connectedAt: Date.now(),
+      packets: 0,
+    };
+    this.logger.info(
+      `Agent ${address} connected (v${this.agent.version}, ${this.agent.source})`,
+    );
+    return this.agent;
+  }
+
+  _isValidToken(token) {
+    if (typeof token !== "string") return false;
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(token);
+    return (
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected)
+    );
+  }
+}
+
+module.exports = AgentServer;
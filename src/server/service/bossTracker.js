@@ -0,0 +1,305 @@
+const BOSS_MONSTER_TYPE = 2; // monster_type of bosses and elites in the monster database
+const BOSS_TAG_IDS = [54, 55, 56, 57]; // Elite, Boss, Wild Boss and World Boss classification tags
+const DEFAULT_PHASE_THRESHOLDS = [75, 50, 25]; // HP percentages at which a new phase starts
+const SAMPLE_INTERVAL = 500; // HP samples closer together than this are merged
+const MAX_SAMPLES = 7200; // HP samples kept per encounter (an hour at SAMPLE_INTERVAL)
+const MAX_ENCOUNTERS = 20; // Finished encounters kept, oldest dropped first
+
+/**
+ * HP history and phases of boss and elite monsters
+ *
+ * An encounter starts when a boss first takes damage or loses HP and ends
+ * when it dies or its entity goes away. Its HP is sampled over time and split
+ * into phases at HP thresholds, each with the damage dealt during it.
+ */
+class BossTracker {
+  /**
+   * @param {Object} globalSettings - Settings, read for bossPhaseThresholds
+   */
+  constructor(globalSettings) {
+    this.globalSettings = globalSettings;
+    this.monsterDb = null;
+    this.monsterTagDb = null;
+    this.bossIds = new Map(); // Whether a monster database ID is a boss, by ID
+    this.bosses = new Map(); // Boss entities by UID: { monsterId, name, classification }
+    this.encounters = new Map(); // Encounters by boss UID
+    this.killed = new Set(); // UIDs of bosses that died, whose late updates are ignored
+    this.finished = []; // Encounters that ended, oldest first
+    this.zone = null; // Scene new encounters take place in: { mapId, name, contentType }
+  }
+
+  /**
+   * @param {Object} monsterDb - Monster database model
+   * @param {Object} monsterTagDb - MonsterTag database model
+   */
+  setDatabases(monsterDb, monsterTagDb) {
+    this.monsterDb = monsterDb;
+    this.monsterTagDb = monsterTagDb;
+  }
+
+  /**
+   * @param {Object|null} zone - Current scene, null when it is unknown
+   */
+  setZone(zone) {
+    this.zone = zone;
+  }
+
+  /**
+   * Clean up phase thresholds from settings
+   * @param {Array} thresholds - HP percentages, in any order
+   * @returns {number[]|null} - Distinct percentages between 0 and 100, highest first, or null when not a list
+   */
+  static normalizeThresholds(thresholds) {
+    if (!Array.isArray(thresholds)) return null;
+    const percentages = thresholds
+      .map(Number)
+      .filter((threshold) => threshold > 0 && threshold < 100);
+    return [...new Set(percentages)].sort((a, b) => b - a);
+  }
+
+  /** HP percentages at which phases start, highest first */
+  get phaseThresholds() {
+    return (
+      BossTracker.normalizeThresholds(
+        this.globalSettings?.bossPhaseThresholds,
+      ) ?? DEFAULT_PHASE_THRESHOLDS
+    );
+  }
+
+  /**
+   * Identify an enemy from its monster database ID
+   * @param {number} uid - Enemy UID
+   * @param {number} monsterId - Monster database ID
+   * @param {string|null} name - Enemy name
+   */
+  identify(uid, monsterId, name) {
+    const classification = this._getClassification(monsterId);
+    this.killed.delete(uid);
+    if (classification === null) {
+      this.bosses.delete(uid);
+      return;
+    }
+    this.bosses.set(uid, { monsterId, name, classification });
+  }
+
+  /**
+   * @param {number} uid - Enemy UID
+   * @param {string} name - Enemy name
+   */
+  setName(uid, name) {
+    const boss = this.bosses.get(uid);
+    if (boss) boss.name = name;
+    const encounter = this.encounters.get(uid);
+    if (encounter) encounter.name = name;
+  }
+
+  /**
+   * Record a boss HP update
+   * @param {number} uid - Enemy UID
+   * @param {number} hp - Current HP
+   * @param {number|undefined} maxHp - Max HP, if known
+   * @param {number} now - Current time in milliseconds
+   */
+  recordHp(uid, hp, maxHp, now) {
+    if (!this.bosses.has(uid) || this.killed.has(uid)) return;
+
+    let encounter = this.encounters.get(uid);
+    if (!encounter) {
+      // An untouched boss at full HP is not being fought yet
+      if (!maxHp || hp >= maxHp) return;
+      encounter = this._start(uid, now);
+    }
+    if (maxHp) encounter.maxHp = maxHp;
+    encounter.hp = hp;
+
+    const last = encounter.samples[encounter.samples.length - 1];
+    if (last && now - last.time < SAMPLE_INTERVAL && hp > 0) {
+      last.hp = hp;
+    } else {
+      encounter.samples.push({ time: now, hp });
+      if (encounter.samples.length > MAX_SAMPLES) encounter.samples.shift();
+    }
+
+    this._updatePhase(encounter, now);
+    if (hp <= 0) this._finish(uid, now, true);
+  }
+
+  /**
+   * Record damage a player dealt to a boss
+   * @param {number} uid - Enemy UID
+   * @param {number} playerUid - Attacking player UID
+   * @param {number} damage - Damage value
+   * @param {boolean} isKill - Whether it's the killing blow
+   * @param {number} now - Current time in milliseconds
+   */
+  recordDamage(uid, playerUid, damage, isKill, now) {
+    if (!this.bosses.has(uid) || this.killed.has(uid)) return;
+
+    const encounter = this.encounters.get(uid) ?? this._start(uid, now);
+    const phase = encounter.phases[encounter.phases.length - 1];
+    for (const target of [encounter, phase]) {
+      target.damage += damage;
+      target.players[playerUid] = (target.players[playerUid] || 0) + damage;
+    }
+    if (isKill) this._finish(uid, now, true);
+  }
+
+  /**
+   * End the encounters of bosses that are no longer visible, e.g. after a map change
+   * @param {number} now - Current time in milliseconds
+   */
+  endAll(now) {
+    for (const uid of this.encounters.keys()) {
+      this._finish(uid, now, false);
+    }
+    this.bosses.clear();
+    this.killed.clear();
+  }
+
+  /** Forget all encounters; bosses stay identified */
+  clear() {
+    this.encounters.clear();
+    this.finished = [];
+  }
+
+  /**
+   * Ongoing and finished encounters
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array} - Most recent first
+   */
+  getEncounters(now) {
+    return [...this.encounters.values(), ...this.finished]
+      .map((encounter) => this._summarize(encounter, now))
+      .sort((a, b) => b.startTime - a.startTime);
+  }
+
+  _getClassification(monsterId) {
+    if (!this.bossIds.has(monsterId)) {
+      const monster = this.monsterDb?.getMonster(monsterId);
+      const tag = this.monsterTagDb
+        ?.getMonsterTags(monsterId)
+        .find((tag) => BOSS_TAG_IDS.includes(tag.id));
+      let classification = null;
+      if (tag) {
+        classification = tag.name;
+      } else if (monster?.monster_type === BOSS_MONSTER_TYPE) {
+        classification = "Boss/Elite";
+      }
+      this.bossIds.set(monsterId, classification);
+    }
+    return this.bossIds.get(monsterId);
+  }
+
+  _start(uid, now) {
+    const boss = this.bosses.get(uid);
+    const encounter = {
+      uid,
+      monsterId: boss.monsterId,
+      name: boss.name,
+      classification: boss.classification,
+      zone: this.zone,
+      thresholds: this.phaseThresholds,
+      startTime: now,
+      endTime: null,
+      killed: false,
+      hp: null,
+      maxHp: null,
+      damage: 0,
+      players: {}, // Damage by player UID
+      samples: [], // { time, hp }
+      phases: [],
+    };
+    this._startPhase(encounter, 0, now);
+    this.encounters.set(uid, encounter);
+    return encounter;
+  }
+
+  _startPhase(encounter, index, now) {
+    encounter.phases.push({
+      phase: index + 1,
+      fromPercent: index === 0 ? 100 : encounter.thresholds[index - 1],
+      toPercent: encounter.thresholds[index] ?? 0,
+      startTime: now,
+      endTime: null,
+      damage: 0,
+      players: {}, // Damage by player UID
+    });
+  }
+
+  /** Move on to the phase the current HP belongs to; phases never go back */
+  _updatePhase(encounter, now) {
+    if (!encounter.maxHp || encounter.hp === null) return;
+    const percent = (encounter.hp / encounter.maxHp) * 100;
+    const index = encounter.thresholds.filter(
+      (threshold) => percent <= threshold,
+    ).length;
+
+    let current = encounter.phases[encounter.phases.length - 1];
+    while (current.phase - 1 < index) {
+      current.endTime = now;
+      this._startPhase(encounter, current.phase, now);
+      current = encounter.phases[encounter.phases.length - 1];
+    }
+  }
+
+  _finish(uid, now, killed) {
+    const encounter = this.encounters.get(uid);
+    if (!encounter) return;
+
+    this.encounters.delete(uid);
+    encounter.endTime = now;
+    encounter.killed = killed;
+    if (killed) {
+      this.killed.add(uid);
+      encounter.hp = 0;
+      const last = encounter.samples[encounter.samples.length - 1];
+      if (last?.hp !== 0) encounter.samples.push({ time: now, hp: 0 });
+    }
+    encounter.phases[encounter.phases.length - 1].endTime = now;
+
+    this.finished.push(encounter);
+    if (this.finished.length > MAX_ENCOUNTERS) this.finished.shift();
+  }
+
+  _summarize(encounter, now) {
+    const endTime = encounter.endTime ?? now;
+    const duration = endTime - encounter.startTime;
+    const dps = duration > 0 ? (encounter.damage / duration) * 1000 : 0;
+
+    // Remaining HP at the average DPS so far
+    let estimatedTimeToKill = null;
+    if (!encounter.endTime && encounter.hp !== null && dps > 0) {
+      estimatedTimeToKill = (encounter.hp / dps) * 1000;
+    }
+
+    return {
+      uid: encounter.uid,
+      monsterId: encounter.monsterId,
+      name: encounter.name,
+      classification: encounter.classification,
+      zone: encounter.zone,
+      startTime: encounter.startTime,
+      endTime: encounter.endTime,
+      killed: encounter.killed,
+      hp: encounter.hp,
+      maxHp: encounter.maxHp,
+      duration,
+      timeToKill: encounter.killed ? duration : null,
+      estimatedTimeToKill,
+      damage: encounter.damage,
+      dps,
+      players: encounter.players,
+      phases: encounter.phases.map((phase) => {
+        const phaseDuration = (phase.endTime ?? endTime) - phase.startTime;
+        return {
+          ...phase,
+          duration: phaseDuration,
+          dps: phaseDuration > 0 ? (phase.damage / phaseDuration) * 1000 : 0,
+        };
+      }),
+      samples: encounter.samples,
+    };
+  }
+}
+
+module.exports = BossTracker;
@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+const PcapngWriter = require("../../algo/pcapngWriter");
+const configPaths = require("../utilities/configPaths");
+const { DEFAULT_SETTINGS } = require("../utilities/settings");
+
+// Rotate mid-message if the stream never reaches a message boundary in this window
+const ROTATE_BOUNDARY_TIMEOUT = 10000;
+
+/**
+ * Format a timestamp for capture file names (local time, millisecond precision)
+ * @param {number} timestamp
+ * @returns {string} - e.g. 2025-01-31_18-04-05-123
+ */
+function formatFileTimestamp(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_` +
+    `${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}-${pad(d.getMilliseconds(), 3)}`
+  );
+}
+
+/**
+ * Records accepted game-server frames to rotating pcapng files
+ *
+ * Files only start at points a replay can decode from: either the frame that
+ * identified the game server, or a message boundary of the game stream. In the
+ * latter case the file is primed with that stream's server detection frame,
+ * with its sequence number moved so the replayed stream continues seamlessly.
+ */
+class CaptureRecorder {
+  constructor(logger, globalSettings) {
+    this.logger = {
+      info: (msg) => logger.info(`[CaptureRecorder] ${msg}`),
+      error: (msg) => logger.error(`[CaptureRecorder] ${msg}`),
+      warn: (msg) => logger.warn(`[CaptureRecorder] ${msg}`),
+      debug: (msg) => logger.debug(`[CaptureRecorder] ${msg}`),
+    };
+    this.globalSettings = globalSettings;
+    this.writer = null;
+    this.detections = new Map(); // { frame, tcpOffset, payloadLength } of each game stream's server detection
+    this.rotationRequestedAt = null;
+    this.unlinkedFiles = []; // Files recorded since the last saved session
+    this.failed = false; // Set on I/O errors until recording is toggled off
+  }
+
+  /** Effective recording settings, merged over the defaults */
+  get settings() {
+    return {
+      ...DEFAULT_SETTINGS.captureRecording,
+      ...this.globalSettings.captureRecording,
+    };
+  }
+
+  /** Directory capture files are written to */
+  get directory() {
+    return (
+      this.settings.directory ||
+      path.join(configPaths.getUserDataPath(), "captures")
+    );
+  }
+
+  /**
+   * Record a frame accepted by the sniffer
+   * @param {Buffer} frame - Ethernet frame
+   * @param {number} timestamp - Capture time in milliseconds
+   * @param {Object} [stream] - Game stream state before this frame is processed
+   * @param {string} [stream.streamKey] - Connection key of the frame's game stream
+   * @param {Object} [stream.detection] - Set when this frame identified the game server: { tcpOffset, payloadLength }
+   * @param {boolean} [stream.atBoundary=false] - The frame starts a new game message
+   * @param {number} [stream.nextSeq] - Expected TCP sequence number of the frame
+   */
+  record(
+    frame,
+    timestamp,
+    {
+      streamKey = null,
+      detection = null,
+      atBoundary = false,
+      nextSeq = null,
+    } = {},
+  ) {
+    const settings = this.settings;
+    if (!settings.enabled) {
+      this.failed = false;
+      this.close();
+      return;
+    }
+    if (this.failed) return;
+
+    if (detection) {
+      this.detections.set(streamKey, { frame, ...detection });
+    }
+
+    if (
+      this.writer &&
+      this.rotationRequestedAt === null &&
+      this.writer.bytesWritten >= settings.maxFileSizeMB * 1024 * 1024
+    ) {
+      this.rotationRequestedAt = timestamp;
+    }
+
+    let forced = false;
+    if (this.writer && this.rotationRequestedAt !== null) {
+      forced = timestamp - this.rotationRequestedAt > ROTATE_BOUNDARY_TIMEOUT;
+      if (atBoundary || detection || forced) {
+        this._closeWriter();
+      }
+    }
+
+    try {
+      if (!this.writer) {
+        // Anything else would start mid-message and could not be replayed
+        if (!detection && !atBoundary && !forced) return;
+        this._openWriter(
+          timestamp,
+          detection || !atBoundary ? null : this.detections.get(streamKey),
+          nextSeq,
+        );
+      }
+      this.writer.writePacket(frame, timestamp);
+    } catch (error) {
+      this.logger.error(`Capture recording stopped: ${error.message}`);
+      this.failed = true;
+      this._closeWriter();
+    }
+  }
+
+  /**
+   * Drop the detection frame of a game stream that has ended
+   * @param {string} streamKey - Connection key
+   */
+  forgetStream(streamKey) {
+    this.detections.delete(streamKey);
+  }
+
+  /**
+   * Start a new file at the next opportunity
+   */
+  rotate() {
+    if (this.writer && this.rotationRequestedAt === null) {
+      this.rotationRequestedAt = Date.now();
+    }
+  }
+
+  /**
+   * Hand over the files recorded since the last saved session
+   * In per-session mode the current file is also rotated
+   * @param {number} sessionId - Session the files belong to
+   * @returns {string[]} - Capture file paths
+   */
+  linkSession(sessionId) {
+    const files = [...this.unlinkedFiles];
+
+    if (this.writer && this.settings.rotatePerSession) {
+      this.rotate();
+      this.unlinkedFiles = [];
+    } else {
+      // The current file keeps recording and also belongs to the next session
+      this.unlinkedFiles = this.writer ? [this.writer.filePath] : [];
+    }
+
+    if (files.length > 0) {
+      this.logger.info(
+        `Linked ${files.length} capture file(s) to session ${sessionId}`,
+      );
+    }
+    return files;
+  }
+
+  close() {
+    this._closeWriter();
+  }
+
+  _openWriter(timestamp, primer, primeSeq) {
+    const directory = this.directory;
+    fs.mkdirSync(directory, { recursive: true });
+
+    const filePath = path.join(
+      directory,
+      `capture_${formatFileTimestamp(timestamp)}.pcapng`,
+    );
+    this.writer = new PcapngWriter(filePath, { application: "BPSR Tools" });
+    this.unlinkedFiles.push(filePath);
+    this.logger.info(`Recording game traffic to ${filePath}`);
+
+    if (primer && primeSeq !== null) {
+      const { frame, tcpOffset, payloadLength } = primer;
+      const primed = Buffer.from(frame);
+      primed.writeUInt32BE((primeSeq - payloadLength) >>> 0, tcpOffset + 4);
+      this.writer.writePacket(primed, timestamp);
+    }
+  }
+
+  _closeWriter() {
+    this.rotationRequestedAt = null;
+    if (!this.writer) return;
+
+    try {
+      this.writer.close();
+    } catch (error) {
+      this.logger.warn(`Failed to close capture file: ${error.message}`);
+    }
+    this.logger.info(
+      `Closed ${this.writer.filePath} (${this.writer.packetCount} frames)`,
+    );
+    this.writer = null;
+  }
+}
+
+module.exports = CaptureRecorder;
@@ -0,0 +1,679 @@
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const {
+  LinkType,
+  PcapParser,
+  readCaptureFile,
+  toEthernetFrame,
+} = require("../../algo/pcapReader");
+
+const NPCAP_INSTALLER_PATH = path.join(
+  __dirname,
+  "..",
+  "..",
+  "Dist",
+  "npcap-1.83.exe",
+); // Adjust the path
+
+// Link types reported by cap's Cap.open(), for frames that are not Ethernet
+const CAP_LINK_TYPES = {
+  ETHERNET: LinkType.Ethernet,
+  NULL: LinkType.Null,
+  RAW: LinkType.Raw,
+  LINKTYPE_LINUX_SLL: LinkType.LinuxSll,
+};
+
+// Live capture filter until a game server connection is known
+const CAPTURE_FILTER = "ip and tcp";
+const CAPTURE_BUFFER_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Split a connection key into the addresses and ports of both sides
+ * @param {string} key - Connection key ("ip:port -> ip:port")
+ * @returns {{srcAddress: string, srcPort: number, dstAddress: string, dstPort: number}}
+ */
+function parseConnectionKey(key) {
+  const [src, dst] = key.split(" -> ").map((side) => {
+    const separator = side.lastIndexOf(":");
+    return [side.slice(0, separator), Number(side.slice(separator + 1))];
+  });
+  return {
+    srcAddress: src[0],
+    srcPort: src[1],
+    dstAddress: dst[0],
+    dstPort: dst[1],
+  };
+}
+
+/**
+ * Live capture filter limited to one game server
+ * Non-first IP fragments carry no TCP header, so they are matched by host only.
+ * Connection attempts of the game client to a game server port still pass, so
+ * the sniffer sees it connect to the next server (scene change, instance)
+ * while this connection is open and can widen the filter to detect it
+ * @param {string} src_server - Connection key ("ip:port -> ip:port") of the server-to-client stream
+ * @param {Iterable<number>} [serverPorts] - Ports of game servers seen before, besides this one
+ * @returns {string} - BPF filter expression
+ */
+function gameServerFilter(src_server, serverPorts = []) {
+  const { srcAddress, srcPort, dstAddress } = parseConnectionKey(src_server);
+  const ports = [...new Set([srcPort, ...serverPorts])]
+    .map((port) => `dst port ${port}`)
+    .join(" or ");
+  return (
+    `ip and ((host ${srcAddress} and (tcp port ${srcPort} or ip[6:2] & 0x1fff != 0))` +
+    ` or (src host ${dstAddress} and tcp[tcpflags] & (tcp-syn|tcp-ack) == tcp-syn and (${ports})))`
+  );
+}
+
+/**
+ * Progress of a capture source switch, for capture health
+ * @param {{source: CaptureSource, startedAt: number, error: string|null}|null} pending - Switch waiting for its source to open
+ * @returns {Object|null} - { source, state, error, startedAt }, null without a pending switch
+ */
+function describeSourceSwitch(pending) {
+  if (!pending) return null;
+  let state = "opening";
+  if (pending.error) state = "failed";
+  else if (pending.source.detecting) state = "detecting";
+  return {
+    source: pending.source.name,
+    state,
+    error: pending.error,
+    startedAt: pending.startedAt,
+  };
+}
+
+/**
+ * Check that libpcap can list capture devices
+ * There is no installer to fall back to outside Windows
+ * @param {Object} logger - Logger
+ * @returns {boolean}
+ */
+function checkLibpcap(logger) {
+  try {
+    const devices = require("cap").Cap.deviceList();
+    if (!devices || devices.length === 0) {
+      throw new Error("No capture devices available.");
+    }
+    logger.info("libpcap detected and functional.");
+    return true;
+  } catch (e) {
+    logger.error(`libpcap not detected or not functional: ${e.message}`);
+    logger.error(
+      "Install libpcap and run as root, or grant node the cap_net_raw and cap_net_admin capabilities.",
+    );
+    return false;
+  }
+}
+
+async function checkAndInstallNpcap(logger) {
+  if (process.platform !== "win32") {
+    return checkLibpcap(logger);
+  }
+
+  try {
+    const devices = require("cap").Cap.deviceList();
+    if (
+      !devices ||
+      devices.length === 0 ||
+      devices.every((d) => d.name.includes("Loopback"))
+    ) {
+      throw new Error("Npcap not detected or not functional.");
+    }
+    logger.info("Npcap detected and functional.");
+    return true;
+  } catch (e) {
+    logger.warn(`Npcap not detected or not functional: ${e.message}`);
+    logger.info("Attempting to install Npcap...");
+
+    if (!fs.existsSync(NPCAP_INSTALLER_PATH)) {
+      logger.error(`Npcap installer not found at: ${NPCAP_INSTALLER_PATH}`);
+      logger.info(
+        "Please install Npcap manually from the Dist/ folder and restart the application.",
+      );
+      return false;
+    }
+
+    try {
+      logger.info(
+        "Running Npcap installer. Please follow the on-screen instructions.",
+      );
+      const npcapProcess = spawn(NPCAP_INSTALLER_PATH, [], {
+        detached: true,
+        stdio: "ignore",
+      });
+      npcapProcess.unref();
+
+      logger.info(
+        "Npcap installer launched. Please install Npcap and then restart this application.",
+      );
+      return false;
+    } catch (spawnError) {
+      logger.error(`Error running Npcap installer: ${spawnError.message}`);
+      logger.info(
+        "Please install Npcap manually from the Dist/ folder and restart the application.",
+      );
+      return false;
+    }
+  }
+}
+
+/**
+ * Unbounded async queue bridging event-based producers to `for await` consumers
+ */
+class AsyncQueue {
+  constructor() {
+    this.items = [];
+    this.waiting = null;
+    this.ended = false;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    if (this.ended) return;
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve();
+    }
+    this.items.push(item);
+  }
+
+  end() {
+    this.ended = true;
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.items.length) {
+        yield this.items.shift();
+      } else if (this.ended) {
+        return;
+      } else {
+        await new Promise((resolve) => (this.waiting = resolve));
+      }
+    }
+  }
+}
+
+/**
+ * Base class for capture sources
+ *
+ * A source produces Ethernet frames for Sniffer.processEthPacket. Subclasses
+ * implement open() to acquire their device/file/socket and frames() to yield
+ * { data, timestamp } until the source is exhausted or closed.
+ */
+class CaptureSource {
+  constructor(name) {
+    this.name = name;
+    // When true the sniffer times gaps and fragments by frame timestamps
+    // instead of the wall clock (offline decoding faster than real time)
+    this.usesCaptureClock = false;
+    // Whether frames from this source may be written by the capture recorder
+    this.recordable = true;
+    this.stats = { frames: 0, skipped: 0 };
+    // BPF filter frames are captured with, null when the source cannot filter
+    this.filter = null;
+  }
+
+  /** Acquire the underlying device, file or socket; throws when unusable */
+  async open() {}
+
+  /**
+   * Frames produced by this source
+   * @returns {AsyncGenerator<{data: Buffer, timestamp: number|null}>}
+   */
+  async *frames() {
+    throw new Error(`${this.constructor.name} does not implement frames()`);
+  }
+
+  /** Stop producing frames and release resources */
+  close() {}
+
+  /**
+   * Change which frames are captured; sources that cannot filter ignore this
+   * @param {string} filter - BPF filter expression
+   * @returns {boolean} - Whether the filter is now active
+   */
+  setFilter(filter) {
+    return false;
+  }
+
+  /** Frames received but not yet consumed by the sniffer */
+  get queueDepth() {
+    return 0;
+  }
+
+  /**
+   * Normalize parsed capture records to Ethernet frames, counting the rest
+   * @param {AsyncIterable<{timestamp: number|null, linkType: number, data: Buffer}>} records
+   * @returns {AsyncGenerator<{data: Buffer, timestamp: number|null}>}
+   */
+  async *_toEthernetFrames(records) {
+    for await (const record of records) {
+      const data = toEthernetFrame(record.linkType, record.data);
+      if (!data) {
+        this.stats.skipped++;
+        continue;
+      }
+      this.stats.frames++;
+      yield { data, timestamp: record.timestamp };
+    }
+  }
+}
+
+/**
+ * Live capture from a local network adapter through cap (Npcap/libpcap)
+ */
+class LiveCaptureSource extends CaptureSource {
+  /**
+   * @param {Object} logger - Logger
+   * @param {number|string} [deviceNum] - Device index, device name, or "auto"/undefined to detect it
+   */
+  constructor(logger, deviceNum) {
+    super("live");
+    this.logger = logger;
+    this.deviceNum = deviceNum;
+    this.device = null;
+    this.capInstance = null;
+    this.filter = CAPTURE_FILTER;
+    this.queue = new AsyncQueue();
+    this.detecting = false; // Waiting for traffic to pick a device
+    this.closed = false;
+  }
+
+  async open() {
+    const npcapReady = await checkAndInstallNpcap(this.logger);
+    if (!npcapReady) {
+      throw new Error("Npcap is not ready. The application must exit.");
+    }
+
+    const Cap = require("cap").Cap;
+    const {
+      findDefaultNetworkDevice,
+      findDeviceByName,
+    } = require("../../algo/netInterfaceUtil");
+    const devices = Cap.deviceList();
+
+    let num = this.deviceNum;
+    if (typeof num === "string" && num !== "auto" && !/^\d+$/.test(num)) {
+      num = findDeviceByName(devices, this.deviceNum);
+      if (num === undefined) {
+        // A saved interface may be gone (adapter removed, renamed), keep capturing
+        this.logger.warn(
+          `Network interface ${this.deviceNum} not found (available: ${devices.map((d) => d.name).join(", ")}), detecting automatically`,
+        );
+        num = "auto";
+      }
+    }
+    if (num === undefined || num === null || num === "auto") {
+      this.detecting = true;
+      let deviceFound = false;
+      while (!deviceFound) {
+        // Closing the source abandons detection, e.g. when another interface is selected
+        if (this.closed) {
+          this.detecting = false;
+          throw new Error("Capture source closed during device detection");
+        }
+        const device_num = await findDefaultNetworkDevice(devices);
+        if (device_num !== undefined && !isNaN(device_num)) {
+          num = device_num;
+          deviceFound = true;
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, 5000));
+        }
+      }
+      this.detecting = false;
+    }
+
+    if (num === undefined || isNaN(num) || !devices[num]) {
+      this.logger.error(
+        "Could not automatically detect a valid network interface.",
+      );
+      this.logger.error("Make sure the game is running and try again.");
+      throw new Error("Could not detect a valid network interface.");
+    }
+
+    this.device = devices[num].name;
+    this.name = `live:${this.device}`;
+    this.capInstance = this._openDevice(this.filter);
+  }
+
+  /**
+   * Open a capture handle on the device that queues its frames
+   * @param {string} filter - BPF filter expression
+   * @returns {Object} - cap Cap instance
+   */
+  _openDevice(filter) {
+    const Cap = require("cap").Cap;
+    const buffer = Buffer.alloc(65535);
+    const capInstance = new Cap();
+    const deviceType = capInstance.open(
+      this.device,
+      filter,
+      CAPTURE_BUFFER_SIZE,
+      buffer,
+    );
+    const linkType = CAP_LINK_TYPES[deviceType];
+    if (linkType === undefined) {
+      this.logger.error(
+        "The device seems to be WRONG! Please check the device! Device type: " +
+          deviceType,
+      );
+    }
+    capInstance.setMinBytes && capInstance.setMinBytes(0);
+    capInstance.on("packet", (nbytes, trunc) => {
+      this.queue.push({
+        linkType,
+        data: Buffer.from(buffer.subarray(0, nbytes)),
+        timestamp: Date.now(),
+      });
+    });
+    return capInstance;
+  }
+
+  /**
+   * Reopen the device with another filter
+   * cap cannot change the filter of an open handle; the new handle is opened
+   * before the old one is closed, and frames both capture meanwhile are dropped
+   * by TCP reassembly as duplicates
+   * @param {string} filter - BPF filter expression
+   * @returns {boolean} - Whether the filter is now active
+   */
+  setFilter(filter) {
+    if (!this.capInstance) return false;
+    if (filter === this.filter) return true;
+
+    let capInstance;
+    try {
+      capInstance = this._openDevice(filter);
+    } catch (e) {
+      this.logger.warn(
+        `Failed to set capture filter "${filter}": ${e.message}`,
+      );
+      return false;
+    }
+    this.capInstance.close();
+    this.capInstance = capInstance;
+    this.filter = filter;
+    this.logger.info(`Capture filter set to "${filter}"`);
+    return true;
+  }
+
+  async *frames() {
+    // Cooked (e.g. Linux "any") and raw IP devices are normalized to Ethernet
+    yield* this._toEthernetFrames(this.queue);
+  }
+
+  get queueDepth() {
+    return this.queue.size;
+  }
+
+  close() {
+    this.closed = true;
+    if (this.capInstance) {
+      this.capInstance.close();
+      this.capInstance = null;
+    }
+    this.queue.end();
+  }
+}
+
+/**
+ * Offline pcap/pcapng file
+ */
+class PcapFileSource extends CaptureSource {
+  /**
+   * @param {string} filePath - Path to a .pcap or .pcapng file
+   * @param {Object} [options]
+   * @param {boolean} [options.realtime=false] - Pace frames by their capture timestamps instead of as fast as possible
+   */
+  constructor(filePath, { realtime = false } = {}) {
+    super(`file:${filePath}`);
+    this.filePath = filePath;
+    this.realtime = realtime;
+    this.usesCaptureClock = !realtime;
+    this.recordable = false; // Never re-record a capture while replaying it
+    this.closed = false;
+  }
+
+  async open() {
+    await fs.promises.access(this.filePath, fs.constants.R_OK);
+  }
+
+  async *frames() {
+    const startedAt = Date.now();
+    let firstTimestamp = null;
+
+    for await (const frame of this._toEthernetFrames(
+      readCaptureFile(this.filePath),
+    )) {
+      if (this.closed) return;
+
+      if (this.realtime && frame.timestamp !== null) {
+        if (firstTimestamp === null) firstTimestamp = frame.timestamp;
+        const delay =
+          frame.timestamp - firstTimestamp - (Date.now() - startedAt);
+        if (delay > 0) await new Promise((r) => setTimeout(r, delay));
+      }
+      yield frame;
+    }
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * pcap/pcapng byte stream from any readable stream
+ * e.g. `tcpdump -i eth0 -w - tcp | node server.js --source stdin`
+ */
+class StreamSource extends CaptureSource {
+  /**
+   * @param {string} name - Source name for logs
+   * @param {import("stream").Readable} stream - Stream carrying pcap/pcapng data
+   */
+  constructor(name, stream) {
+    super(name);
+    this.stream = stream;
+    this.closed = false;
+  }
+
+  async *frames() {
+    try {
+      yield* this._toEthernetFrames(this._records(this.stream));
+    } catch (error) {
+      // Destroying the stream in close() aborts the read; that is not a failure
+      if (!this.closed) throw error;
+    }
+  }
+
+  /**
+   * Parse capture records from a stream; each stream starts a new capture
+   * @param {import("stream").Readable} stream
+   */
+  async *_records(stream) {
+    const parser = new PcapParser();
+    for await (const chunk of stream) {
+      yield* parser.push(chunk);
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.stream.destroy();
+  }
+}
+
+/**
+ * pcap/pcapng data on the process stdin
+ */
+class StdinSource extends StreamSource {
+  constructor() {
+    super("stdin", process.stdin);
+  }
+}
+
+/**
+ * pcap/pcapng data over TCP, either by connecting to a feed or by accepting
+ * one sender at a time (e.g. `tcpdump -w - | nc <host> <port>` on a remote machine)
+ */
+class TcpSource extends StreamSource {
+  /**
+   * @param {Object} logger - Logger
+   * @param {string} host - Host to connect to or bind
+   * @param {number} port - Port to connect to or listen on
+   * @param {Object} [options]
+   * @param {boolean} [options.listen=false] - Accept connections instead of connecting
+   */
+  constructor(logger, host, port, { listen = false } = {}) {
+    super(`${listen ? "tcp-listen" : "tcp"}://${host}:${port}`, null);
+    this.logger = logger;
+    this.host = host;
+    this.port = port;
+    this.listen = listen;
+    this.server = null;
+    this.connections = new AsyncQueue();
+  }
+
+  async open() {
+    if (!this.listen) {
+      this.stream = await new Promise((resolve, reject) => {
+        const socket = net.connect(this.port, this.host);
+        socket.once("connect", () => resolve(socket));
+        socket.once("error", reject);
+      });
+      this.logger.info(`Connected to capture feed ${this.name}`);
+      return;
+    }
+
+    this.server = net.createServer((socket) => {
+      if (this.stream) {
+        this.logger.warn(
+          `Rejected capture feed from ${socket.remoteAddress}: another sender is connected`,
+        );
+        socket.destroy();
+        return;
+      }
+      this.logger.info(`Capture feed connected from ${socket.remoteAddress}`);
+      this.stream = socket;
+      this.connections.push(socket);
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.logger.info(`Waiting for a capture feed on ${this.name}`);
+  }
+
+  async *frames() {
+    if (!this.listen) {
+      yield* super.frames();
+      return;
+    }
+
+    for await (const socket of this.connections) {
+      try {
+        yield* this._toEthernetFrames(this._records(socket));
+      } catch (error) {
+        if (this.closed) return;
+        this.logger.warn(`Capture feed failed: ${error.message}`);
+        socket.destroy();
+      }
+      this.logger.info("Capture feed disconnected");
+      this.stream = null;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.stream?.destroy();
+    if (this.server) {
+      this.server.close();
+      this.connections.end();
+    }
+  }
+}
+
+/**
+ * Parse a "host:port" pair, allowing the host to be omitted
+ * @param {string} address
+ * @returns {{host: string, port: number}}
+ */
+function parseHostPort(address) {
+  const separator = address.lastIndexOf(":");
+  const host = separator > 0 ? address.slice(0, separator) : "0.0.0.0";
+  const port = parseInt(address.slice(separator + 1));
+  if (isNaN(port)) {
+    throw new Error(`Invalid capture source address "${address}"`);
+  }
+  return { host, port };
+}
+
+/**
+ * Create a capture source from a command-line style spec
+ *
+ * - undefined, "auto" or a device index: live capture
+ * - "stdin": pcap/pcapng stream on stdin
+ * - "tcp://host:port": connect to a pcap/pcapng feed
+ * - "tcp-listen://[host]:port": accept a pcap/pcapng feed
+ * - anything else: pcap/pcapng file path
+ *
+ * @param {string|number|undefined} spec - Source spec
+ * @param {Object} options
+ * @param {Object} options.logger - Logger
+ * @param {boolean} [options.realtime=false] - Pace file sources by capture timestamps
+ * @returns {CaptureSource}
+ */
+function createCaptureSource(spec, { logger, realtime = false }) {
+  if (
+    spec === undefined ||
+    spec === null ||
+    spec === "auto" ||
+    /^\d+$/.test(String(spec))
+  ) {
+    return new LiveCaptureSource(logger, spec);
+  }
+  if (spec.startsWith("live:")) {
+    return new LiveCaptureSource(logger, spec.slice("live:".length));
+  }
+  if (spec === "stdin" || spec === "-") {
+    return new StdinSource();
+  }
+  if (spec.startsWith("tcp://")) {
+    const { host, port } = parseHostPort(spec.slice("tcp://".length));
+    return new TcpSource(logger, host, port);
+  }
+  if (spec.startsWith("tcp-listen://")) {
+    const { host, port } = parseHostPort(spec.slice("tcp-listen://".length));
+    return new TcpSource(logger, host, port, { listen: true });
+  }
+  return new PcapFileSource(spec, { realtime });
+}
+
+module.exports = {
+  CAPTURE_FILTER,
+  AsyncQueue,
+  CaptureSource,
+  LiveCaptureSource,
+  PcapFileSource,
+  StreamSource,
+  StdinSource,
+  TcpSource,
+  createCaptureSource,
+  describeSourceSwitch,
+  gameServerFilter,
+  parseConnectionKey,
+};
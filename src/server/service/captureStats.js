@@ -0,0 +1,163 @@
+const RATE_WINDOW = 5000; // Frame and byte rates are averaged over this window
+const ISSUE_WINDOW = 30000; // Problems this recent mark the capture as degraded
+const IDLE_TIMEOUT = 10000; // No decoded game packet for this long means nothing is being measured
+const QUEUE_WARNING_DEPTH = 1000; // Frames waiting to be decoded before the sniffer is considered behind
+
+/**
+ * Counters describing how reliable the capture currently is
+ *
+ * The sniffer, its TCP streams and the packet processor report into one
+ * instance; getSnapshot() turns the counters into rates and a health status
+ * for the API and the header badge.
+ */
+class CaptureStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.totals = {
+      frames: 0, // Frames read from the capture source
+      bytesCaptured: 0,
+      packets: 0, // Game packets handed to the packet processor
+      bytesDecoded: 0,
+      tcpGaps: 0,
+      forcedResyncs: 0,
+      expiredFragments: 0,
+      expiredStreams: 0,
+      decodeErrors: 0,
+      invalidLengths: 0, // Corrupt message lengths the sniffer recovered from
+      bytesDropped: 0,
+    };
+    this.issues = new Map(); // Last time each kind of problem was seen
+    this.lastPacketAt = null;
+    this.samples = []; // { time, frames, bytesDecoded } for rate calculation
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * @param {number} bytes - Frame length
+   */
+  recordFrame(bytes) {
+    this.totals.frames++;
+    this.totals.bytesCaptured += bytes;
+  }
+
+  /**
+   * @param {number} bytes - Game packet length
+   */
+  recordPacket(bytes) {
+    this.totals.packets++;
+    this.totals.bytesDecoded += bytes;
+    this.lastPacketAt = Date.now();
+  }
+
+  recordTcpGap() {
+    this.totals.tcpGaps++;
+    this._markIssue("tcpGaps");
+  }
+
+  recordForcedResync() {
+    this.totals.forcedResyncs++;
+    this._markIssue("forcedResyncs");
+  }
+
+  /**
+   * @param {number} count - Fragment caches dropped before they were complete
+   */
+  recordExpiredFragments(count) {
+    this.totals.expiredFragments += count;
+    this._markIssue("expiredFragments");
+  }
+
+  recordExpiredStream() {
+    this.totals.expiredStreams++;
+  }
+
+  recordInvalidLength() {
+    this.totals.invalidLengths++;
+    this._markIssue("invalidLengths");
+  }
+
+  /**
+   * @param {number} bytes - Corrupt bytes skipped to reach the next message
+   */
+  recordDroppedBytes(bytes) {
+    this.totals.bytesDropped += bytes;
+  }
+
+  recordDecodeError() {
+    this.totals.decodeErrors++;
+    this._markIssue("decodeErrors");
+  }
+
+  _markIssue(type) {
+    this.issues.set(type, Date.now());
+  }
+
+  /**
+   * Current statistics and health status
+   * @param {Object} [state] - Capture state owned by the sniffer
+   * @param {string|null} [state.source] - Capture source name
+   * @param {number} [state.queueDepth] - Frames waiting to be decoded
+   * @param {number} [state.streams] - Tracked game TCP streams
+   * @param {string|null} [state.server] - Most recently detected game server
+   * @param {string|null} [state.filter] - Active capture filter of the source
+   * @returns {Object}
+   */
+  getSnapshot({
+    source = null,
+    queueDepth = 0,
+    streams = 0,
+    server = null,
+    filter = null,
+  } = {}) {
+    const now = Date.now();
+
+    this.samples.push({
+      time: now,
+      frames: this.totals.frames,
+      bytesDecoded: this.totals.bytesDecoded,
+    });
+    while (
+      this.samples.length > 2 &&
+      now - this.samples[1].time >= RATE_WINDOW
+    ) {
+      this.samples.shift();
+    }
+    const oldest = this.samples[0];
+    const elapsed = (now - oldest.time) / 1000;
+    const rate = (current, previous) =>
+      elapsed > 0 ? (current - previous) / elapsed : 0;
+
+    const reasons = [];
+    for (const [type, time] of this.issues) {
+      if (now - time <= ISSUE_WINDOW) reasons.push(type);
+    }
+    if (queueDepth > QUEUE_WARNING_DEPTH) reasons.push("queueDepth");
+
+    let status = "ok";
+    if (this.lastPacketAt === null || now - this.lastPacketAt > IDLE_TIMEOUT) {
+      status = "idle";
+    } else if (reasons.length > 0) {
+      status = "degraded";
+    }
+
+    return {
+      status,
+      reasons,
+      source,
+      server,
+      filter,
+      streams,
+      uptime: now - this.startedAt,
+      lastPacketAt: this.lastPacketAt,
+      framesPerSec: rate(this.totals.frames, oldest.frames),
+      bytesDecodedPerSec: rate(this.totals.bytesDecoded, oldest.bytesDecoded),
+      queueDepth,
+      totals: { ...this.totals },
+    };
+  }
+}
+
+module.exports = CaptureStats;
@@ -0,0 +1,463 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const CaptureStats = require("./captureStats");
+const { CAPTURE_FILTER, describeSourceSwitch } = require("./captureSources");
+
+const MAX_BATCH_FRAMES = 512; // Frames posted to the worker in one message
+const MAX_PENDING_FRAMES = 20000; // Posted but unprocessed frames before the source is throttled
+const TICK_INTERVAL = 1000; // Settings sync and capture stats refresh
+const MIN_RESTART_UPTIME = 10000; // A worker that dies sooner is not restarted (it would crash again)
+const REQUEST_TIMEOUT = 10000; // Requests the worker has not answered by then fail
+
+// UserDataManager methods the packet processor calls, forwarded from the
+// worker as combat events and applied on the main thread in order
+const USER_DATA_EVENTS = [
+  "addDamage",
+  "addHealing",
+  "addMiss",
+  "addTakenDamage",
+  "addSkillCast",
+  "addCombatLog",
+  "addBuff",
+  "removeBuff",
+  "setLocalPlayer",
+  "setTeam",
+  "setAttrKV",
+  "setResource",
+  "setName",
+  "setProfession",
+  "setFightPoint",
+  "setPosition",
+  "setSceneMapId",
+  "setSceneLineId",
+  "setSceneName",
+  "setEnemyName",
+  "setEnemyAttrId",
+  "setEnemyHp",
+  "setEnemyMaxHp",
+  "onServerChange",
+  "publishNotify",
+  "setEventTime",
+];
+
+// Sniffer methods that browse the protocol inspector, answered by the worker
+const INSPECTOR_METHODS = [
+  "getInspectorSummary",
+  "getInspectorMessages",
+  "getInspectorMessage",
+  "clearInspector",
+];
+
+/**
+ * Runs the sniffer (TCP reassembly) and packet processor (decompression and
+ * protobuf decoding) in a worker thread
+ *
+ * The capture source stays on the main thread and posts frames to the worker
+ * in batches; the worker posts back the combat events each batch produced,
+ * which are applied to the UserDataManager here. Exposes the parts of the
+ * Sniffer interface the server, API and agent server use.
+ */
+class CaptureWorker {
+  /**
+   * @param {Object} logger - Logger
+   * @param {import("./dataManager").UserDataManager} userDataManager - Receives the combat events
+   * @param {Object} globalSettings - Settings, synced to the worker every second
+   */
+  constructor(logger, userDataManager, globalSettings) {
+    this.logger = logger;
+    this.userDataManager = userDataManager;
+    this.globalSettings = globalSettings;
+    this.source = null; // Active capture source
+    this.requestedFilter = CAPTURE_FILTER; // Capture filter the worker's sniffer asked for
+    this.onSourceComplete = null;
+    this.pendingSwitch = null; // Source switch waiting for its source: { source, startedAt, error }
+    this.isPaused = false;
+    this.pendingFrames = 0; // Posted to the worker and not yet processed
+    this.drainWaiters = [];
+    this.requests = new Map(); // Pending replies by request ID
+    this.nextRequestId = 1;
+    this.stats = null; // Latest capture stats snapshot from the worker
+    this.idleStats = new CaptureStats(); // Snapshot shape until the worker reports
+    this.worker = null;
+    this.spawnedAt = null;
+    this.dead = null; // { exitCode, exitedAt } once the worker exited and was not restarted
+    this.tickInterval = null;
+
+    this._spawn();
+    this._startTicks();
+  }
+
+  /**
+   * Start capturing from a source
+   * @param {import("./captureSources").CaptureSource} source - Unopened source
+   * @param {Object} [options]
+   * @param {Function} [options.onComplete] - Called with the source stats once all of its frames are decoded
+   */
+  async start(source, { onComplete = null } = {}) {
+    await source.open();
+    this.source = source;
+    this.onSourceComplete = onComplete;
+    this._post({ type: "start", source: this._describeSource(source) });
+    this._consume(source, onComplete);
+  }
+
+  /**
+   * Replace the running capture source, e.g. after another interface was selected
+   * The current source keeps capturing until the new one is open, see Sniffer.switchSource
+   * @param {import("./captureSources").CaptureSource} source - Unopened source
+   */
+  async switchSource(source) {
+    // A switch still waiting for its source is abandoned
+    this.pendingSwitch?.source.close();
+    const pending = { source, startedAt: Date.now(), error: null };
+    this.pendingSwitch = pending;
+    try {
+      await source.open();
+    } catch (e) {
+      if (this.pendingSwitch !== pending) return;
+      pending.error = e.message;
+      throw e;
+    }
+    if (this.pendingSwitch !== pending) {
+      source.close();
+      return;
+    }
+    this.pendingSwitch = null;
+
+    const previous = this.source;
+    this.source = source;
+    previous?.close();
+    source.setFilter(this.requestedFilter);
+    this._post({ type: "source", source: this._describeSource(source) });
+    this.logger.info(
+      `Switched capture source from ${previous?.name} to ${source.name}`,
+    );
+    this._consume(source, this.onSourceComplete);
+  }
+
+  setPaused(paused) {
+    this.isPaused = paused;
+    this._post({ type: "paused", paused });
+  }
+
+  /** Decode a reassembled game packet, e.g. one forwarded by a capture agent
+   * @param {Buffer} packet - Length-prefixed game packet
+   */
+  dispatchPacket(packet) {
+    if (this.dead) return;
+    const data = new Uint8Array(packet);
+    this.worker.postMessage({ type: "packet", data }, [data.buffer]);
+  }
+
+  /** Tell the worker the game connection moved to another server
+   * @param {string} src_server - Connection key ("ip:port -> ip:port")
+   */
+  handleServerChange(src_server) {
+    this._post({ type: "server-change", server: src_server });
+  }
+
+  /** Capture health statistics, refreshed by the worker every second
+   * @returns {Object} - See CaptureStats.getSnapshot, with status "failed"
+   * and the worker exit once packets are no longer decoded
+   */
+  getCaptureStats() {
+    // The filter and source switches are owned by this thread
+    const filter = this.source?.filter ?? null;
+    const sourceSwitch = describeSourceSwitch(this.pendingSwitch);
+    const stats =
+      this.stats ??
+      this.idleStats.getSnapshot({
+        source: this.source?.name ?? null,
+        filter,
+      });
+    if (!this.dead) return { ...stats, filter, sourceSwitch };
+    // The last snapshot of a dead worker would look healthy
+    return {
+      ...stats,
+      status: "failed",
+      reasons: ["workerExited"],
+      framesPerSec: 0,
+      bytesDecodedPerSec: 0,
+      filter,
+      sourceSwitch,
+      worker: this.dead,
+    };
+  }
+
+  /** Hand over the capture files recorded since the last saved session
+   * @param {number} sessionId - Session the files belong to
+   * @returns {Promise<string[]>} - Capture file paths
+   */
+  linkCaptureFiles(sessionId) {
+    return this._request({ type: "link-capture", sessionId });
+  }
+
+  /** Protocol inspector state and the message groups it has seen
+   * @returns {Promise<Object>} - See ProtocolInspector.getSummary
+   */
+  getInspectorSummary() {
+    return this._inspect("getInspectorSummary");
+  }
+
+  /** Buffered messages of a protocol inspector group, newest first
+   * @param {string} key - Group key
+   * @param {number} [before] - Only list messages with a lower ID
+   * @returns {Promise<Array>}
+   */
+  getInspectorMessages(key, before) {
+    return this._inspect("getInspectorMessages", key, before);
+  }
+
+  /** A buffered protocol inspector message with its hex and protobuf views
+   * @param {number} id - Message ID
+   * @returns {Promise<Object|null>}
+   */
+  getInspectorMessage(id) {
+    return this._inspect("getInspectorMessage", id);
+  }
+
+  clearInspector() {
+    return this._inspect("clearInspector");
+  }
+
+  _inspect(method, ...args) {
+    return this._request({ type: "inspector", method, args });
+  }
+
+  _describeSource(source) {
+    return {
+      name: source.name,
+      recordable: source.recordable,
+      usesCaptureClock: source.usesCaptureClock,
+    };
+  }
+
+  _spawn() {
+    this.spawnedAt = Date.now();
+    this.worker = new Worker(path.join(__dirname, "captureWorkerThread.js"), {
+      workerData: {
+        settings: this.globalSettings,
+        isPaused: this.isPaused,
+      },
+    });
+    this.worker.on("message", (message) => this._onMessage(message));
+    this.worker.on("error", (error) => {
+      this.logger.error(`Capture worker crashed: ${error.stack || error}`);
+    });
+    this.worker.on("exit", (code) => {
+      for (const { reject } of this.requests.values()) {
+        reject(new Error(`Capture worker exited with code ${code}`));
+      }
+      this.requests.clear();
+      this.pendingFrames = 0;
+      this._resolveDrain();
+      // A new worker has to detect the game server again
+      this._setFilter(CAPTURE_FILTER);
+
+      if (Date.now() - this.spawnedAt < MIN_RESTART_UPTIME) {
+        this.dead = { exitCode: code, exitedAt: Date.now() };
+        this.logger.error(
+          `Capture worker exited with code ${code}, packets are no longer decoded`,
+        );
+        return;
+      }
+
+      // Stream state is lost, but capture continues from the next frames
+      this.logger.warn(`Capture worker exited with code ${code}, restarting`);
+      this._spawn();
+      if (this.source) {
+        this._post({
+          type: "start",
+          source: this._describeSource(this.source),
+        });
+      }
+    });
+  }
+
+  _onMessage(message) {
+    switch (message.type) {
+      case "events":
+        this._applyEvents(message.events);
+        if (message.frames > 0) {
+          this.pendingFrames = Math.max(0, this.pendingFrames - message.frames);
+          if (this.pendingFrames < MAX_PENDING_FRAMES) this._resolveDrain();
+        }
+        break;
+      case "stats":
+        this.stats = message.stats;
+        break;
+      case "filter":
+        this._setFilter(message.filter);
+        break;
+      case "log":
+        this.logger[message.level]?.(message.msg);
+        break;
+      case "reply": {
+        const request = this.requests.get(message.id);
+        if (!request) break;
+        this.requests.delete(message.id);
+        if (message.error) request.reject(new Error(message.error));
+        else request.resolve(message.result);
+        break;
+      }
+    }
+  }
+
+  _applyEvents(events) {
+    for (const [method, args] of events) {
+      if (!USER_DATA_EVENTS.includes(method)) continue;
+      try {
+        this.userDataManager[method](...args);
+      } catch (error) {
+        this.logger.error(`Failed to apply ${method}: ${error.message}`);
+      }
+    }
+  }
+
+  _setFilter(filter) {
+    this.requestedFilter = filter;
+    this.source?.setFilter(filter);
+  }
+
+  _post(message) {
+    if (this.dead) return;
+    this.worker.postMessage(message);
+  }
+
+  _request(message) {
+    if (this.dead) {
+      return Promise.reject(
+        new Error(
+          `Capture worker exited with code ${this.dead.exitCode} and is not running`,
+        ),
+      );
+    }
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(id);
+        reject(new Error(`Capture worker did not answer ${message.type}`));
+      }, REQUEST_TIMEOUT);
+      this.requests.set(id, {
+        resolve: (result) => {
+          clearTimeout(timer);
+          resolve(result);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      this._post({ ...message, id });
+    });
+  }
+
+  /** Sync settings to the worker and let it report capture stats */
+  _startTicks() {
+    if (this.tickInterval) return;
+    this.tickInterval = setInterval(() => {
+      this._post({
+        type: "tick",
+        settings: this.globalSettings,
+        queueDepth: this._queueDepth(),
+      });
+    }, TICK_INTERVAL);
+  }
+
+  _queueDepth() {
+    return (this.source?.queueDepth ?? 0) + this.pendingFrames;
+  }
+
+  /** Post a batch of frames as one transferred buffer */
+  _postFrames(frames) {
+    // Nothing decodes them anymore
+    if (this.dead) return;
+
+    let size = 0;
+    for (const frame of frames) size += frame.data.length;
+
+    const data = new Uint8Array(size);
+    const offsets = new Uint32Array(frames.length + 1);
+    const timestamps = new Float64Array(frames.length);
+    let offset = 0;
+    frames.forEach((frame, i) => {
+      data.set(frame.data, offset);
+      offsets[i] = offset;
+      timestamps[i] = frame.timestamp ?? NaN;
+      offset += frame.data.length;
+    });
+    offsets[frames.length] = offset;
+
+    this.pendingFrames += frames.length;
+    this.worker.postMessage(
+      {
+        type: "frames",
+        data,
+        offsets,
+        timestamps,
+        queueDepth: this._queueDepth(),
+      },
+      [data.buffer, offsets.buffer, timestamps.buffer],
+    );
+  }
+
+  _waitForDrain() {
+    if (this.pendingFrames === 0) return Promise.resolve();
+    return new Promise((resolve) => this.drainWaiters.push(resolve));
+  }
+
+  _resolveDrain() {
+    const waiters = this.drainWaiters;
+    this.drainWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  /** Read a source on the main thread and post its frames to the worker */
+  _consume(source, onComplete) {
+    (async () => {
+      const startedAt = Date.now();
+      let batch = [];
+      let flushScheduled = false;
+      const flush = () => {
+        flushScheduled = false;
+        if (batch.length === 0) return;
+        this._postFrames(batch);
+        batch = [];
+      };
+
+      try {
+        for await (const frame of source.frames()) {
+          batch.push(frame);
+          if (batch.length >= MAX_BATCH_FRAMES) {
+            flush();
+          } else if (!flushScheduled) {
+            // Frames already queued are read first and go out together
+            flushScheduled = true;
+            setImmediate(flush);
+          }
+
+          while (this.pendingFrames >= MAX_PENDING_FRAMES) {
+            await this._waitForDrain();
+          }
+        }
+        flush();
+        // Report completion once the worker has decoded everything
+        while (this.pendingFrames > 0) {
+          await this._waitForDrain();
+        }
+      } catch (e) {
+        this.logger.error(`Capture source ${source.name} failed: ${e.message}`);
+      }
+
+      // A source that was replaced on purpose did not finish
+      if (this.source !== source) return;
+      onComplete?.({ ...source.stats, elapsed: Date.now() - startedAt });
+    })();
+  }
+}
+
+module.exports = {
+  CaptureWorker,
+  USER_DATA_EVENTS,
+  INSPECTOR_METHODS,
+};
@@ -0,0 +1,179 @@
+/**
+ * Worker thread entry of CaptureWorker
+ *
+ * Runs a Sniffer and PacketProcessor on frames posted by the main thread.
+ * UserDataManager calls are queued as combat events and posted back after
+ * each batch, together with the number of frames it contained.
+ */
+const { parentPort, workerData } = require("worker_threads");
+const Sniffer = require("./sniffer");
+const PacketProcessor = require("../../algo/packet");
+const { AsyncQueue, CaptureSource } = require("./captureSources");
+const { USER_DATA_EVENTS, INSPECTOR_METHODS } = require("./captureWorker");
+
+/**
+ * Stand-in for the main thread's UserDataManager that records every call
+ */
+class UserDataEvents {
+  constructor() {
+    this.events = [];
+    for (const method of USER_DATA_EVENTS) {
+      this[method] = (...args) => {
+        this.events.push([method, args]);
+      };
+    }
+  }
+
+  /** Remove and return the queued events */
+  take() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+}
+
+/**
+ * Frames posted by the main thread, in batches
+ * Mirrors the name and flags of the capture source they come from
+ */
+class WorkerFrameSource extends CaptureSource {
+  /**
+   * @param {Function} onBatchDone - Called with the frame count of each processed batch
+   * @param {Function} onFilterChange - Called with the capture filter the sniffer asks for
+   */
+  constructor(onBatchDone, onFilterChange) {
+    super("worker");
+    this.onBatchDone = onBatchDone;
+    this.onFilterChange = onFilterChange;
+    this.batches = new AsyncQueue();
+    this.reportedQueueDepth = 0;
+  }
+
+  /**
+   * @param {{name: string, recordable: boolean, usesCaptureClock: boolean}} source
+   */
+  describe({ name, recordable, usesCaptureClock }) {
+    this.name = name;
+    this.recordable = recordable;
+    this.usesCaptureClock = usesCaptureClock;
+  }
+
+  /**
+   * @param {{data: Uint8Array, offsets: Uint32Array, timestamps: Float64Array, queueDepth: number}} batch
+   */
+  push(batch) {
+    this.reportedQueueDepth = batch.queueDepth;
+    this.batches.push(batch);
+  }
+
+  async *frames() {
+    for await (const { data, offsets, timestamps } of this.batches) {
+      for (let i = 0; i < timestamps.length; i++) {
+        yield {
+          data: Buffer.from(
+            data.buffer,
+            data.byteOffset + offsets[i],
+            offsets[i + 1] - offsets[i],
+          ),
+          timestamp: Number.isNaN(timestamps[i]) ? null : timestamps[i],
+        };
+      }
+      // Resumed by the sniffer only after the last frame was processed
+      this.onBatchDone(timestamps.length);
+    }
+  }
+
+  /** Forwarded to the real source, which is on the main thread */
+  setFilter(filter) {
+    this.filter = filter;
+    this.onFilterChange(filter);
+    return true;
+  }
+
+  /** Frames waiting on the main thread or here */
+  get queueDepth() {
+    return this.reportedQueueDepth;
+  }
+}
+
+const logger = {};
+for (const level of ["info", "error", "warn", "debug"]) {
+  logger[level] = (msg) => parentPort.postMessage({ type: "log", level, msg });
+}
+
+const settings = workerData.settings;
+const userData = new UserDataEvents();
+const sniffer = new Sniffer(logger, userData, settings);
+sniffer.setPaused(workerData.isPaused);
+sniffer.attachProcessor(PacketProcessor);
+
+const postEvents = (frames) => {
+  parentPort.postMessage({ type: "events", events: userData.take(), frames });
+};
+const frameSource = new WorkerFrameSource(postEvents, (filter) => {
+  parentPort.postMessage({ type: "filter", filter });
+});
+
+parentPort.on("message", (message) => {
+  switch (message.type) {
+    case "start":
+      frameSource.describe(message.source);
+      sniffer.start(frameSource, null).catch((error) => {
+        logger.error(`[CaptureWorker] Failed to start: ${error.message}`);
+      });
+      break;
+    case "source":
+      frameSource.describe(message.source);
+      break;
+    case "frames":
+      frameSource.push(message);
+      break;
+    case "packet":
+      sniffer.dispatchPacket(
+        Buffer.from(
+          message.data.buffer,
+          message.data.byteOffset,
+          message.data.length,
+        ),
+      );
+      postEvents(0);
+      break;
+    case "server-change":
+      sniffer.handleServerChange(message.server);
+      postEvents(0);
+      break;
+    case "paused":
+      sniffer.setPaused(message.paused);
+      break;
+    case "tick":
+      Object.assign(settings, message.settings);
+      frameSource.reportedQueueDepth = message.queueDepth;
+      parentPort.postMessage({
+        type: "stats",
+        stats: sniffer.getCaptureStats(),
+      });
+      break;
+    case "link-capture":
+      parentPort.postMessage({
+        type: "reply",
+        id: message.id,
+        result: sniffer.linkCaptureFiles(message.sessionId),
+      });
+      break;
+    case "inspector":
+      if (!INSPECTOR_METHODS.includes(message.method)) {
+        parentPort.postMessage({
+          type: "reply",
+          id: message.id,
+          error: `Unknown inspector method ${message.method}`,
+        });
+        break;
+      }
+      parentPort.postMessage({
+        type: "reply",
+        id: message.id,
+        result: sniffer[message.method](...message.args),
+      });
+      break;
+  }
+});
@@ -1,35 +1,16 @@
 const fsPromises = require("fs").promises;
 const path = require("path");
+const { EventEmitter } = require("events");
 const PlayerModel = require("../model/Player");
 const MonsterModel = require("../model/Monster");
 const SkillModel = require("../model/Skill");
 const ProfessionModel = require("../model/Profession");
 const TagModel = require("../model/Tag");
 const MonsterTagModel = require("../model/MonsterTag");
+const SceneModel = require("../model/Scene");
 const PlayerAPIService = require("./playerAPI");
-
-class Lock {
-  constructor() {
-    this.queue = [];
-    this.locked = false;
-  }
-
-  async acquire() {
-    if (this.locked) {
-      return new Promise((resolve) => this.queue.push(resolve));
-    }
-    this.locked = true;
-  }
-
-  release() {
-    if (this.queue.length > 0) {
-      const nextResolve = this.queue.shift();
-      nextResolve();
-    } else {
-      this.locked = false;
-    }
-  }
-}
+const BossTracker = require("./bossTracker");
+const Lock = require("../utilities/lock");
 
 function getSubProfessionBySkillId(skillId) {
   switch (skillId) {
@@ -105,6 +86,28 @@ function normalizeParentProfession(profession) {
   return profession;
 }
 
+/**
+ * Clock combat events are timed by
+ *
+ * The packet processor passes the estimated server time of each packet before
+ * the events it produced (see UserDataManager.setEventTime), so records are
+ * timed by when the server sent them rather than when they were applied here.
+ */
+const combatClock = {
+  eventTime: null, // Server time of the packet being applied
+  offset: 0, // Event clock minus local clock at the last packet
+
+  /** Time of the event being applied */
+  now() {
+    return this.eventTime ?? this.current();
+  },
+
+  /** Current time on the event clock, for windows that age without events */
+  current() {
+    return Date.now() + this.offset;
+  },
+};
+
 class StatisticData {
   constructor(user, type, element) {
     this.user = user;
@@ -116,6 +119,8 @@ class StatisticData {
       lucky: 0,
       crit_lucky: 0,
       hpLessen: 0,
+      overheal: 0, // Healing beyond the target's missing HP, part of total (healing only)
+      overkill: 0, // Damage beyond the target's remaining HP on killing blows, part of total (damage only)
       total: 0,
     };
     this.count = {
@@ -124,6 +129,8 @@ class StatisticData {
       lucky: 0,
       crit_lucky: 0,
       total: 0,
+      miss: 0, // Missed or dodged, not part of total
+      immune: 0, // Hit an immune target, not part of total
     };
     this.minMax = {
       normal: { min: Infinity, max: 0 },
@@ -146,7 +153,7 @@ class StatisticData {
    * @param {number} hpLessenValue - HP reduction amount (used for damage only)
    */
   addRecord(value, isCrit, isLucky, hpLessenValue = 0) {
-    const now = Date.now();
+    const now = combatClock.now();
 
     // Determine hit type for min/max tracking
     let hitType = 'normal';
@@ -206,8 +213,42 @@ class StatisticData {
     }
   }
 
+  /** Add the part of a recorded heal that exceeded the target's missing HP
+   * @param {number} value - Overheal amount
+   */
+  addOverheal(value) {
+    this.stats.overheal += value;
+  }
+
+  /** Add the part of a recorded killing blow that exceeded the target's remaining HP
+   * @param {number} value - Overkill amount
+   */
+  addOverkill(value) {
+    this.stats.overkill += value;
+  }
+
+  /** Add a hit that dealt nothing
+   * @param {boolean} isImmune - Whether the target was immune, otherwise the hit missed or was dodged
+   */
+  addMiss(isImmune) {
+    if (isImmune) {
+      this.count.immune++;
+    } else {
+      this.count.miss++;
+    }
+  }
+
+  /** Share of attempted hits that missed, were dodged or hit an immune target
+   * @returns {number}
+   */
+  getMissRate() {
+    const misses = this.count.miss + this.count.immune;
+    const attempts = this.count.total + misses;
+    return attempts > 0 ? misses / attempts : 0;
+  }
+
   updateRealtimeStats() {
-    const now = Date.now();
+    const now = combatClock.current();
 
     while (
       this.realtimeWindow.length > 0 &&
@@ -242,6 +283,8 @@ class StatisticData {
       lucky: 0,
       crit_lucky: 0,
       hpLessen: 0,
+      overheal: 0, // Healing beyond the target's missing HP, part of total (healing only)
+      overkill: 0, // Damage beyond the target's remaining HP on killing blows, part of total (damage only)
       total: 0,
     };
     this.count = {
@@ -250,6 +293,8 @@ class StatisticData {
       lucky: 0,
       crit_lucky: 0,
       total: 0,
+      miss: 0, // Missed or dodged, not part of total
+      immune: 0, // Hit an immune target, not part of total
     };
     this.minMax = {
       normal: { min: Infinity, max: 0 },
@@ -266,6 +311,250 @@ class StatisticData {
   }
 }
 
+// Buff instances tracked before expired ones without a removal event are pruned
+const MAX_ACTIVE_BUFFS = 2000;
+
+// A cast counts as wasted if its skill deals no damage or healing within this window
+const CAST_HIT_WINDOW = 3000;
+
+// Damage, healing and HP changes this recent are included in a death recap
+const DEATH_RECAP_WINDOW = 10000;
+
+// Most recent damage and healing events included in a death recap
+const DEATH_RECAP_EVENTS = 20;
+
+// Death recaps kept per player, oldest dropped first
+const MAX_DEATHS = 50;
+
+// Players per party; larger teams are raids made up of several parties
+const PARTY_SIZE = 5;
+
+// Roster groups players are tagged with, relative to the local player
+const PLAYER_GROUPS = ["party", "raid", "other"];
+
+class SkillCastData {
+  constructor() {
+    this.casts = 0;
+    this.hits = 0; // Damage/healing records of the skill since its first cast
+    this.landed = 0;
+    this.wasted = 0;
+    this.pending = []; // Cast times still waiting for a hit
+    this.timeRange = [];
+  }
+
+  /** Add a cast sent by the client */
+  addCast() {
+    const now = combatClock.now();
+    this.settle(now);
+    this.casts++;
+    this.pending.push(now);
+
+    if (this.timeRange[0]) {
+      this.timeRange[1] = now;
+    } else {
+      this.timeRange[0] = now;
+    }
+  }
+
+  /** Add a damage or healing record of the skill */
+  addHit() {
+    const now = combatClock.now();
+    this.settle(now);
+    this.hits++;
+    this.landed += this.pending.length;
+    this.pending.length = 0;
+  }
+
+  /** Count casts that got no hit within the window as wasted
+   * @param {number} now - Current time in milliseconds
+   */
+  settle(now) {
+    while (this.pending.length > 0 && now - this.pending[0] > CAST_HIT_WINDOW) {
+      this.pending.shift();
+      this.wasted++;
+    }
+  }
+
+  /** Wasted casts including pending ones whose window ran out, without settling them
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number}
+   */
+  getWasted(now = combatClock.current()) {
+    let wasted = this.wasted;
+    for (const castAt of this.pending) {
+      if (now - castAt <= CAST_HIT_WINDOW) break;
+      wasted++;
+    }
+    return wasted;
+  }
+
+  reset() {
+    this.casts = 0;
+    this.hits = 0;
+    this.landed = 0;
+    this.wasted = 0;
+    this.pending = [];
+    this.timeRange = [];
+  }
+}
+
+/**
+ * Uptime of one buff, counted while at least one instance of it is active
+ * Instances are keyed by host and buff UUID, so a buff applied to several
+ * targets at once is counted once for uptime and per target for targetUptime
+ */
+class BuffUptimeData {
+  constructor() {
+    this.applications = 0;
+    this.uptime = 0; // Milliseconds of finished active stretches
+    this.targetUptime = 0; // Milliseconds of finished instances, summed
+    this.activeSince = null; // Start of the current active stretch
+    this.instances = new Map(); // Active instances: key -> { since, expiresAt }
+  }
+
+  /** Start or refresh an instance
+   * @param {string} key - Instance key
+   * @param {number} now - Current time in milliseconds
+   * @param {number|null} expiresAt - Time the instance runs out without a removal event
+   */
+  apply(key, now, expiresAt) {
+    this.settle(now);
+    const instance = this.instances.get(key);
+    if (instance) {
+      instance.expiresAt = expiresAt;
+      return;
+    }
+    this.applications++;
+    if (this.instances.size === 0) this.activeSince = now;
+    this.instances.set(key, { since: now, expiresAt });
+  }
+
+  /** End an instance
+   * @param {string} key - Instance key
+   * @param {number} now - Current time in milliseconds
+   */
+  remove(key, now) {
+    this.settle(now);
+    if (this.instances.has(key)) this._end(key, now);
+  }
+
+  /** End instances whose duration ran out, in the order they ran out
+   * @param {number} now - Current time in milliseconds
+   */
+  settle(now) {
+    const expired = [...this.instances]
+      .filter(([, instance]) => instance.expiresAt !== null)
+      .filter(([, instance]) => instance.expiresAt <= now)
+      .sort((a, b) => a[1].expiresAt - b[1].expiresAt);
+    for (const [key, instance] of expired) {
+      this._end(key, instance.expiresAt);
+    }
+  }
+
+  _end(key, time) {
+    const instance = this.instances.get(key);
+    this.instances.delete(key);
+    this.targetUptime += time - instance.since;
+    if (this.instances.size === 0) {
+      this.uptime += time - this.activeSince;
+      this.activeSince = null;
+    }
+  }
+
+  /** Uptime statistics
+   * @param {number} now - Current time in milliseconds
+   * @param {number} duration - Fight duration in milliseconds
+   * @returns {Object}
+   */
+  getSummary(now, duration) {
+    this.settle(now);
+    let uptime = this.uptime;
+    let targetUptime = this.targetUptime;
+    if (this.activeSince !== null) uptime += now - this.activeSince;
+    for (const instance of this.instances.values()) {
+      targetUptime += now - instance.since;
+    }
+    return {
+      applications: this.applications,
+      uptime,
+      uptimeRate: duration > 0 ? Math.min(1, uptime / duration) : 0,
+      avgTargets: uptime > 0 ? targetUptime / uptime : 0,
+      active: this.instances.size > 0,
+    };
+  }
+}
+
+/** Samples kept per player and resource (two hours at one change a second) */
+const MAX_RESOURCE_SAMPLES = 7200;
+
+/**
+ * Time series of one class resource, such as energy
+ *
+ * The game reports no cap, so the highest value seen is taken as the cap.
+ * Time spent at it counts as capped, and what the player would have gained
+ * meanwhile, at their average gain rate below the cap, as wasted.
+ */
+class ResourceData {
+  constructor() {
+    this.samples = []; // { time, value }, one per change
+  }
+
+  /** Record the current value
+   * @param {number} value - Resource value
+   * @param {number} now - Current time in milliseconds
+   */
+  record(value, now) {
+    const last = this.samples[this.samples.length - 1];
+    if (last?.value === value) return;
+    this.samples.push({ time: now, value });
+    if (this.samples.length > MAX_RESOURCE_SAMPLES) this.samples.shift();
+  }
+
+  /** Resource statistics since the first sample
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object}
+   */
+  getSummary(now) {
+    const samples = this.samples;
+    const cap = samples.reduce((max, sample) => Math.max(max, sample.value), 0);
+    let min = Infinity;
+    let weighted = 0; // Value integrated over time, for the average
+    let cappedTime = 0;
+    let gained = 0;
+    let spent = 0;
+
+    samples.forEach((sample, index) => {
+      const next = samples[index + 1];
+      const held = (next?.time ?? now) - sample.time;
+      min = Math.min(min, sample.value);
+      weighted += sample.value * held;
+      if (cap > 0 && sample.value === cap) cappedTime += held;
+      if (next) {
+        const change = next.value - sample.value;
+        if (change > 0) gained += change;
+        else spent -= change;
+      }
+    });
+
+    const duration = now - samples[0].time;
+    const uncappedTime = duration - cappedTime;
+    const gainRate = uncappedTime > 0 ? gained / uncappedTime : 0;
+
+    return {
+      current: samples[samples.length - 1].value,
+      cap,
+      min,
+      average: duration > 0 ? weighted / duration : samples[0].value,
+      gained,
+      spent,
+      duration,
+      cappedTime,
+      cappedRate: duration > 0 ? cappedTime / duration : 0,
+      wasted: gainRate * cappedTime,
+    };
+  }
+}
+
 class UserData {
   constructor(uid, skillDb = null) {
     this.uid = uid;
@@ -274,9 +563,21 @@ class UserData {
     this.healingStats = new StatisticData(this, "healing");
     this.takenDamage = 0;
     this.deadCount = 0;
+    this.takenDamageBySource = new Map(); // Damage taken by attacker UID
+    this.takenDamageBySkill = new Map(); // Damage taken by enemy skill ID
+    this.recentEvents = []; // Damage and healing received within DEATH_RECAP_WINDOW
+    this.recentHp = []; // HP changes within DEATH_RECAP_WINDOW
+    this.deaths = []; // Death recaps, oldest first
+    this.estimatedHp = null; // Last reported HP, adjusted by the damage and healing received since
+    this.healTargets = new Map(); // Healing done by target UID
     this.profession = "Unknown";
     this.skillUsage = new Map();
-    this.targetDamage = new Map();
+    this.skillCasts = new Map(); // Casts by skill ID (local player only)
+    this.buffs = new Map(); // Buffs carried by this player, by buff ID
+    this.appliedBuffs = new Map(); // Buffs this player applied to any entity, by buff ID
+    this.resources = new Map(); // Class resource time series by resource name
+    this.targetDamage = new Map(); // Damage, effective damage and overkill by target UID
+    this.summonDamage = new Map(); // Damage dealt by summons and pets, by skill ID and summon UID
     this.monsterDetailsCache = new Map(); // Cache for monster lookups
     this.fightPoint = 0;
     this.subProfession = "";
@@ -298,6 +599,8 @@ class UserData {
    * @param {boolean} [isCauseLucky] - Whether it causes lucky
    * @param {number} hpLessenValue - HP reduction amount
    * @param {number} [targetUid] - Target UID (for tracking damage by target)
+   * @param {number|null} [summonUid] - UID of the summon or pet that dealt the damage
+   * @param {boolean} [isKill] - Whether it's the killing blow
    */
   addDamage(
     skillId,
@@ -308,25 +611,51 @@ class UserData {
     isCauseLucky,
     hpLessenValue = 0,
     targetUid = null,
+    summonUid = null,
+    isKill = false,
   ) {
+    // What a killing blow deals beyond the HP it removes is wasted
+    const overkill = isKill ? Math.max(0, damage - hpLessenValue) : 0;
     this.damageStats.addRecord(damage, isCrit, isLucky, hpLessenValue);
+    this.damageStats.addOverkill(overkill);
     if (!this.skillUsage.has(skillId)) {
       this.skillUsage.set(skillId, new StatisticData(this, "damage", element));
     }
     this.skillUsage
       .get(skillId)
       .addRecord(damage, isCrit, isCauseLucky, hpLessenValue);
+    this.skillUsage.get(skillId).addOverkill(overkill);
     this.skillUsage.get(skillId).realtimeWindow.length = 0;
+    this.skillCasts.get(skillId)?.addHit();
 
     // Track damage by target
     if (targetUid !== null) {
       if (!this.targetDamage.has(targetUid)) {
-        this.targetDamage.set(targetUid, 0);
+        this.targetDamage.set(targetUid, {
+          damage: 0,
+          effective: 0,
+          overkill: 0,
+        });
       }
-      this.targetDamage.set(
-        targetUid,
-        this.targetDamage.get(targetUid) + damage,
-      );
+      const target = this.targetDamage.get(targetUid);
+      target.damage += damage;
+      target.effective += hpLessenValue;
+      target.overkill += overkill;
+    }
+
+    // Track damage by summon
+    if (summonUid !== null) {
+      if (!this.summonDamage.has(skillId)) {
+        this.summonDamage.set(skillId, new Map());
+      }
+      const bySummon = this.summonDamage.get(skillId);
+      if (!bySummon.has(summonUid)) {
+        bySummon.set(summonUid, { damage: 0, hits: 0, critHits: 0 });
+      }
+      const entry = bySummon.get(summonUid);
+      entry.damage += damage;
+      entry.hits++;
+      if (isCrit) entry.critHits++;
     }
 
     const subProfession = getSubProfessionBySkillId(skillId);
@@ -342,15 +671,42 @@ class UserData {
    * @param {boolean} isCrit - Whether it's a critical hit
    * @param {boolean} [isLucky] - Whether it's lucky
    * @param {boolean} [isCauseLucky] - Whether it causes lucky
+   * @param {number} [effective] - Part of the healing that restored missing HP
+   * @param {number|null} [targetUid] - Target UID (for tracking healing by target)
    */
-  addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky) {
+  addHealing(
+    skillId,
+    element,
+    healing,
+    isCrit,
+    isLucky,
+    isCauseLucky,
+    effective = healing,
+    targetUid = null,
+  ) {
+    const overheal = healing - effective;
     this.healingStats.addRecord(healing, isCrit, isLucky);
+    this.healingStats.addOverheal(overheal);
+    this.skillCasts.get(skillId)?.addHit();
+
+    // Track healing by target
+    if (targetUid !== null) {
+      if (!this.healTargets.has(targetUid)) {
+        this.healTargets.set(targetUid, { healing: 0, effective: 0, hits: 0 });
+      }
+      const target = this.healTargets.get(targetUid);
+      target.healing += healing;
+      target.effective += effective;
+      target.hits++;
+    }
+
     // Record skill usage
     skillId = skillId + 1000000000;
     if (!this.skillUsage.has(skillId)) {
       this.skillUsage.set(skillId, new StatisticData(this, "healing", element));
     }
     this.skillUsage.get(skillId).addRecord(healing, isCrit, isCauseLucky);
+    this.skillUsage.get(skillId).addOverheal(overheal);
     this.skillUsage.get(skillId).realtimeWindow.length = 0;
 
     const subProfession = getSubProfessionBySkillId(skillId - 1000000000);
@@ -359,13 +715,223 @@ class UserData {
     }
   }
 
+  /** Add a damage hit that missed, was dodged or hit an immune target
+   * @param {number} skillId - Skill ID/Buff ID
+   * @param {string} element - Skill element property
+   * @param {boolean} isImmune - Whether the target was immune
+   */
+  addMiss(skillId, element, isImmune) {
+    this.damageStats.addMiss(isImmune);
+    if (!this.skillUsage.has(skillId)) {
+      this.skillUsage.set(skillId, new StatisticData(this, "damage", element));
+    }
+    this.skillUsage.get(skillId).addMiss(isImmune);
+  }
+
   /** Add damage taken record
    * @param {number} damage - Damage value taken
    * @param {boolean} isDead - Whether it's fatal damage
+   * @param {number|null} [attackerUid] - Attacker UID (top summoner for summons)
+   * @param {boolean} [isAttackerPlayer] - Whether the attacker is a player
+   * @param {number|null} [skillId] - Enemy skill ID/Buff ID
+   * @param {boolean} [isCrit] - Whether it's a critical hit
    * */
-  addTakenDamage(damage, isDead) {
+  addTakenDamage(
+    damage,
+    isDead,
+    attackerUid = null,
+    isAttackerPlayer = false,
+    skillId = null,
+    isCrit = false,
+  ) {
     this.takenDamage += damage;
     if (isDead) this.deadCount++;
+    if (this.estimatedHp !== null) {
+      this.estimatedHp = isDead ? 0 : Math.max(0, this.estimatedHp - damage);
+    }
+
+    const record = (map, key) => {
+      if (!map.has(key)) {
+        map.set(key, { damage: 0, hits: 0, critHits: 0, maxHit: 0, kills: 0 });
+      }
+      const entry = map.get(key);
+      entry.damage += damage;
+      entry.hits++;
+      if (isCrit) entry.critHits++;
+      if (isDead) entry.kills++;
+      entry.maxHit = Math.max(entry.maxHit, damage);
+      return entry;
+    };
+    if (attackerUid !== null) {
+      record(this.takenDamageBySource, attackerUid).isPlayer = isAttackerPlayer;
+    }
+    if (skillId) {
+      record(this.takenDamageBySkill, skillId);
+    }
+  }
+
+  /** Apply healing to the estimated HP
+   * @param {number} healing - Healing value received
+   * @returns {number} - Part of the healing that restored missing HP, all of it while HP is unknown
+   */
+  receiveHealing(healing) {
+    const maxHp = this.attr.max_hp;
+    if (this.estimatedHp === null || !maxHp) return healing;
+
+    const effective = Math.max(0, Math.min(healing, maxHp - this.estimatedHp));
+    this.estimatedHp += effective;
+    return effective;
+  }
+
+  /** Remember damage or healing received, for the recap of a following death
+   * @param {Object} event
+   * @param {number} event.time - Time in milliseconds
+   * @param {"damage"|"heal"} event.type
+   * @param {number} event.sourceUid - Attacker or healer UID, 0 if unknown
+   * @param {boolean} event.isSourcePlayer - Whether the source is a player
+   * @param {number} event.skillId - Skill ID/Buff ID
+   * @param {number} event.value - Damage or healing value
+   * @param {boolean} event.isCrit - Whether it's a critical hit
+   */
+  addRecapEvent(event) {
+    this.recentEvents.push({ ...event, hp: this.attr.hp ?? null });
+    this._pruneRecap(event.time);
+  }
+
+  /** Remember an HP change, for the recap of a following death
+   * @param {number} hp - Current HP
+   * @param {number} now - Current time in milliseconds
+   */
+  addRecapHp(hp, now) {
+    this.recentHp.push({ time: now, hp });
+    this._pruneRecap(now);
+  }
+
+  /** Turn the recent events into a death recap and start over
+   * @param {number} now - Time of death in milliseconds
+   * @returns {Object} - The recap, with events and HP samples oldest first
+   */
+  addDeath(now) {
+    this._pruneRecap(now);
+    const killingBlow = this.recentEvents.findLast(
+      (event) => event.type === "damage",
+    );
+    const death = {
+      time: now,
+      sourceUid: killingBlow?.sourceUid ?? null,
+      isSourcePlayer: killingBlow?.isSourcePlayer ?? false,
+      skillId: killingBlow?.skillId ?? null,
+      maxHp: this.attr.max_hp ?? null,
+      events: this.recentEvents,
+      hp: [...this.recentHp, { time: now, hp: 0 }],
+    };
+    this.deaths.push(death);
+    if (this.deaths.length > MAX_DEATHS) this.deaths.shift();
+    this.recentEvents = [];
+    this.recentHp = [];
+    return death;
+  }
+
+  _pruneRecap(now) {
+    const cutoff = now - DEATH_RECAP_WINDOW;
+    while (
+      this.recentEvents.length > DEATH_RECAP_EVENTS ||
+      (this.recentEvents.length > 0 && this.recentEvents[0].time < cutoff)
+    ) {
+      this.recentEvents.shift();
+    }
+    while (this.recentHp.length > 0 && this.recentHp[0].time < cutoff) {
+      this.recentHp.shift();
+    }
+  }
+
+  /** Add a skill cast
+   * @param {number} skillId - Skill ID
+   */
+  addSkillCast(skillId) {
+    if (!this.skillCasts.has(skillId)) {
+      this.skillCasts.set(skillId, new SkillCastData());
+    }
+    this.skillCasts.get(skillId).addCast();
+  }
+
+  /** Start or refresh a buff instance
+   * @param {number} baseId - Buff ID
+   * @param {string} key - Buff instance key
+   * @param {number} now - Current time in milliseconds
+   * @param {number|null} expiresAt - Time the buff runs out without a removal event
+   * @param {Object} [options]
+   * @param {boolean} [options.applied=false] - Applied by this player rather than carried
+   */
+  addBuff(baseId, key, now, expiresAt, { applied = false } = {}) {
+    const buffs = applied ? this.appliedBuffs : this.buffs;
+    if (!buffs.has(baseId)) {
+      buffs.set(baseId, new BuffUptimeData());
+    }
+    buffs.get(baseId).apply(key, now, expiresAt);
+  }
+
+  /** End a buff instance
+   * @param {number} baseId - Buff ID
+   * @param {string} key - Buff instance key
+   * @param {number} now - Current time in milliseconds
+   * @param {Object} [options]
+   * @param {boolean} [options.applied=false] - Applied by this player rather than carried
+   */
+  removeBuff(baseId, key, now, { applied = false } = {}) {
+    const buffs = applied ? this.appliedBuffs : this.buffs;
+    buffs.get(baseId)?.remove(key, now);
+  }
+
+  /** Get buff uptime statistics
+   * @param {number} duration - Fight duration in milliseconds
+   * @returns {{received: Object, applied: Object}} - Uptime per buff ID, of buffs carried and applied
+   */
+  getBuffSummary(duration) {
+    const now = combatClock.current();
+    const summarize = (buffs) => {
+      const result = {};
+      for (const [baseId, buff] of buffs) {
+        result[baseId] = {
+          displayName: this.skillDb?.getSkillName(baseId) ?? String(baseId),
+          ...buff.getSummary(now, duration),
+        };
+      }
+      return result;
+    };
+    return {
+      received: summarize(this.buffs),
+      applied: summarize(this.appliedBuffs),
+    };
+  }
+
+  /** Record a class resource value
+   * @param {string} resource - Resource name
+   * @param {number} value - Resource value
+   * @param {number} now - Current time in milliseconds
+   */
+  setResource(resource, value, now) {
+    if (!this.resources.has(resource)) {
+      this.resources.set(resource, new ResourceData());
+    }
+    this.resources.get(resource).record(value, now);
+  }
+
+  /** Get class resource statistics
+   * @param {Object} [options]
+   * @param {boolean} [options.samples=false] - Include the time series
+   * @returns {Object|null} - Statistics per resource name, null without resources
+   */
+  getResourceSummary({ samples = false } = {}) {
+    if (this.resources.size === 0) return null;
+
+    const now = combatClock.current();
+    const result = {};
+    for (const [resource, data] of this.resources) {
+      result[resource] = data.getSummary(now);
+      if (samples) result[resource].samples = data.samples;
+    }
+    return result;
   }
 
   updateRealtimeDps() {
@@ -400,11 +966,18 @@ class UserData {
       realtimeDpsMax: this.damageStats.realtimeStats.max,
       totalDps: this.getTotalDps(),
       totalDamage: { ...this.damageStats.stats },
+      effectiveDamage: this.damageStats.stats.hpLessen,
+      overkillDamage: this.damageStats.stats.overkill,
       totalCount: this.getTotalCount(),
+      missCount: this.damageStats.count.miss,
+      immuneCount: this.damageStats.count.immune,
+      missRate: this.damageStats.getMissRate(),
       realtimeHps: this.healingStats.realtimeStats.value,
       realtimeHpsMax: this.healingStats.realtimeStats.max,
       totalHps: this.getTotalHps(),
       totalHealing: { ...this.healingStats.stats },
+      effectiveHealing:
+        this.healingStats.stats.total - this.healingStats.stats.overheal,
       takenDamage: this.takenDamage,
       profession:
         this.profession + (this.subProfession ? `-${this.subProfession}` : ""),
@@ -413,17 +986,40 @@ class UserData {
       hp: this.attr.hp,
       maxHp: this.attr.max_hp,
       deadCount: this.deadCount,
+      castStats: this.getCastSummary(),
       timeSeriesData: this.timeSeriesData,
-      skill_breakdown: this.getSkillSummary(), // Include skill data with displayName
+      // Include skill data with displayName
+      skill_breakdown: this.getSkillSummary(
+        enemyCache,
+        monsterDb,
+        monsterTagDb,
+      ),
       targetDamage: enemyCache
         ? this.getTargetDamageBreakdown(enemyCache, monsterDb, monsterTagDb)
         : [],
     };
   }
 
-  getSkillSummary() {
+  /** Get per-skill statistics
+   * @param {Object} [enemyCache] - Enemy cache from UserDataManager, to name summons
+   * @param {Object} [monsterDb] - Monster database model
+   * @param {Object} [monsterTagDb] - MonsterTag database model
+   * @returns {Object} - Statistics by skill ID
+   */
+  getSkillSummary(enemyCache = null, monsterDb = null, monsterTagDb = null) {
+    const now = combatClock.current();
     const skills = {};
-    for (const [skillId, stat] of this.skillUsage) {
+    const entries = [...this.skillUsage];
+    // Skills that were cast but never hit still show up with their casts
+    for (const skillId of this.skillCasts.keys()) {
+      if (
+        !this.skillUsage.has(skillId) &&
+        !this.skillUsage.has(skillId + 1000000000)
+      ) {
+        entries.push([skillId, new StatisticData(this, "damage")]);
+      }
+    }
+    for (const [skillId, stat] of entries) {
       const total =
         stat.stats.normal +
         stat.stats.critical +
@@ -438,6 +1034,11 @@ class UserData {
       const skillIdKey = skillId % 1000000000;
       const name = this.skillDb?.getSkillName(skillIdKey) ?? String(skillIdKey);
       const elementype = stat.element;
+      // Casts go on one entry of a skill, the damage entry if it has both
+      const cast =
+        skillId === skillIdKey || !this.skillUsage.has(skillIdKey)
+          ? this.skillCasts.get(skillIdKey)
+          : null;
 
       skills[skillId] = {
         displayName: name,
@@ -449,6 +1050,22 @@ class UserData {
         luckyCount: stat.count.lucky,
         critRate: critRate,
         luckyRate: luckyRate,
+        missCount: stat.count.miss,
+        immuneCount: stat.count.immune,
+        missRate: stat.getMissRate(),
+        effectiveDamage: stat.stats.hpLessen,
+        overkill: stat.stats.overkill,
+        overheal: stat.stats.overheal,
+        overhealRate:
+          stat.stats.total > 0 ? stat.stats.overheal / stat.stats.total : 0,
+        castCount: cast?.casts ?? 0,
+        wastedCasts: cast?.getWasted(now) ?? 0,
+        summons: this.getSummonBreakdown(
+          skillId,
+          enemyCache,
+          monsterDb,
+          monsterTagDb,
+        ),
         damageBreakdown: { ...stat.stats },
         countBreakdown: { ...stat.count },
         minMaxBreakdown: {
@@ -474,6 +1091,200 @@ class UserData {
     return skills;
   }
 
+  /** Get effective healing and overheal, in total and by target
+   * @param {Map<number, UserData>} [users] - Users, to name targets
+   * @returns {Object} - Targets sorted by effective healing descending
+   */
+  getHealingSummary(users = null) {
+    const { total, overheal } = this.healingStats.stats;
+    const targets = [];
+    for (const [targetUid, entry] of this.healTargets) {
+      const targetOverheal = entry.healing - entry.effective;
+      targets.push({
+        uid: targetUid,
+        name: users?.get(targetUid)?.name || `Player (${targetUid})`,
+        ...entry,
+        overheal: targetOverheal,
+        overhealRate: entry.healing > 0 ? targetOverheal / entry.healing : 0,
+      });
+    }
+    return {
+      total,
+      effective: total - overheal,
+      overheal,
+      overhealRate: total > 0 ? overheal / total : 0,
+      targets: targets.sort((a, b) => b.effective - a.effective),
+    };
+  }
+
+  /** Get the damage a skill dealt through summons and pets, aggregated by monster ID
+   * @param {number} skillId - Skill ID
+   * @param {Object} [enemyCache] - Enemy cache from UserDataManager
+   * @param {Object} [monsterDb] - Monster database model
+   * @param {Object} [monsterTagDb] - MonsterTag database model
+   * @returns {Array} - Sorted by damage descending, empty if the player dealt all of it
+   */
+  getSummonBreakdown(
+    skillId,
+    enemyCache = null,
+    monsterDb = null,
+    monsterTagDb = null,
+  ) {
+    const summons = new Map();
+    for (const [summonUid, entry] of this.summonDamage.get(skillId) ?? []) {
+      const { key, details } = this.getMonsterDetails(
+        summonUid,
+        enemyCache,
+        monsterDb,
+        monsterTagDb,
+      );
+      // Summons of unknown kind are grouped together rather than per instance
+      const summonKey = details.monsterId ? key : "unknown";
+      const summon = summons.get(summonKey);
+      if (summon) {
+        summon.damage += entry.damage;
+        summon.hits += entry.hits;
+        summon.critHits += entry.critHits;
+        summon.count++;
+      } else {
+        summons.set(summonKey, {
+          summonKey: String(summonKey),
+          monsterId: details.monsterId ?? null,
+          summonName: details.monsterId
+            ? details.monsterName
+            : "Unknown summon",
+          count: 1, // Summon instances that dealt damage
+          ...entry,
+        });
+      }
+    }
+    return Array.from(summons.values()).sort((a, b) => b.damage - a.damage);
+  }
+
+  /** Get skill cast statistics
+   * Only the local player's casts are visible to the sniffer
+   * @returns {Object|null} - Cast totals and per-skill cast/hit counts, or null without casts
+   */
+  getCastSummary() {
+    if (this.skillCasts.size === 0) return null;
+
+    const now = combatClock.current();
+    const total = new SkillCastData();
+    for (const cast of this.skillCasts.values()) {
+      total.casts += cast.casts;
+      total.hits += cast.hits;
+      total.landed += cast.landed;
+      total.wasted += cast.getWasted(now);
+      const [firstCast, lastCast = firstCast] = cast.timeRange;
+      if (!total.timeRange[0] || firstCast < total.timeRange[0]) {
+        total.timeRange[0] = firstCast;
+      }
+      if (!total.timeRange[1] || lastCast > total.timeRange[1]) {
+        total.timeRange[1] = lastCast;
+      }
+    }
+
+    // Rates are over the whole casting period, so skills compare directly
+    const duration = total.timeRange[1] - total.timeRange[0];
+    const perMinute = (casts) =>
+      duration > 0 ? (casts / duration) * 60000 : 0;
+
+    const skills = {};
+    for (const [skillId, cast] of this.skillCasts) {
+      skills[skillId] = {
+        displayName: this.skillDb?.getSkillName(skillId) ?? String(skillId),
+        casts: cast.casts,
+        hits: cast.hits,
+        landed: cast.landed,
+        wasted: cast.getWasted(now),
+        castsPerMinute: perMinute(cast.casts),
+      };
+    }
+
+    return {
+      totalCasts: total.casts,
+      totalHits: total.hits,
+      landedCasts: total.landed,
+      wastedCasts: total.wasted,
+      castsPerMinute: perMinute(total.casts),
+      skills,
+    };
+  }
+
+  /** Get monster name, type and classification, cached per monster database ID
+   * @param {number} uid - Monster UID
+   * @param {Object} enemyCache - Enemy cache from UserDataManager
+   * @param {Object} monsterDb - Monster database model
+   * @param {Object} monsterTagDb - MonsterTag database model
+   * @returns {{key: number|string, details: Object}} - Aggregation key (monster ID, or "unknown_<uid>") and details
+   */
+  getMonsterDetails(uid, enemyCache, monsterDb = null, monsterTagDb = null) {
+    const monsterId = enemyCache?.attrId.get(uid);
+
+    // Use monsterId as key, or fallback to uid for unknown monsters
+    const key = monsterId || `unknown_${uid}`;
+
+    // Check cache first before doing expensive database lookups
+    let monsterDetails = this.monsterDetailsCache.get(key);
+
+    if (!monsterDetails) {
+      // Monster type labels
+      const monsterTypeLabels = {
+        0: "Normal",
+        1: "Dummy",
+        2: "Boss/Elite",
+      };
+
+      // Classification tag IDs
+      const classificationTagIds = [53, 54, 55, 56, 57]; // Normal monster, Elite, Boss, Wild Boss, World Boss
+
+      // Cache miss - fetch monster details from database
+      let monsterName = null;
+      let monsterType = null;
+      let monsterTypeLabel = "Unknown";
+      let classification = null;
+
+      if (monsterId && monsterDb) {
+        const monster = monsterDb.getMonster(monsterId);
+        if (monster) {
+          // Use database name (prefer English, fallback to Chinese)
+          monsterName = monster.name_en || monster.name_cn;
+          monsterType = monster.monster_type;
+          monsterTypeLabel =
+            monsterTypeLabels[monster.monster_type] || "Unknown";
+
+          // Get classification tags if monsterTagDb is available
+          if (monsterTagDb) {
+            const tags = monsterTagDb.getMonsterTags(monsterId);
+            const classificationTag = tags.find((tag) =>
+              classificationTagIds.includes(tag.id),
+            );
+            if (classificationTag) {
+              classification = classificationTag.name;
+            }
+          }
+        }
+      }
+
+      // Fallback to cache name if database lookup failed, then to Unknown
+      if (!monsterName) {
+        monsterName = enemyCache?.name.get(uid) || `Unknown (${uid})`;
+      }
+
+      // Cache the monster details for future calls
+      monsterDetails = {
+        monsterId,
+        monsterName,
+        monsterType,
+        monsterTypeLabel,
+        monsterClassification: classification,
+      };
+      this.monsterDetailsCache.set(key, monsterDetails);
+    }
+
+    return { key, details: monsterDetails };
+  }
+
   /** Get target damage breakdown with monster details
    * @param {Object} enemyCache - Enemy cache from UserDataManager
    * @param {Object} monsterDb - Monster database model
@@ -481,82 +1292,30 @@ class UserData {
    * @returns {Array} Array of target damage records with monster names, types, and classifications
    */
   getTargetDamageBreakdown(enemyCache, monsterDb = null, monsterTagDb = null) {
-    // Monster type labels
-    const monsterTypeLabels = {
-      0: "Normal",
-      1: "Dummy",
-      2: "Boss/Elite",
-    };
-
-    // Classification tag IDs
-    const classificationTagIds = [53, 54, 55, 56, 57]; // Normal monster, Elite, Boss, Wild Boss, World Boss
-
     // Use a Map to aggregate damage by monsterId (database ID)
     const aggregatedMap = new Map();
 
-    for (const [targetUid, damage] of this.targetDamage) {
-      const monsterId = enemyCache?.attrId.get(targetUid);
-
-      // Use monsterId as key, or fallback to targetUid for unknown monsters
-      const key = monsterId || `unknown_${targetUid}`;
+    for (const [targetUid, target] of this.targetDamage) {
+      const { key, details } = this.getMonsterDetails(
+        targetUid,
+        enemyCache,
+        monsterDb,
+        monsterTagDb,
+      );
 
       if (aggregatedMap.has(key)) {
         // Add damage to existing entry
-        aggregatedMap.get(key).totalDamage += damage;
+        const entry = aggregatedMap.get(key);
+        entry.totalDamage += target.damage;
+        entry.effectiveDamage += target.effective;
+        entry.overkill += target.overkill;
       } else {
-        // Check cache first before doing expensive database lookups
-        let monsterDetails = this.monsterDetailsCache.get(key);
-
-        if (!monsterDetails) {
-          // Cache miss - fetch monster details from database
-          let monsterName = null;
-          let monsterType = null;
-          let monsterTypeLabel = "Unknown";
-          let classification = null;
-
-          if (monsterId && monsterDb) {
-            const monster = monsterDb.getMonster(monsterId);
-            if (monster) {
-              // Use database name (prefer English, fallback to Chinese)
-              monsterName = monster.name_en || monster.name_cn;
-              monsterType = monster.monster_type;
-              monsterTypeLabel =
-                monsterTypeLabels[monster.monster_type] || "Unknown";
-
-              // Get classification tags if monsterTagDb is available
-              if (monsterTagDb) {
-                const tags = monsterTagDb.getMonsterTags(monsterId);
-                const classificationTag = tags.find((tag) =>
-                  classificationTagIds.includes(tag.id),
-                );
-                if (classificationTag) {
-                  classification = classificationTag.name;
-                }
-              }
-            }
-          }
-
-          // Fallback to cache name if database lookup failed, then to Unknown
-          if (!monsterName) {
-            monsterName =
-              enemyCache?.name.get(targetUid) || `Unknown (${targetUid})`;
-          }
-
-          // Cache the monster details for future calls
-          monsterDetails = {
-            monsterId,
-            monsterName,
-            monsterType,
-            monsterTypeLabel,
-            monsterClassification: classification,
-          };
-          this.monsterDetailsCache.set(key, monsterDetails);
-        }
-
         // Create new entry with cached or freshly fetched details
         aggregatedMap.set(key, {
-          ...monsterDetails,
-          totalDamage: damage,
+          ...details,
+          totalDamage: target.damage,
+          effectiveDamage: target.effective,
+          overkill: target.overkill,
         });
       }
     }
@@ -569,6 +1328,84 @@ class UserData {
     return breakdown;
   }
 
+  /** Get damage taken by source (monsters aggregated by monster ID) and by enemy skill
+   * @param {Object} enemyCache - Enemy cache from UserDataManager
+   * @param {Object} monsterDb - Monster database model
+   * @param {Object} monsterTagDb - MonsterTag database model
+   * @param {Map<number, UserData>} [users] - Users, to name player attackers
+   * @returns {{bySource: Array, bySkill: Array}} - Both sorted by damage descending
+   */
+  getTakenDamageBreakdown(
+    enemyCache,
+    monsterDb = null,
+    monsterTagDb = null,
+    users = null,
+  ) {
+    const withRates = (entry) => ({
+      ...entry,
+      critRate: entry.hits > 0 ? entry.critHits / entry.hits : 0,
+      damagePercent: this.takenDamage > 0 ? entry.damage / this.takenDamage : 0,
+    });
+
+    const sources = new Map();
+    for (const [attackerUid, entry] of this.takenDamageBySource) {
+      let key;
+      let details;
+      if (entry.isPlayer) {
+        key = `player_${attackerUid}`;
+        details = {
+          monsterId: null,
+          sourceName:
+            users?.get(attackerUid)?.name || `Player (${attackerUid})`,
+          monsterTypeLabel: "Player",
+          monsterClassification: null,
+        };
+      } else {
+        const monster = this.getMonsterDetails(
+          attackerUid,
+          enemyCache,
+          monsterDb,
+          monsterTagDb,
+        );
+        key = monster.key;
+        details = {
+          monsterId: monster.details.monsterId,
+          sourceName: monster.details.monsterName,
+          monsterTypeLabel: monster.details.monsterTypeLabel,
+          monsterClassification: monster.details.monsterClassification,
+        };
+      }
+
+      const source = sources.get(key);
+      if (source) {
+        source.damage += entry.damage;
+        source.hits += entry.hits;
+        source.critHits += entry.critHits;
+        source.kills += entry.kills;
+        source.maxHit = Math.max(source.maxHit, entry.maxHit);
+      } else {
+        sources.set(key, { ...details, ...entry, isPlayer: !!entry.isPlayer });
+      }
+    }
+
+    const bySkill = [];
+    for (const [skillId, entry] of this.takenDamageBySkill) {
+      bySkill.push(
+        withRates({
+          skillId,
+          displayName: this.skillDb?.getSkillName(skillId) ?? String(skillId),
+          ...entry,
+        }),
+      );
+    }
+
+    const byDamage = (a, b) => b.damage - a.damage;
+    return {
+      bySource: Array.from(sources.values(), withRates).sort(byDamage),
+      bySkill: bySkill.sort(byDamage),
+    };
+  }
+
   /** 设置职业
    * @param {string} profession - 职业名称
    * */
@@ -603,6 +1440,10 @@ class UserData {
    * @param {any} value
    */
   setAttrKV(key, value) {
+    if (key === "hp") {
+      if (value !== this.attr.hp) this.addRecapHp(value, combatClock.now());
+      this.estimatedHp = value;
+    }
     this.attr[key] = value;
   }
 
@@ -633,7 +1474,18 @@ class UserData {
     this.damageStats.reset();
     this.healingStats.reset();
     this.takenDamage = 0;
+    this.takenDamageBySource.clear();
+    this.takenDamageBySkill.clear();
+    this.recentEvents = [];
+    this.recentHp = [];
+    this.deaths = [];
     this.skillUsage.clear();
+    this.summonDamage.clear();
+    this.healTargets.clear();
+    this.skillCasts.clear();
+    this.buffs.clear();
+    this.appliedBuffs.clear();
+    this.resources.clear();
     this.fightPoint = 0;
     this.timeSeriesData = [];
     this.lastSnapshotTime = Date.now();
@@ -656,6 +1508,7 @@ class UserDataManager {
 
     this.hpCache = new Map();
     this.startTime = Date.now();
+    this.eventStartTime = null; // Event clock time of the first packet since the last clear
 
     this.logLock = new Lock();
     this.logDirExist = new Set();
@@ -667,14 +1520,31 @@ class UserDataManager {
       attrId: new Map(), // Map shifted UID to database monster ID
     };
 
+    // HP timelines and phases of boss fights
+    this.bossTracker = new BossTracker(globalSettings);
+
+    // Results published by notify modules, emitted under the handler name
+    this.notifyEvents = new EventEmitter();
+
     this.localPlayerUid = null; // Track the current player's UID
 
+    // Local player's team, kept across clears: { teamId, members: [uid] }
+    this.team = null;
+
+    // Active buff instances by "hostUid:buffUuid", kept across clears
+    this.activeBuffs = new Map();
+
+    // Last class resource values by player UID, kept across clears: { resource: value }
+    this.resourceLevels = new Map();
+
     // Scene data tracking
     this.sceneData = {
       mapId: null,
       lineId: null,
       sceneName: "",
     };
+    // Scenes table entry of the current map, by "mapId:sceneName"
+    this.resolvedScene = { key: null, scene: null };
 
     // Temporary session tracking (in-memory before DB save)
     this.temporarySession = {
@@ -688,6 +1558,7 @@ class UserDataManager {
     this.monsterDb = null; // Will be initialized in initialize()
     this.monsterTagDb = null; // Will be initialized in initialize()
     this.tagDb = null; // Will be initialized in initialize()
+    this.sceneDb = null; // Will be initialized in initialize()
     this.skillDb = null; // Will be initialized in initialize()
     this.professionDb = null; // Will be initialized in initialize()
     this.sessionDb = null; // Will be initialized in initialize()
@@ -718,6 +1589,11 @@ class UserDataManager {
     // Initialize monster-tag relationship database
     this.monsterTagDb = new MonsterTagModel(this.logger, this.playerDb.getDB());
     this.monsterTagDb.initialize();
+    this.bossTracker.setDatabases(this.monsterDb, this.monsterTagDb);
+
+    // Initialize scene database
+    this.sceneDb = new SceneModel(this.logger, this.playerDb.getDB());
+    this.sceneDb.initialize();
 
     // Initialize skill database
     this.skillDb = new SkillModel(this.logger, this.playerDb.getDB());
@@ -738,6 +1614,32 @@ class UserDataManager {
     this.logger.info(`Local player UID set to: ${uid}`);
   }
 
+  /** Set the local player's team roster
+   * @param {number|null} teamId - Team ID, null when not in a team
+   * @param {number[]} members - Member UIDs, listed party by party in raids
+   */
+  setTeam(teamId, members) {
+    this.team = teamId ? { teamId, members } : null;
+  }
+
+  /** Roster group of a player
+   * @param {number} uid - Player UID
+   * @returns {string} - "party", "raid" or "other"
+   */
+  getPlayerGroup(uid) {
+    if (uid === this.localPlayerUid) return "party";
+    const members = this.team?.members ?? [];
+    const index = members.indexOf(uid);
+    if (index === -1) return "other";
+    if (members.length <= PARTY_SIZE) return "party";
+
+    const localIndex = members.indexOf(this.localPlayerUid);
+    if (localIndex === -1) return "raid";
+    const sameParty =
+      Math.floor(index / PARTY_SIZE) === Math.floor(localIndex / PARTY_SIZE);
+    return sameParty ? "party" : "raid";
+  }
+
   /** Get or create user
    * @param {number} uid - User ID
    * @returns {UserData} - User data instance
@@ -790,6 +1692,16 @@ class UserDataManager {
         user.setAttrKV("hp", this.hpCache.get(uid));
       }
 
+      // Resources the player had before a clear are held since the clear
+      const levels = this.resourceLevels.get(uid) ?? {};
+      for (const [resource, value] of Object.entries(levels)) {
+        user.setResource(
+          resource,
+          value,
+          this.eventStartTime ?? combatClock.now(),
+        );
+      }
+
       this.users.set(uid, user);
 
       // Fetch from API if name, fight point, or profession is missing (async, non-blocking)
@@ -863,6 +1775,8 @@ class UserDataManager {
    * @param {boolean} [isCauseLucky] - Whether it causes lucky
    * @param {number} hpLessenValue - Actual HP reduction
    * @param {number} targetUid - ID of damage target
+   * @param {number|null} [summonUid] - ID of the summon or pet that dealt the damage
+   * @param {boolean} [isKill] - Whether it's the killing blow
    */
   addDamage(
     uid,
@@ -874,6 +1788,8 @@ class UserDataManager {
     isCauseLucky,
     hpLessenValue = 0,
     targetUid,
+    summonUid = null,
+    isKill = false,
   ) {
     // Auto-start temporary session on first combat data
     if (!this.temporarySession.isActive && !this.globalSettings.isPaused) {
@@ -890,6 +1806,15 @@ class UserDataManager {
       isCauseLucky,
       hpLessenValue,
       targetUid,
+      summonUid,
+      isKill,
+    );
+    this.bossTracker.recordDamage(
+      targetUid,
+      uid,
+      damage,
+      isKill,
+      combatClock.now(),
     );
   }
 
@@ -918,9 +1843,144 @@ class UserDataManager {
       this.startTemporarySession();
     }
 
+    // The target's HP before the heal decides how much of it was effective
+    const target = targetUid ? this.getUser(targetUid) : null;
+    const effective = target ? target.receiveHealing(healing) : healing;
+
     if (uid !== 0) {
       const user = this.getUser(uid);
-      user.addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky);
+      user.addHealing(
+        skillId,
+        element,
+        healing,
+        isCrit,
+        isLucky,
+        isCauseLucky,
+        effective,
+        targetUid || null,
+      );
+    }
+    if (target) {
+      target.addRecapEvent({
+        time: combatClock.now(),
+        type: "heal",
+        sourceUid: uid,
+        isSourcePlayer: uid !== 0,
+        skillId,
+        value: healing,
+        isCrit,
+      });
+    }
+  }
+
+  /** Add a damage hit that missed, was dodged or hit an immune target
+   * @param {number} uid - ID of the attacking player
+   * @param {number} skillId - Skill/Buff ID
+   * @param {string} element - Skill element attribute
+   * @param {boolean} isImmune - Whether the target was immune
+   */
+  addMiss(uid, skillId, element, isImmune) {
+    // Auto-start temporary session on first combat data
+    if (!this.temporarySession.isActive && !this.globalSettings.isPaused) {
+      this.startTemporarySession();
+    }
+
+    const user = this.getUser(uid);
+    user.addMiss(skillId, element, isImmune);
+  }
+
+  /** Add skill cast record
+   * @param {number} uid - ID of the casting (local) player
+   * @param {number} skillId - Skill ID
+   */
+  addSkillCast(uid, skillId) {
+    const user = this.getUser(uid);
+    user.addSkillCast(skillId);
+  }
+
+  /** Add or refresh a buff instance on a player or monster
+   * @param {number} hostUid - ID of the entity carrying the buff
+   * @param {boolean} isHostPlayer - Whether the entity is a player
+   * @param {number} buffUuid - Buff instance ID, unique per host
+   * @param {number} baseId - Buff ID
+   * @param {number} sourceUid - ID of the player who applied the buff, 0 if not a player
+   * @param {number} duration - Buff duration in milliseconds, 0 if it lasts until removed
+   */
+  addBuff(hostUid, isHostPlayer, buffUuid, baseId, sourceUid, duration) {
+    if (!isHostPlayer && !sourceUid) return;
+
+    const now = combatClock.now();
+    const key = `${hostUid}:${buffUuid}`;
+    if (this.activeBuffs.get(key)?.baseId !== baseId) {
+      // Instance ID reused for another buff
+      this.removeBuff(hostUid, buffUuid);
+    }
+    if (this.activeBuffs.size >= MAX_ACTIVE_BUFFS) {
+      this._pruneExpiredBuffs(now);
+    }
+
+    const buff = {
+      hostUid,
+      isHostPlayer,
+      baseId,
+      sourceUid,
+      expiresAt: duration > 0 ? now + duration : null,
+    };
+    this.activeBuffs.set(key, buff);
+    this._startBuff(key, buff, now);
+  }
+
+  /** Remove a buff instance
+   * @param {number} hostUid - ID of the entity carrying the buff
+   * @param {number} buffUuid - Buff instance ID
+   */
+  removeBuff(hostUid, buffUuid) {
+    const key = `${hostUid}:${buffUuid}`;
+    const buff = this.activeBuffs.get(key);
+    if (!buff) return;
+
+    this.activeBuffs.delete(key);
+    const now = combatClock.now();
+    if (buff.isHostPlayer) {
+      this.users.get(buff.hostUid)?.removeBuff(buff.baseId, key, now);
+    }
+    if (buff.sourceUid) {
+      this.users
+        .get(buff.sourceUid)
+        ?.removeBuff(buff.baseId, key, now, { applied: true });
+    }
+  }
+
+  /** Remove all buff instances, e.g. when the entities carrying them are gone */
+  removeAllBuffs() {
+    for (const [key, buff] of this.activeBuffs) {
+      this.removeBuff(buff.hostUid, key.slice(key.indexOf(":") + 1));
+    }
+  }
+
+  _startBuff(key, buff, now) {
+    if (buff.isHostPlayer) {
+      this.getUser(buff.hostUid).addBuff(buff.baseId, key, now, buff.expiresAt);
+    }
+    if (buff.sourceUid) {
+      this.getUser(buff.sourceUid).addBuff(
+        buff.baseId,
+        key,
+        now,
+        buff.expiresAt,
+        { applied: true },
+      );
+    }
+  }
+
+  /** Forget instances that ran out without a removal event
+   * @param {number} now - Current time in milliseconds
+   */
+  _pruneExpiredBuffs(now) {
+    for (const [key, buff] of this.activeBuffs) {
+      if (buff.expiresAt !== null && buff.expiresAt <= now) {
+        this.activeBuffs.delete(key);
+      }
     }
   }
 
@@ -928,10 +1988,71 @@ class UserDataManager {
    * @param {number} uid - ID of user receiving damage
    * @param {number} damage - Damage value received
    * @param {boolean} isDead - Whether it's lethal damage
+   * @param {number|null} [attackerUid] - Attacker UID (top summoner for summons)
+   * @param {boolean} [isAttackerPlayer] - Whether the attacker is a player
+   * @param {number|null} [skillId] - Enemy skill ID/Buff ID
+   * @param {boolean} [isCrit] - Whether it's a critical hit
    * */
-  addTakenDamage(uid, damage, isDead) {
+  addTakenDamage(
+    uid,
+    damage,
+    isDead,
+    attackerUid = null,
+    isAttackerPlayer = false,
+    skillId = null,
+    isCrit = false,
+  ) {
     const user = this.getUser(uid);
-    user.addTakenDamage(damage, isDead);
+    user.addTakenDamage(
+      damage,
+      isDead,
+      attackerUid,
+      isAttackerPlayer,
+      skillId,
+      isCrit,
+    );
+
+    const now = combatClock.now();
+    user.addRecapEvent({
+      time: now,
+      type: "damage",
+      sourceUid: attackerUid ?? 0,
+      isSourcePlayer: isAttackerPlayer,
+      skillId,
+      value: damage,
+      isCrit,
+    });
+    if (isDead) {
+      this._nameDeathRecap(user, user.addDeath(now));
+    }
+  }
+
+  /** Add source and skill names to a death recap while the attackers are still known
+   * @param {UserData} user - Player who died
+   * @param {Object} death - Recap from UserData.addDeath
+   */
+  _nameDeathRecap(user, death) {
+    const sourceName = (sourceUid, isSourcePlayer) => {
+      if (!sourceUid) return null;
+      if (isSourcePlayer) {
+        return this.users.get(sourceUid)?.name || `Player (${sourceUid})`;
+      }
+      return user.getMonsterDetails(
+        sourceUid,
+        this.enemyCache,
+        this.monsterDb,
+        this.monsterTagDb,
+      ).details.monsterName;
+    };
+    const skillName = (skillId) =>
+      skillId ? (this.skillDb?.getSkillName(skillId) ?? String(skillId)) : null;
+
+    death.sourceName = sourceName(death.sourceUid, death.isSourcePlayer);
+    death.skillName = skillName(death.skillId);
+    for (const event of death.events) {
+      event.sourceName = sourceName(event.sourceUid, event.isSourcePlayer);
+      event.skillName = skillName(event.skillId);
+    }
   }
 
   /** Agregar registro de log
@@ -962,6 +2083,59 @@ class UserDataManager {
     this.logLock.release();
   }
 
+  /** Add a fight log line for a damage or healing event
+   * Names are resolved here because the packet processor only knows UIDs
+   * @param {Object} event
+   * @param {string} event.actionType - "DMG" or "HEAL"
+   * @param {string} event.damageSource - Damage source name
+   * @param {number} event.attackerUid - Attacker UID
+   * @param {boolean} event.isAttackerPlayer - Whether the attacker is a player
+   * @param {number} event.targetUid - Target UID
+   * @param {boolean} event.isTargetPlayer - Whether the target is a player
+   * @param {number} event.skillId - Skill/Buff ID
+   * @param {string} event.value - Damage or healing value
+   * @param {string} event.hpLessenValue - Actual HP reduction
+   * @param {string} event.element - Element symbol
+   * @param {string[]} event.extra - Crit/Lucky flags
+   */
+  addCombatLog({
+    actionType,
+    damageSource,
+    attackerUid,
+    isAttackerPlayer,
+    targetUid,
+    isTargetPlayer,
+    skillId,
+    value,
+    hpLessenValue,
+    element,
+    extra,
+  }) {
+    const describe = (uid, isPlayer) => {
+      const name = isPlayer
+        ? this.getUser(uid).name
+        : this.enemyCache.name.get(uid);
+      return `${name || ""}#${uid}(${isPlayer ? "player" : "enemy"})`;
+    };
+    // Resolved even without the fight log: getUser also registers players
+    // that so far were only healed
+    const source = describe(attackerUid, isAttackerPlayer);
+    const target = describe(targetUid, isTargetPlayer);
+
+    this.addLog(
+      [
+        `[${actionType}]`,
+        `DS: ${damageSource}`,
+        `SRC: ${source} TGT: ${target}`,
+        `ID: ${skillId}`,
+        `VAL: ${value}`,
+        `HPLSN: ${hpLessenValue}`,
+        `ELEM: ${element}`,
+        `EXT: ${extra.join("|")}`,
+      ].join(" "),
+    );
+  }
+
   /** Set user profession
    * @param {number} uid - User ID
    * @param {string} profession - Profession name
@@ -1082,7 +2256,21 @@ class UserDataManager {
    */
   setAttrKV(uid, key, value) {
     const user = this.getUser(uid);
-    user.attr[key] = value;
+    user.setAttrKV(key, value);
+  }
+
+  /** Record a class resource value, e.g. energy
+   * @param {number} uid - User ID
+   * @param {string} resource - Resource name
+   * @param {number} value - Resource value
+   */
+  setResource(uid, resource, value) {
+    const user = this.getUser(uid);
+    user.setResource(resource, value, combatClock.now());
+    this.resourceLevels.set(uid, {
+      ...this.resourceLevels.get(uid),
+      [resource]: value,
+    });
   }
 
   /** Set player position
@@ -1106,6 +2294,7 @@ class UserDataManager {
     // Also update global scene data if this is the local player
     if (uid === this.localPlayerUid) {
       this.sceneData.mapId = mapId;
+      this.resolveScene();
     }
   }
 
@@ -1132,6 +2321,34 @@ class UserDataManager {
    */
   setSceneName(sceneName) {
     this.sceneData.sceneName = sceneName;
+    this.resolveScene();
+  }
+
+  /** Look up the local player's scene in the scenes table, by map ID or else by name
+   * Boss encounters that start afterwards are tagged with its zone
+   * @returns {Object|null} Scene entry or null if the scene is unknown
+   */
+  resolveScene() {
+    const mapId =
+      this.sceneData.mapId || this.users.get(this.localPlayerUid)?.mapId;
+    const key = `${mapId ?? ""}:${this.sceneData.sceneName}`;
+    if (this.resolvedScene.key === key) return this.resolvedScene.scene;
+
+    const scene =
+      (mapId && this.sceneDb?.getScene(mapId)) ||
+      this.sceneDb?.getSceneByName(this.sceneData.sceneName) ||
+      null;
+    this.resolvedScene = { key, scene };
+    this.bossTracker.setZone(
+      scene
+        ? {
+            mapId: scene.map_id,
+            name: scene.name_en,
+            contentType: scene.content_type,
+          }
+        : null,
+    );
+    return scene;
   }
 
   /** Get scene data for the local player
@@ -1147,11 +2364,17 @@ class UserDataManager {
       return null;
     }
 
+    const resolved = this.resolveScene();
+
     return {
       scene: {
         map_id: this.sceneData.mapId || localPlayer.mapId,
         name: this.sceneData.sceneName,
         line_id: this.sceneData.lineId || localPlayer.lineId,
+        name_en: resolved?.name_en ?? null,
+        name_cn: resolved?.name_cn ?? (this.sceneData.sceneName || null),
+        content_type: resolved?.content_type ?? null,
+        tile_config: resolved?.tile_config ?? null,
       },
       player: {
         id: this.localPlayerUid,
@@ -1188,8 +2411,8 @@ class UserDataManager {
       ? this.professionDb.getByName(mainClass)
       : null;
 
-    // Calculate combat duration in seconds
-    const combatDuration = (Date.now() - this.startTime) / 1000;
+    // Combat duration in seconds, on the clock buff uptimes are measured on
+    const combatDuration = this.getEventDuration() / 1000;
 
     return {
       uid: user.uid,
@@ -1200,7 +2423,15 @@ class UserDataManager {
         icon: "unknown.png",
         role: "dps",
       },
-      skills: user.getSkillSummary(),
+      skills: user.getSkillSummary(
+        this.enemyCache,
+        this.monsterDb,
+        this.monsterTagDb,
+      ),
+      casts: user.getCastSummary(),
+      buffs: user.getBuffSummary(combatDuration * 1000),
+      resources: user.getResourceSummary(),
+      healing: user.getHealingSummary(this.users),
       targetDamage: user.getTargetDamageBreakdown(
         this.enemyCache,
         this.monsterDb,
@@ -1215,8 +2446,78 @@ class UserDataManager {
     };
   }
 
-  /** Get all user data */
-  getAllUsersData() {
+  /** Get the damage a player took, by source and by enemy skill
+   * @param {number} uid - User ID
+   * @returns {Object|null} - Null for unknown users
+   */
+  getTakenDamageData(uid) {
+    const user = this.users.get(uid);
+    if (!user) return null;
+
+    return {
+      uid: user.uid,
+      name: user.name,
+      takenDamage: user.takenDamage,
+      deadCount: user.deadCount,
+      ...user.getTakenDamageBreakdown(
+        this.enemyCache,
+        this.monsterDb,
+        this.monsterTagDb,
+        this.users,
+      ),
+    };
+  }
+
+  /** Get a player's class resources with their time series
+   * @param {number} uid - User ID
+   * @returns {Object|null} - Null for unknown users
+   */
+  getUserResources(uid) {
+    const user = this.users.get(uid);
+    if (!user) return null;
+
+    return {
+      uid: user.uid,
+      name: user.name,
+      resources: user.getResourceSummary({ samples: true }) ?? {},
+    };
+  }
+
+  /** Get the damage taken of every player that took any, most damage first
+   * @returns {Array}
+   */
+  getAllTakenDamageData() {
+    return Array.from(this.users.values())
+      .filter((user) => user.takenDamage > 0)
+      .sort((a, b) => b.takenDamage - a.takenDamage)
+      .map((user) => this.getTakenDamageData(user.uid));
+  }
+
+  /** Get a player's death recaps
+   * @param {number} uid - User ID
+   * @returns {Array} - Oldest first, empty for unknown users
+   */
+  getUserDeaths(uid) {
+    return this.users.get(uid)?.deaths ?? [];
+  }
+
+  /** Get the death recaps of every player
+   * @returns {Array} - Recaps with the player's UID and name, most recent first
+   */
+  getAllDeaths() {
+    const deaths = [];
+    for (const user of this.users.values()) {
+      for (const death of user.deaths) {
+        deaths.push({ uid: user.uid, name: user.name, ...death });
+      }
+    }
+    return deaths.sort((a, b) => b.time - a.time);
+  }
+
+  /** Get all user data
+   * @param {string[]|null} [groups] - Only include players of these roster groups
+   */
+  getAllUsersData(groups = null) {
     const result = {};
     for (const [uid, user] of this.users.entries()) {
       const isLocal = uid === this.localPlayerUid;
@@ -1226,6 +2527,9 @@ class UserDataManager {
         continue;
       }
 
+      const group = this.getPlayerGroup(uid);
+      if (groups && !groups.includes(group)) continue;
+
       const userData = user.getSummary(
         this.enemyCache,
         this.monsterDb,
@@ -1235,6 +2539,7 @@ class UserDataManager {
       result[uid] = {
         ...userData,
         isLocalPlayer: isLocal, // Flag for current player
+        group,
       };
     }
     return result;
@@ -1313,6 +2618,11 @@ class UserDataManager {
     };
   }
 
+  /** Get boss encounters, ongoing and finished, most recent first */
+  getBossEncounters() {
+    return this.bossTracker.getEncounters(combatClock.current());
+  }
+
   /** Get all enemy cache data */
   getAllEnemiesData() {
     const result = {};
@@ -1331,6 +2641,114 @@ class UserDataManager {
     return result;
   }
 
+  /** Set enemy name
+   * @param {number} uid - Enemy UID
+   * @param {string} name - Name
+   */
+  setEnemyName(uid, name) {
+    this.enemyCache.name.set(uid, name);
+    this.bossTracker.setName(uid, name);
+  }
+
+  /** Set the monster database ID of an enemy, naming it from the database
+   * @param {number} uid - Enemy UID
+   * @param {number} attrId - Monster database ID
+   */
+  setEnemyAttrId(uid, attrId) {
+    this.enemyCache.attrId.set(uid, attrId);
+    const name = this.monsterDb?.getMonsterName(attrId);
+    if (name) {
+      this.logger.info(`Found monster name ${name} for id ${uid}`);
+      this.enemyCache.name.set(uid, name);
+    }
+    this.bossTracker.identify(
+      uid,
+      attrId,
+      name || this.enemyCache.name.get(uid) || null,
+    );
+
+    // Invalidate old "unknown" cache entry if it exists (race condition fix)
+    // This happens when damage was tracked before AttrId packet arrived
+    const unknownKey = `unknown_${uid}`;
+    for (const user of this.users.values()) {
+      if (user.monsterDetailsCache.has(unknownKey)) {
+        user.monsterDetailsCache.delete(unknownKey);
+      }
+    }
+  }
+
+  /** Set enemy HP
+   * @param {number} uid - Enemy UID
+   * @param {number} hp - Current HP
+   */
+  setEnemyHp(uid, hp) {
+    this.enemyCache.hp.set(uid, hp);
+    this.bossTracker.recordHp(
+      uid,
+      hp,
+      this.enemyCache.maxHp.get(uid),
+      combatClock.now(),
+    );
+  }
+
+  /** Set enemy max HP
+   * @param {number} uid - Enemy UID
+   * @param {number} maxHp - Max HP
+   */
+  setEnemyMaxHp(uid, maxHp) {
+    this.enemyCache.maxHp.set(uid, maxHp);
+    const hp = this.enemyCache.hp.get(uid);
+    if (hp !== undefined) {
+      this.bossTracker.recordHp(uid, hp, maxHp, combatClock.now());
+    }
+  }
+
+  /** Time the events that follow by the server time of their packet
+   * @param {number} time - Estimated server time the packet was sent at
+   * @param {number} offset - Difference to the local clock, for realtime windows
+   */
+  setEventTime(time, offset) {
+    combatClock.eventTime = time;
+    combatClock.offset = offset;
+    if (this.eventStartTime === null && time !== null) {
+      this.eventStartTime = time;
+    }
+  }
+
+  /** Time since the first packet after the last clear, on the event clock
+   * Follows the capture during replays and the server clock once it is
+   * synced, like the buff and resource summaries
+   * @returns {number} - Duration in milliseconds
+   */
+  getEventDuration() {
+    if (this.eventStartTime === null) return 0;
+    return Math.max(0, combatClock.current() - this.eventStartTime);
+  }
+
+  /** Emit a result a notify module published
+   * @param {string} name - Notify handler name
+   * @param {*} data - Decoded result
+   */
+  publishNotify(name, data) {
+    this.notifyEvents.emit(name, data);
+  }
+
+  /** React to the game connection moving to another server (login, channel or map change) */
+  onServerChange() {
+    // Bosses of the previous map or channel can no longer be seen dying
+    this.bossTracker.endAll(combatClock.now());
+    this.refreshEnemyCache();
+    this.removeAllBuffs();
+    if (
+      this.globalSettings.autoClearOnChannelChange &&
+      this.lastLogTime !== 0 &&
+      this.users.size !== 0
+    ) {
+      this.clearAll(this.globalSettings);
+      this.logger.info("Channel changed, statistics cleared!");
+    }
+  }
+
   /** Clear enemy cache */
   refreshEnemyCache() {
     this.enemyCache.name.clear();
@@ -1342,6 +2760,16 @@ class UserDataManager {
   clearAll() {
     this.users = new Map();
     this.startTime = Date.now();
+    // Durations and buffs still active restart now on the event clock, or
+    // with the first packet if there was none yet
+    const now = combatClock.current();
+    this.eventStartTime = combatClock.eventTime === null ? null : now;
+    this.bossTracker.clear();
+    // Buffs still active count towards the new fight from now on
+    this._pruneExpiredBuffs(now);
+    for (const [key, buff] of this.activeBuffs) {
+      this._startBuff(key, buff, now);
+    }
     // Clear temporary session when combat data is cleared
     this.clearTemporarySession();
   }
@@ -1435,4 +2863,5 @@ module.exports = {
   UserData,
   UserDataManager,
   Lock,
+  PLAYER_GROUPS,
 };
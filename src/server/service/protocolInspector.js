@@ -0,0 +1,218 @@
+const { decode } = require("../../algo/pb");
+
+const DEFAULT_MAX_MESSAGES = 2000; // Messages kept when the setting is missing
+const MIN_MESSAGES = 100;
+const MAX_MESSAGES = 20000;
+const MAX_DECODE_DEPTH = 8; // Nested messages decoded below this depth are shown as bytes only
+const MESSAGES_PAGE_SIZE = 200; // Messages listed per group request
+
+/**
+ * Opt-in buffer of raw game messages for mapping unknown protocol methods
+ *
+ * The packet processor hands over every decompressed Notify, Call and Return
+ * payload (and the dirty data of SyncContainerDirtyData) while
+ * protocolInspector.enabled is set. The newest messages are kept, oldest
+ * dropped first, and grouped by message type, service and method ID. Payloads
+ * are decoded without a schema when browsed.
+ */
+class ProtocolInspector {
+  /**
+   * @param {Object} globalSettings - Settings, read for protocolInspector
+   */
+  constructor(globalSettings) {
+    this.globalSettings = globalSettings;
+    this.messages = []; // Buffered messages, oldest first
+    this.groups = new Map(); // Totals since the last clear by group key
+    this.nextId = 1;
+  }
+
+  get enabled() {
+    return this.globalSettings?.protocolInspector?.enabled === true;
+  }
+
+  get capacity() {
+    const max = Number(this.globalSettings?.protocolInspector?.maxMessages);
+    if (!Number.isFinite(max)) return DEFAULT_MAX_MESSAGES;
+    return Math.min(MAX_MESSAGES, Math.max(MIN_MESSAGES, Math.floor(max)));
+  }
+
+  /**
+   * Buffer a message, if the inspector is enabled
+   * @param {Object} message
+   * @param {string} message.messageType - "Notify", "Call", "Return" or "DirtyData"
+   * @param {bigint} message.serviceUuid - Service the method belongs to
+   * @param {number} message.methodId - Method ID
+   * @param {string|null} message.methodName - Name the packet processor knows the method by
+   * @param {boolean} message.compressed - Whether the payload arrived zstd compressed
+   * @param {Buffer|Uint8Array} message.payload - Decompressed payload
+   */
+  record({
+    messageType,
+    serviceUuid,
+    methodId,
+    methodName,
+    compressed,
+    payload,
+  }) {
+    if (!this.enabled || !payload) return;
+
+    const service = `0x${serviceUuid.toString(16)}`;
+    const key = `${messageType}:${service}:${methodId}`;
+    const time = Date.now();
+
+    let group = this.groups.get(key);
+    if (!group) {
+      group = {
+        key,
+        messageType,
+        service,
+        methodId,
+        methodName,
+        count: 0,
+        bytes: 0,
+        firstSeen: time,
+        lastSeen: time,
+      };
+      this.groups.set(key, group);
+    }
+    group.count++;
+    group.bytes += payload.length;
+    group.lastSeen = time;
+
+    // Copied so the capture batch the payload points into can be freed
+    this.messages.push({
+      id: this.nextId++,
+      key,
+      time,
+      compressed,
+      payload: Buffer.from(payload),
+    });
+    const excess = this.messages.length - this.capacity;
+    if (excess > 0) this.messages.splice(0, excess);
+  }
+
+  /**
+   * Inspector state and the message groups seen since the last clear
+   * @returns {Object}
+   */
+  getSummary() {
+    const buffered = new Map();
+    for (const message of this.messages) {
+      buffered.set(message.key, (buffered.get(message.key) || 0) + 1);
+    }
+
+    return {
+      enabled: this.enabled,
+      capacity: this.capacity,
+      buffered: this.messages.length,
+      groups: Array.from(this.groups.values(), (group) => ({
+        ...group,
+        buffered: buffered.get(group.key) || 0,
+      })).sort((a, b) => b.lastSeen - a.lastSeen),
+    };
+  }
+
+  /**
+   * Buffered messages of a group, newest first
+   * @param {string} key - Group key
+   * @param {number} [before] - Only list messages with a lower ID, for paging
+   * @returns {Array<{id: number, time: number, size: number, compressed: boolean, preview: string}>}
+   */
+  getMessages(key, before = Infinity) {
+    const result = [];
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      const message = this.messages[i];
+      if (message.key !== key || message.id >= before) continue;
+      result.push({
+        id: message.id,
+        time: message.time,
+        size: message.payload.length,
+        compressed: message.compressed,
+        preview: message.payload.subarray(0, 32).toString("hex"),
+      });
+      if (result.length >= MESSAGES_PAGE_SIZE) break;
+    }
+    return result;
+  }
+
+  /**
+   * A buffered message with its payload as hex and decoded protobuf fields
+   * @param {number} id - Message ID
+   * @returns {Object|null} - Null once the message left the buffer
+   */
+  getMessage(id) {
+    const message = this.messages.find((message) => message.id === id);
+    if (!message) return null;
+
+    return {
+      ...this.groups.get(message.key),
+      id: message.id,
+      time: message.time,
+      size: message.payload.length,
+      compressed: message.compressed,
+      hex: message.payload.toString("hex"),
+      fields: decodeFields(message.payload),
+    };
+  }
+
+  /** Drop all buffered messages and group totals */
+  clear() {
+    this.messages = [];
+    this.groups.clear();
+  }
+}
+
+/**
+ * Decode a payload as a protobuf message without a schema
+ * @param {Buffer} payload
+ * @returns {Array|null} - Fields in wire order, or null if the payload is not a protobuf message
+ */
+function decodeFields(payload) {
+  if (payload.length === 0) return [];
+  let decoded;
+  try {
+    decoded = decode(payload);
+  } catch {
+    return null;
+  }
+  return decoded ? describeFields(decoded, 0) : null;
+}
+
+function describeFields(proto, depth) {
+  const fields = [];
+  // Nested messages keep their fields on the prototype
+  for (const key in proto) {
+    const field = Number(key);
+    if (!Number.isInteger(field)) continue;
+    const values = Array.isArray(proto[key]) ? proto[key] : [proto[key]];
+    for (const value of values) {
+      fields.push({ field, ...describeValue(value, depth) });
+    }
+  }
+  return fields;
+}
+
+function describeValue(value, depth) {
+  if (typeof value === "number") return { type: "number", value };
+  if (typeof value === "bigint") {
+    return { type: "number", value: String(value) };
+  }
+
+  const bytes = Buffer.from(value.toBuffer());
+  const text = bytes.toString("utf8");
+  const described = {
+    type: "bytes",
+    length: bytes.length,
+    hex: bytes.toString("hex"),
+    // Shown as text only when it is printable UTF-8
+    text: /^[^\p{C}\uFFFD]+$/u.test(text) ? text : null,
+  };
+  // Set by decode() when the bytes also parse as a message
+  const nested = Object.getPrototypeOf(value)._raw;
+  if (nested && depth < MAX_DECODE_DEPTH) {
+    described.fields = describeFields(value, depth + 1);
+  }
+  return described;
+}
+
+module.exports = ProtocolInspector;
@@ -0,0 +1,56 @@
+const MAX_SAMPLES = 8; // Most recent time syncs the offset is estimated from
+
+/**
+ * Estimate of the game server's clock from SyncServerTime messages
+ *
+ * Each sync yields the server time minus the capture time it arrived at,
+ * which is the true offset less the network delay. The largest of the recent
+ * samples, the one delayed least, is used as the offset. Until the first sync
+ * the capture time is used as is.
+ */
+class ServerClock {
+  constructor() {
+    this.samples = []; // Offsets of the most recent syncs
+    this.offset = null; // Server clock minus capture clock in milliseconds
+    this.lastSyncAt = null;
+  }
+
+  /**
+   * Add a time sync
+   * @param {number} serverTime - Server time in milliseconds
+   * @param {number} receivedAt - Capture time the message arrived at
+   */
+  sync(serverTime, receivedAt) {
+    this.samples.push(serverTime - receivedAt);
+    if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+    this.offset = Math.max(...this.samples);
+    this.lastSyncAt = receivedAt;
+  }
+
+  /**
+   * @param {number} time - Capture time in milliseconds
+   * @returns {number} - Estimated server time
+   */
+  toServerTime(time) {
+    return time + (this.offset ?? 0);
+  }
+
+  /**
+   * Forget the samples, e.g. after moving to another server
+   * The offset stays in use until the next sync
+   */
+  reset() {
+    this.samples = [];
+  }
+
+  /** Sync state for capture health */
+  getStatus() {
+    return {
+      synced: this.offset !== null,
+      offset: this.offset,
+      lastSyncAt: this.lastSyncAt,
+    };
+  }
+}
+
+module.exports = ServerClock;
@@ -1,69 +1,34 @@
-const cap = require("cap");
-const decoders = cap.decoders;
+// Decoders are plain JS; the native cap binding is only loaded by the live
+// capture source so other sources also work without Npcap/libpcap
+const decoders = require("cap/lib/Decoders");
 const PROTOCOL = decoders.PROTOCOL;
 const Readable = require("stream").Readable;
-const findDefaultNetworkDevice = require("../../algo/netInterfaceUtil");
-const { Lock } = require("./dataManager"); // Import Lock from dataManager
-
-const Cap = cap.Cap;
-
-const NPCAP_INSTALLER_PATH = require("path").join(
-  __dirname,
-  "..",
-  "..",
-  "Dist",
-  "npcap-1.83.exe",
-); // Adjust the path
-const fs = require("fs");
-const { spawn } = require("child_process");
-
-async function checkAndInstallNpcap(logger) {
-  try {
-    const devices = Cap.deviceList();
-    if (
-      !devices ||
-      devices.length === 0 ||
-      devices.every((d) => d.name.includes("Loopback"))
-    ) {
-      throw new Error("Npcap not detected or not functional.");
-    }
-    logger.info("Npcap detected and functional.");
-    return true;
-  } catch (e) {
-    logger.warn(`Npcap not detected or not functional: ${e.message}`);
-    logger.info("Attempting to install Npcap...");
-
-    if (!fs.existsSync(NPCAP_INSTALLER_PATH)) {
-      logger.error(`Npcap installer not found at: ${NPCAP_INSTALLER_PATH}`);
-      logger.info(
-        "Please install Npcap manually from the Dist/ folder and restart the application.",
-      );
-      return false;
-    }
-
-    try {
-      logger.info(
-        "Running Npcap installer. Please follow the on-screen instructions.",
-      );
-      const npcapProcess = spawn(NPCAP_INSTALLER_PATH, [], {
-        detached: true,
-        stdio: "ignore",
-      });
-      npcapProcess.unref();
-
-      logger.info(
-        "Npcap installer launched. Please install Npcap and then restart this application.",
-      );
-      return false;
-    } catch (spawnError) {
-      logger.error(`Error running Npcap installer: ${spawnError.message}`);
-      logger.info(
-        "Please install Npcap manually from the Dist/ folder and restart the application.",
-      );
-      return false;
-    }
-  }
-}
+const Lock = require("../utilities/lock");
+const CaptureRecorder = require("./captureRecorder");
+const TcpStream = require("./tcpStream");
+const CaptureStats = require("./captureStats");
+const ProtocolInspector = require("./protocolInspector");
+const ServerClock = require("./serverClock");
+const StreamQuarantine = require("./streamQuarantine");
+const {
+  CAPTURE_FILTER,
+  describeSourceSwitch,
+  gameServerFilter,
+  parseConnectionKey,
+} = require("./captureSources");
+
+const MAX_PACKET_SIZE = 0x0fffff;
+
+// Message types each side sends, used to find message headers when joining a
+// client stream or recovering from a corrupt length
+const CLIENT_MESSAGE_TYPES = new Set([1, 4, 5]); // Call, Echo, FrameUp
+const SERVER_MESSAGE_TYPES = new Set([2, 3, 4, 6]); // Notify, Return, Echo, FrameDown
+
+const TCP_FIN = 0x01;
+const TCP_SYN = 0x02;
+const TCP_RST = 0x04;
+const TCP_ACK = 0x10;
+const CONNECT_TIMEOUT = 30000; // Keep capture widened this long after a new connection for its game server to be detected
 
 class Sniffer {
   constructor(logger, userDataManager, globalSettings) {
@@ -76,20 +41,36 @@ class Sniffer {
     };
     this.userDataManager = userDataManager;
     this.globalSettings = globalSettings; // Pasar globalSettings al sniffer
-    this.current_server = "";
-    this._data = Buffer.alloc(0);
-    this.tcp_next_seq = -1;
-    this.tcp_cache = new Map();
-    this.tcp_last_time = 0;
+    this.current_server = ""; // Most recently detected game server connection
+    this.connectingAt = null; // Time of the last game reconnect seen while the capture is narrowed
+    this.gameServerPorts = new Set(); // Ports of detected game servers, where reconnects go
+    this.streams = new Map(); // Game server TCP streams by connection key
     this.tcp_lock = new Lock();
     this.fragmentIpCache = new Map();
     this.FRAGMENT_TIMEOUT = 30000;
-    this.waitingGapSince = null; // Timestamp when gap was first detected
-    this.GAP_TIMEOUT = 2000; // 2 seconds timeout for missing packets (like Star Resonance)
-    this.eth_queue = [];
-    this.capInstance = null;
+    this.STREAM_TIMEOUT = 30000; // Drop a game stream after this long without in-order data
+    this.source = null; // Active capture source
+    this.onSourceComplete = null; // Called when a source runs out of frames
+    this.pendingSwitch = null; // Source switch waiting for its source: { source, startedAt, error }
     this.packetProcessor = null;
     this.isPaused = false; // Estado de pausa para el sniffer
+    this.replayTime = null; // Timestamp of the frame being replayed (fast replay only)
+    this.frameTime = null; // Capture timestamp of the frame being processed
+    this.maintenanceInterval = null;
+    this.captureRecorder = new CaptureRecorder(logger, globalSettings);
+    this.captureStats = new CaptureStats();
+    this.protocolInspector = new ProtocolInspector(globalSettings);
+    this.serverClock = new ServerClock();
+    this.quarantine = new StreamQuarantine(logger);
+  }
+
+  /** Current capture time
+   * During fast replay this follows the capture timestamps so gap and fragment
+   * timeouts behave as they did when the traffic was recorded
+   * @returns {number} - Timestamp in milliseconds
+   */
+  now() {
+    return this.replayTime ?? Date.now();
   }
 
   setPaused(paused) {
@@ -97,11 +78,7 @@ class Sniffer {
   }
 
   clearTcpCache() {
-    this._data = Buffer.alloc(0);
-    this.tcp_next_seq = -1;
-    this.tcp_last_time = 0;
-    this.tcp_cache.clear();
-    this.waitingGapSince = null;
+    this.streams.clear();
   }
 
   getTCPPacket(frameBuffer, ethOffset) {
@@ -109,7 +86,7 @@ class Sniffer {
     const ipId = ipPacket.info.id;
     const isFragment = (ipPacket.info.flags & 0x1) !== 0;
     const _key = `${ipId}-${ipPacket.info.srcaddr}-${ipPacket.info.dstaddr}-${ipPacket.info.protocol}`;
-    const now = Date.now();
+    const now = this.now();
 
     if (isFragment || ipPacket.info.fragoffset > 0) {
       if (!this.fragmentIpCache.has(_key)) {
@@ -174,6 +151,7 @@ class Sniffer {
   }
 
   async processEthPacket(frameBuffer) {
+    this.captureStats.recordFrame(frameBuffer.length);
     var ethPacket = decoders.Ethernet(frameBuffer);
 
     if (ethPacket.info.type !== PROTOCOL.ETHERNET.IPV4) return;
@@ -193,9 +171,51 @@ class Sniffer {
     const src_server =
       srcaddr + ":" + srcport + " -> " + dstaddr + ":" + dstport;
 
+    const recordFrame = ({ detection = false, ...stream }) => {
+      if (!this.captureRecorder) return;
+      const frame = this._getRecordableFrame(
+        frameBuffer,
+        ethPacket.offset,
+        ipPacket,
+        tcpBuffer,
+      );
+      this.captureRecorder.record(frame, this.now(), {
+        ...stream,
+        detection: detection
+          ? {
+              tcpOffset: ethPacket.offset + ipPacket.hdrlen,
+              payloadLength: buf.length,
+            }
+          : null,
+      });
+    };
+
     await this.tcp_lock.acquire();
     try {
-      if (this.current_server !== src_server) {
+      if ((tcpPacket.info.flags & (TCP_FIN | TCP_RST)) !== 0) {
+        this._onConnectionClosed(src_server);
+      }
+      if ((tcpPacket.info.flags & (TCP_SYN | TCP_ACK)) === TCP_SYN) {
+        this._onConnectionOpening(src_server, srcaddr, dstport);
+      }
+
+      let gameStream = this.streams.get(src_server);
+      if (
+        !gameStream &&
+        this.streams.has(`${dstaddr}:${dstport} -> ${srcaddr}:${srcport}`) &&
+        this._isClientMessageStart(buf)
+      ) {
+        // Client side of a detected game connection, carrying skill casts
+        gameStream = new TcpStream(
+          src_server,
+          tcpPacket.info.seqno,
+          this.now(),
+          this.logger,
+          { outgoing: true, stats: this.captureStats },
+        );
+        this.streams.set(src_server, gameStream);
+      }
+      if (!gameStream) {
         try {
           if (buf[4] == 0) {
             const data = buf.subarray(10);
@@ -217,19 +237,12 @@ class Sniffer {
                 )
                   break;
                 try {
-                  if (this.current_server !== src_server) {
-                    this.current_server = src_server;
-                    this.clearTcpCache();
-                    this.tcp_next_seq = tcpPacket.info.seqno + buf.length;
-                    this.userDataManager.refreshEnemyCache();
-                    if (
-                      this.globalSettings.autoClearOnChannelChange &&
-                      this.userDataManager.lastLogTime !== 0 &&
-                      this.userDataManager.users.size !== 0
-                    ) {
-                      this.userDataManager.clearAll(this.globalSettings);
-                      this.logger.info("Channel changed, statistics cleared!");
-                    }
+                  if (!this.streams.has(src_server)) {
+                    this._onServerDetected(
+                      src_server,
+                      tcpPacket.info.seqno + buf.length,
+                    );
+                    recordFrame({ detection: true, streamKey: src_server });
                     this.logger.info("Game server detected. Measuring DPS...");
                   }
                 } catch (e) {}
@@ -250,19 +263,12 @@ class Sniffer {
                 signature.subarray(14, 14 + 6),
               ) === 0
             ) {
-              if (this.current_server !== src_server) {
-                this.current_server = src_server;
-                this.clearTcpCache();
-                this.tcp_next_seq = tcpPacket.info.seqno + buf.length;
-                this.userDataManager.refreshEnemyCache();
-                if (
-                  this.globalSettings.autoClearOnChannelChange &&
-                  this.userDataManager.lastLogTime !== 0 &&
-                  this.userDataManager.users.size !== 0
-                ) {
-                  this.userDataManager.clearAll(this.globalSettings);
-                  this.logger.info("Channel changed, statistics cleared!");
-                }
+              if (!this.streams.has(src_server)) {
+                this._onServerDetected(
+                  src_server,
+                  tcpPacket.info.seqno + buf.length,
+                );
+                recordFrame({ detection: true, streamKey: src_server });
                 this.logger.info(
                   "Game server detected by login packet. Measuring DPS...",
                 );
@@ -273,163 +279,418 @@ class Sniffer {
         return;
       }
 
-      if (this.tcp_next_seq === -1) {
-        this.logger.error("Unexpected TCP capture error! tcp_next_seq is -1");
-        if (buf.length > 4 && buf.readUInt32BE() < 0x0fffff) {
-          this.tcp_next_seq = tcpPacket.info.seqno;
-        }
-      }
+      recordFrame({
+        streamKey: src_server,
+        // Recordings are only split on the server stream, which carries the detection frame
+        atBoundary:
+          !gameStream.outgoing && gameStream.isAtBoundary(tcpPacket.info.seqno),
+        nextSeq: gameStream.nextSeq,
+      });
 
-      // Gap detection and forced resync (like Star Resonance DPS)
-      if (this.tcp_next_seq !== -1) {
-        // Calculate sequence difference (handles uint32 wraparound)
-        const seqDiff = (tcpPacket.info.seqno - this.tcp_next_seq) >>> 0;
-
-        // Check if we have a gap (packet arrived ahead of expected sequence)
-        // Use 0x7FFFFFFF (2^31-1) to distinguish forward gap from backward (old/duplicate packets)
-        if (seqDiff > 0 && seqDiff < 0x7FFFFFFF) {
-          // Gap detected - missing packet(s)
-          if (!this.waitingGapSince) {
-            this.waitingGapSince = Date.now();
-            this.logger.warn(
-              `[TCP Gap] Expected seq ${this.tcp_next_seq}, got ${tcpPacket.info.seqno} (gap: ${seqDiff} bytes)`
-            );
-          }
+      gameStream.push(tcpPacket.info.seqno, buf, this.now());
 
-          // Check if we've waited too long for missing packet
-          if (Date.now() - this.waitingGapSince > this.GAP_TIMEOUT) {
-            // Force resync - skip missing packets and continue from current packet
-            this.logger.warn(
-              `[TCP Gap Timeout] Forcing resync to seq ${tcpPacket.info.seqno} (skipping ${seqDiff} bytes)`
-            );
-            this.tcp_cache.clear();
-            this._data = Buffer.alloc(0);
-            this.tcp_next_seq = tcpPacket.info.seqno;
-            this.waitingGapSince = null;
-          }
-        } else if (seqDiff === 0) {
-          // Got the expected packet - clear gap timer
-          if (this.waitingGapSince !== null) {
-            this.logger.info(
-              `[TCP Gap Resolved] Received expected seq ${tcpPacket.info.seqno}`
-            );
-            this.waitingGapSince = null;
-          }
-        }
-        // else: seqDiff < 0 or very large (old/duplicate packet) - will be ignored by cache logic below
-      }
-
-      if (
-        (this.tcp_next_seq - tcpPacket.info.seqno) << 0 <= 0 ||
-        this.tcp_next_seq === -1
-      ) {
-        this.tcp_cache.set(tcpPacket.info.seqno, buf);
-      }
-      while (this.tcp_cache.has(this.tcp_next_seq)) {
-        const seq = this.tcp_next_seq;
-        const cachedTcpData = this.tcp_cache.get(seq);
-        this._data =
-          this._data.length === 0
-            ? cachedTcpData
-            : Buffer.concat([this._data, cachedTcpData]);
-        this.tcp_next_seq = (seq + cachedTcpData.length) >>> 0;
-        this.tcp_cache.delete(seq);
-        this.tcp_last_time = Date.now();
-      }
+      while (gameStream.data.length > 4) {
+        let packetSize = gameStream.data.readUInt32BE();
 
-      while (this._data.length > 4) {
-        let packetSize = this._data.readUInt32BE();
+        // While recovering, only a complete plausible header ends the corrupt stretch
+        const isValid = gameStream.incident
+          ? this._isMessageHeader(gameStream, 0)
+          : packetSize >= 6 && packetSize <= MAX_PACKET_SIZE;
+        if (!isValid) {
+          if (gameStream.incident && gameStream.data.length < 6) break;
+          if (!this._resyncStream(gameStream)) break;
+          continue;
+        }
+        if (gameStream.incident) this._endIncident(gameStream);
 
-        if (this._data.length < packetSize) break;
+        if (gameStream.data.length < packetSize) break;
 
-        if (this._data.length >= packetSize) {
-          const packet = this._data.subarray(0, packetSize);
-          this._data = this._data.subarray(packetSize);
-          if (this.packetProcessor) {
-            this.packetProcessor.processPacket(
-              packet,
-              this.isPaused,
-              this.globalSettings,
-            ); // Pasar isPaused y globalSettings
-          }
-        } else if (packetSize > 0x0fffff) {
-          this.logger.error(
-            `Invalid Length!! ${this._data.length},${packetSize},${this._data.toString("hex")},${this.tcp_next_seq}`,
-          );
-          process.exit(1);
-          break;
-        }
+        const packet = gameStream.data.subarray(0, packetSize);
+        gameStream.data = gameStream.data.subarray(packetSize);
+        this.dispatchPacket(packet);
       }
     } finally {
       this.tcp_lock.release();
     }
   }
 
-  async start(deviceNum, PacketProcessorClass) {
-    const npcapReady = await checkAndInstallNpcap(this.logger);
-    if (!npcapReady) {
-      throw new Error("Npcap is not ready. The application must exit.");
-    }
+  /** Start reassembling a newly detected game server connection
+   * Streams of other servers are kept, so in-flight data of the previous scene
+   * or instance is still decoded until that connection goes quiet
+   * @param {string} src_server - Connection key ("ip:port -> ip:port")
+   * @param {number} nextSeq - TCP sequence number following the detection packet
+   */
+  _onServerDetected(src_server, nextSeq) {
+    this.current_server = src_server;
+    this.connectingAt = null;
+    this.gameServerPorts.add(parseConnectionKey(src_server).srcPort);
+    this.streams.set(
+      src_server,
+      new TcpStream(src_server, nextSeq >>> 0, this.now(), this.logger, {
+        stats: this.captureStats,
+      }),
+    );
+    this.handleServerChange(src_server);
+    this._applyCaptureFilter();
+  }
 
-    const devices = Cap.deviceList();
-
-    let num = deviceNum;
-    if (num === undefined || num === null || num === "auto") {
-      let deviceFound = false;
-      while (!deviceFound) {
-        const device_num = await findDefaultNetworkDevice(devices);
-        if (device_num !== undefined && !isNaN(device_num)) {
-          num = device_num;
-          deviceFound = true;
-        } else {
-          await new Promise((resolve) => setTimeout(resolve, 5000));
-        }
-      }
+  /** Stop treating a connection as the game server once either side closes it
+   * Its streams still decode in-flight data until they expire, but capture is
+   * widened again so the next game server can be detected
+   * @param {string} src_server - Connection key of the closing segment
+   */
+  _onConnectionClosed(src_server) {
+    const [from, to] = src_server.split(" -> ");
+    if (
+      this.current_server !== src_server &&
+      this.current_server !== `${to} -> ${from}`
+    ) {
+      return;
     }
+    this.logger.info(`Game server connection ${this.current_server} closed`);
+    this.current_server = "";
+    this._applyCaptureFilter();
+  }
+
+  /** Widen capture while the game client connects to a game server port, it
+   * may lead to the next game server while the current connection is still open
+   * Other connections of the machine are ignored, widening reopens the capture
+   * device and would keep it wide on a busy machine
+   * @param {string} src_server - Connection key of the SYN
+   * @param {string} srcaddr - Address the SYN came from
+   * @param {number} dstport - Port the SYN goes to
+   */
+  _onConnectionOpening(src_server, srcaddr, dstport) {
+    if (!this.current_server) return;
+    const client = parseConnectionKey(this.current_server).dstAddress;
+    if (srcaddr !== client || !this.gameServerPorts.has(dstport)) return;
+
+    const wasConnecting = this.connectingAt !== null;
+    this.connectingAt = this.now();
+    if (wasConnecting) return;
+    this.logger.debug(
+      `Game client connecting ${src_server}, widening capture to detect a game server`,
+    );
+    this._applyCaptureFilter();
+  }
+
+  /** Narrow the live capture filter to the current game server, or widen it
+   * again while none is known or a new connection may lead to another one
+   */
+  _applyCaptureFilter() {
+    this.source?.setFilter(
+      this.current_server && this.connectingAt === null
+        ? gameServerFilter(this.current_server, this.gameServerPorts)
+        : CAPTURE_FILTER,
+    );
+  }
 
-    if (num === undefined || isNaN(num) || !devices[num]) {
-      this.logger.error(
-        "Could not automatically detect a valid network interface.",
+  /** Whether a plausible game message header starts at an offset of a stream's data
+   * @param {TcpStream} gameStream - Stream
+   * @param {number} offset - Offset into gameStream.data
+   * @returns {boolean}
+   */
+  _isMessageHeader(gameStream, offset) {
+    const data = gameStream.data;
+    if (offset + 6 > data.length) return false;
+    const packetSize = data.readUInt32BE(offset);
+    const types = gameStream.outgoing
+      ? CLIENT_MESSAGE_TYPES
+      : SERVER_MESSAGE_TYPES;
+    return (
+      packetSize >= 6 &&
+      packetSize <= MAX_PACKET_SIZE &&
+      types.has(data.readUInt16BE(offset + 4) & 0x7fff)
+    );
+  }
+
+  /** Drop corrupt bytes at the head of a stream up to the next plausible message header
+   * The dropped bytes are collected into an incident that is counted in the
+   * capture stats and written to the quarantine once the stream recovers
+   * @param {TcpStream} gameStream - Stream whose data starts with an invalid length
+   * @returns {boolean} - Whether a header was found; otherwise more data is needed
+   */
+  _resyncStream(gameStream) {
+    const data = gameStream.data;
+    if (!gameStream.incident) {
+      const packetSize = data.readUInt32BE();
+      this.logger.warn(
+        `Invalid packet length ${packetSize} on ${gameStream.key}, scanning for the next message header`,
       );
-      this.logger.error("Make sure the game is running and try again.");
-      throw new Error("Could not detect a valid network interface.");
+      this.captureStats.recordInvalidLength();
+      gameStream.incident = this.quarantine.createIncident({
+        stream: gameStream.key,
+        seq: (gameStream.nextSeq - data.length) >>> 0,
+        packetSize,
+        detectedAt: this.now(),
+      });
+    }
+
+    let offset = 1;
+    while (
+      offset + 6 <= data.length &&
+      !this._isMessageHeader(gameStream, offset)
+    ) {
+      offset++;
+    }
+    const found = offset + 6 <= data.length;
+    if (!found) {
+      // Keep a possibly partial header for the next segment
+      offset = Math.max(1, data.length - 5);
+    }
+
+    this.quarantine.append(gameStream.incident, data.subarray(0, offset));
+    gameStream.data = data.subarray(offset);
+    return found;
+  }
+
+  /** Finish a corrupt stretch once the stream is back on a message header
+   * @param {TcpStream} gameStream - Recovered stream
+   */
+  _endIncident(gameStream) {
+    const incident = gameStream.incident;
+    gameStream.incident = null;
+    this.captureStats.recordDroppedBytes(incident.bytes);
+    this.logger.warn(
+      `Recovered ${gameStream.key} after dropping ${incident.bytes} corrupt bytes`,
+    );
+    this.quarantine.save(incident, this.now());
+  }
+
+  /** Whether a client segment starts with a game message header
+   * Client streams have no detection packet, so they are joined at the first
+   * segment that looks like the start of a message
+   * @param {Buffer} buf - TCP payload
+   * @returns {boolean}
+   */
+  _isClientMessageStart(buf) {
+    if (buf.length < 6) return false;
+    const packetSize = buf.readUInt32BE();
+    return (
+      packetSize >= 6 &&
+      packetSize <= MAX_PACKET_SIZE &&
+      CLIENT_MESSAGE_TYPES.has(buf.readUInt16BE(4) & 0x7fff)
+    );
+  }
+
+  /** Hand a reassembled game packet to the packet processor
+   * @param {Buffer} packet - Length-prefixed game packet
+   */
+  dispatchPacket(packet) {
+    this.captureStats.recordPacket(packet.length);
+    if (this.packetProcessor) {
+      this.packetProcessor.processPacket(
+        packet,
+        this.isPaused,
+        this.globalSettings,
+        // Packets completed by a frame arrived when it was captured
+        this.frameTime ?? this.now(),
+      ); // Pasar isPaused y globalSettings
     }
+  }
+
+  /** React to the game connection moving to another server (login, channel or map change)
+   * @param {string} src_server - Connection key ("ip:port -> ip:port")
+   */
+  handleServerChange(src_server) {
+    // The new server may run on another clock
+    this.serverClock.reset();
+    this.userDataManager.onServerChange();
+  }
 
+  /** Create the packet processor that decodes dispatched game packets
+   * @param {Function} PacketProcessorClass - Packet processor class
+   */
+  attachProcessor(PacketProcessorClass) {
     this.packetProcessor = new PacketProcessorClass({
       logger: this.logger,
       userDataManager: this.userDataManager,
+      captureStats: this.captureStats,
+      protocolInspector: this.protocolInspector,
+      serverClock: this.serverClock,
     });
+  }
 
-    const device = devices[num].name;
-    const filter = "ip and tcp";
-    const bufSize = 10 * 1024 * 1024;
-    const buffer = Buffer.alloc(65535);
-    this.capInstance = new Cap();
-    const linkType = this.capInstance.open(device, filter, bufSize, buffer);
-    if (linkType !== "ETHERNET") {
-      this.logger.error(
-        "The device seems to be WRONG! Please check the device! Device type: " +
-          linkType,
-      );
+  /** Hand over the capture files recorded since the last saved session
+   * @param {number} sessionId - Session the files belong to
+   * @returns {string[]} - Capture file paths
+   */
+  linkCaptureFiles(sessionId) {
+    return this.captureRecorder?.linkSession(sessionId) ?? [];
+  }
+
+  /** Protocol inspector state and the message groups it has seen
+   * @returns {Object} - See ProtocolInspector.getSummary
+   */
+  getInspectorSummary() {
+    return this.protocolInspector.getSummary();
+  }
+
+  /** Buffered messages of a protocol inspector group, newest first
+   * @param {string} key - Group key
+   * @param {number} [before] - Only list messages with a lower ID
+   * @returns {Array}
+   */
+  getInspectorMessages(key, before) {
+    return this.protocolInspector.getMessages(key, before);
+  }
+
+  /** A buffered protocol inspector message with its hex and protobuf views
+   * @param {number} id - Message ID
+   * @returns {Object|null}
+   */
+  getInspectorMessage(id) {
+    return this.protocolInspector.getMessage(id);
+  }
+
+  clearInspector() {
+    this.protocolInspector.clear();
+  }
+
+  /** Capture health statistics
+   * @returns {Object} - See CaptureStats.getSnapshot
+   */
+  getCaptureStats() {
+    return {
+      ...this.captureStats.getSnapshot({
+        source: this.source?.name ?? null,
+        queueDepth: this.source?.queueDepth ?? 0,
+        streams: this.streams.size,
+        server: this.current_server || null,
+        filter: this.source?.filter ?? null,
+      }),
+      serverClock: this.serverClock.getStatus(),
+      sourceSwitch: describeSourceSwitch(this.pendingSwitch),
+    };
+  }
+
+  /** Ethernet frame to record for a TCP segment
+   * Segments reassembled from IP fragments are written as a single unfragmented
+   * frame so replays do not depend on the fragment cache
+   * @param {Buffer} frameBuffer - Captured frame (last fragment when reassembled)
+   * @param {number} ethOffset - Offset of the IP header
+   * @param {Object} ipPacket - Decoded IP header of frameBuffer
+   * @param {Buffer} tcpBuffer - Complete TCP segment
+   * @returns {Buffer}
+   */
+  _getRecordableFrame(frameBuffer, ethOffset, ipPacket, tcpBuffer) {
+    const isFragmented =
+      (ipPacket.info.flags & 0x1) !== 0 || ipPacket.info.fragoffset > 0;
+    if (!isFragmented) return frameBuffer;
+
+    const ipHeader = Buffer.from(
+      frameBuffer.subarray(ethOffset, ethOffset + ipPacket.hdrlen),
+    );
+    ipHeader.writeUInt16BE(ipPacket.hdrlen + tcpBuffer.length, 2);
+    ipHeader.writeUInt16BE(0, 6); // Clear flags and fragment offset
+    ipHeader.writeUInt16BE(0, 10);
+    let sum = 0;
+    for (let i = 0; i < ipHeader.length; i += 2) {
+      sum += ipHeader.readUInt16BE(i);
+    }
+    while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16);
+    ipHeader.writeUInt16BE(~sum & 0xffff, 10);
+
+    return Buffer.concat([
+      frameBuffer.subarray(0, ethOffset),
+      ipHeader,
+      tcpBuffer,
+    ]);
+  }
+
+  /** Start decoding frames from a capture source
+   * @param {import("./captureSources").CaptureSource} source - Capture source
+   * @param {Function|null} PacketProcessorClass - Packet processor class, or null when dispatchPacket is overridden
+   * @param {Object} [options]
+   * @param {Function} [options.onComplete] - Called with the source stats if the source runs out of frames
+   */
+  async start(source, PacketProcessorClass, { onComplete = null } = {}) {
+    await source.open();
+    this.source = source;
+    this.onSourceComplete = onComplete;
+    if (!source.recordable) {
+      this.captureRecorder = null;
     }
-    this.capInstance.setMinBytes && this.capInstance.setMinBytes(0);
-    this.capInstance.on("packet", async (nbytes, trunc) => {
-      this.eth_queue.push(Buffer.from(buffer.subarray(0, nbytes)));
-    });
 
+    if (PacketProcessorClass) {
+      this.attachProcessor(PacketProcessorClass);
+    }
+
+    this._startMaintenance();
+    this._consume(source, onComplete);
+  }
+
+  /**
+   * Replace the running capture source, e.g. after another interface was selected
+   * Game streams carry over and expire on their own if they do not continue.
+   * The current source keeps capturing until the new one is open, which for
+   * automatic device detection waits for game traffic; the progress is
+   * reported as sourceSwitch in the capture stats
+   * @param {import("./captureSources").CaptureSource} source - Unopened source
+   */
+  async switchSource(source) {
+    // A switch still waiting for its source is abandoned
+    this.pendingSwitch?.source.close();
+    const pending = { source, startedAt: Date.now(), error: null };
+    this.pendingSwitch = pending;
+    try {
+      await source.open();
+    } catch (e) {
+      if (this.pendingSwitch !== pending) return;
+      pending.error = e.message;
+      throw e;
+    }
+    if (this.pendingSwitch !== pending) {
+      source.close();
+      return;
+    }
+    this.pendingSwitch = null;
+
+    const previous = this.source;
+    this.source = source;
+    previous?.close();
+    this.logger.info(
+      `Switched capture source from ${previous?.name} to ${source.name}`,
+    );
+    this._applyCaptureFilter();
+    this._consume(source, this.onSourceComplete);
+  }
+
+  /** Feed the frames of a source to processEthPacket in the background */
+  _consume(source, onComplete) {
     (async () => {
-      while (true) {
-        if (this.eth_queue.length) {
-          const pkt = this.eth_queue.shift();
-          this.processEthPacket(pkt);
-        } else {
-          await new Promise((r) => setTimeout(r, 1));
+      const startedAt = Date.now();
+      try {
+        for await (const frame of source.frames()) {
+          if (source.usesCaptureClock && frame.timestamp !== null) {
+            this.replayTime = frame.timestamp;
+          }
+          this.frameTime = frame.timestamp;
+          try {
+            await this.processEthPacket(frame.data);
+          } catch (e) {
+            this.logger.debug(`Failed to process frame: ${e.message}`);
+          }
+          this.frameTime = null;
         }
+      } catch (e) {
+        this.logger.error(`Capture source ${source.name} failed: ${e.message}`);
+      } finally {
+        this.replayTime = null;
       }
+
+      // A source that was replaced on purpose did not finish
+      if (this.source !== source) return;
+      onComplete?.({ ...source.stats, elapsed: Date.now() - startedAt });
     })();
+  }
 
-    setInterval(async () => {
-      const now = Date.now();
+  /** Periodically expire IP fragments and stale game streams */
+  _startMaintenance() {
+    if (this.maintenanceInterval) return;
+
+    this.maintenanceInterval = setInterval(async () => {
+      const now = this.now();
       let clearedFragments = 0;
       for (const [key, cacheEntry] of this.fragmentIpCache) {
         if (now - cacheEntry.timestamp > this.FRAGMENT_TIMEOUT) {
@@ -438,21 +699,45 @@ class Sniffer {
         }
       }
       if (clearedFragments > 0) {
+        this.captureStats.recordExpiredFragments(clearedFragments);
         this.logger.debug(
           `Cleared ${clearedFragments} expired IP fragment caches`,
         );
       }
 
+      // No game server came of the new connections, narrow capture again
       if (
-        this.tcp_last_time &&
-        Date.now() - this.tcp_last_time > this.FRAGMENT_TIMEOUT
+        this.connectingAt !== null &&
+        now - this.connectingAt > CONNECT_TIMEOUT
       ) {
-        this.logger.warn(
-          "Cannot capture the next packet! Is the game closed or disconnected? seq: " +
-            this.tcp_next_seq,
-        );
-        this.current_server = "";
-        this.clearTcpCache();
+        this.connectingAt = null;
+        this._applyCaptureFilter();
+      }
+
+      await this.tcp_lock.acquire();
+      try {
+        for (const [key, stream] of this.streams) {
+          if (now - stream.lastTime <= this.STREAM_TIMEOUT) continue;
+
+          this.streams.delete(key);
+          this.captureRecorder?.forgetStream(key);
+          this.captureStats.recordExpiredStream();
+          if (stream.incident) {
+            this.quarantine.save(stream.incident, now);
+          }
+          if (key === this.current_server) {
+            this.logger.warn(
+              "Cannot capture the next packet! Is the game closed or disconnected? seq: " +
+                stream.nextSeq,
+            );
+            this.current_server = "";
+            this._applyCaptureFilter();
+          } else {
+            this.logger.debug(`Game stream ${key} expired`);
+          }
+        }
+      } finally {
+        this.tcp_lock.release();
       }
     }, 10000);
   }
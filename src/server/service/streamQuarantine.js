@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const configPaths = require("../utilities/configPaths");
+
+const MAX_DUMP_BYTES = 1024 * 1024; // Bytes kept per incident
+const MAX_DUMPS = 50; // Incidents written per run, so a broken stream cannot fill the disk
+
+/**
+ * Writes game stream bytes the sniffer had to drop to quarantine files
+ *
+ * Each incident produces a .bin file with the dropped bytes and a .json file
+ * describing where they came from, for later protocol analysis.
+ */
+class StreamQuarantine {
+  constructor(logger) {
+    this.logger = {
+      info: (msg) => logger.info(`[Quarantine] ${msg}`),
+      error: (msg) => logger.error(`[Quarantine] ${msg}`),
+      warn: (msg) => logger.warn(`[Quarantine] ${msg}`),
+      debug: (msg) => logger.debug(`[Quarantine] ${msg}`),
+    };
+    this.dumps = 0;
+  }
+
+  /** Directory quarantine files are written to */
+  get directory() {
+    return path.join(configPaths.getUserDataPath(), "quarantine");
+  }
+
+  /**
+   * Start collecting the bytes of a corrupt stretch of a stream
+   * @param {Object} details - Stream key, sequence number and invalid header
+   * @returns {{details: Object, chunks: Buffer[], kept: number, bytes: number}}
+   */
+  createIncident(details) {
+    return { details, chunks: [], kept: 0, bytes: 0 };
+  }
+
+  /**
+   * Add dropped bytes to an incident
+   * @param {Object} incident - From createIncident
+   * @param {Buffer} bytes - Dropped bytes
+   */
+  append(incident, bytes) {
+    if (incident.kept < MAX_DUMP_BYTES) {
+      const chunk = Buffer.from(
+        bytes.subarray(0, MAX_DUMP_BYTES - incident.kept),
+      );
+      incident.chunks.push(chunk);
+      incident.kept += chunk.length;
+    }
+    incident.bytes += bytes.length;
+  }
+
+  /**
+   * Write an incident to disk in the background
+   * @param {Object} incident - From createIncident
+   * @param {number} timestamp - Time the stream was recovered
+   */
+  save(incident, timestamp) {
+    if (this.dumps >= MAX_DUMPS) return;
+    this.dumps++;
+
+    const directory = this.directory;
+    const baseName = `stream_${timestamp}_${incident.details.seq}`;
+    const meta = {
+      ...incident.details,
+      droppedBytes: incident.bytes,
+      recoveredAt: timestamp,
+    };
+
+    fs.promises
+      .mkdir(directory, { recursive: true })
+      .then(() =>
+        Promise.all([
+          fs.promises.writeFile(
+            path.join(directory, `${baseName}.bin`),
+            Buffer.concat(incident.chunks),
+          ),
+          fs.promises.writeFile(
+            path.join(directory, `${baseName}.json`),
+            JSON.stringify(meta, null, 2),
+            "utf8",
+          ),
+        ]),
+      )
+      .then(() =>
+        this.logger.info(
+          `Saved ${incident.bytes} dropped bytes to ${path.join(directory, baseName)}.bin`,
+        ),
+      )
+      .catch((error) =>
+        this.logger.warn(`Failed to write quarantine file: ${error.message}`),
+      );
+  }
+}
+
+module.exports = StreamQuarantine;
@@ -0,0 +1,111 @@
+const GAP_TIMEOUT = 2000; // 2 seconds timeout for missing packets (like Star Resonance)
+
+/**
+ * Reassembly state of one game-server TCP connection (one direction of a 4-tuple)
+ * Segments are reordered by sequence number and appended to `data`, from which
+ * the sniffer cuts length-prefixed game packets
+ */
+class TcpStream {
+  /**
+   * @param {string} key - Connection key ("ip:port -> ip:port")
+   * @param {number} nextSeq - Sequence number of the first byte still expected
+   * @param {number} now - Current capture time in milliseconds
+   * @param {Object} logger - Logger
+   * @param {Object} [options]
+   * @param {boolean} [options.outgoing=false] - Client-to-server direction
+   * @param {import("./captureStats")} [options.stats] - Receives gap and resync counts
+   */
+  constructor(
+    key,
+    nextSeq,
+    now,
+    logger,
+    { outgoing = false, stats = null } = {},
+  ) {
+    this.key = key;
+    this.outgoing = outgoing;
+    this.stats = stats;
+    this.nextSeq = nextSeq;
+    this.data = Buffer.alloc(0);
+    this.cache = new Map(); // Out-of-order segments by sequence number
+    this.lastTime = now; // Last time in-order data arrived
+    this.waitingGapSince = null; // Timestamp when gap was first detected
+    this.incident = null; // Corrupt bytes being skipped, see Sniffer._resyncStream
+    this.logger = logger;
+  }
+
+  /**
+   * Whether a segment starts exactly at a game packet boundary
+   * @param {number} seqno - Segment sequence number
+   * @returns {boolean}
+   */
+  isAtBoundary(seqno) {
+    return (
+      seqno === this.nextSeq && this.data.length === 0 && this.cache.size === 0
+    );
+  }
+
+  /**
+   * Add a segment and append every byte that is now in order to `data`
+   * @param {number} seqno - Segment sequence number
+   * @param {Buffer} payload - Segment payload
+   * @param {number} now - Current capture time in milliseconds
+   */
+  push(seqno, payload, now) {
+    // Gap detection and forced resync (like Star Resonance DPS)
+    // Calculate sequence difference (handles uint32 wraparound)
+    const seqDiff = (seqno - this.nextSeq) >>> 0;
+
+    // Check if we have a gap (packet arrived ahead of expected sequence)
+    // Use 0x7FFFFFFF (2^31-1) to distinguish forward gap from backward (old/duplicate packets)
+    if (seqDiff > 0 && seqDiff < 0x7fffffff) {
+      // Gap detected - missing packet(s)
+      if (!this.waitingGapSince) {
+        this.waitingGapSince = now;
+        this.stats?.recordTcpGap();
+        this.logger.warn(
+          `[TCP Gap] ${this.key}: expected seq ${this.nextSeq}, got ${seqno} (gap: ${seqDiff} bytes)`,
+        );
+      }
+
+      // Check if we've waited too long for missing packet
+      if (now - this.waitingGapSince > GAP_TIMEOUT) {
+        // Force resync - skip missing packets and continue from current packet
+        this.logger.warn(
+          `[TCP Gap Timeout] ${this.key}: forcing resync to seq ${seqno} (skipping ${seqDiff} bytes)`,
+        );
+        this.stats?.recordForcedResync();
+        this.cache.clear();
+        this.data = Buffer.alloc(0);
+        this.nextSeq = seqno;
+        this.waitingGapSince = null;
+      }
+    } else if (seqDiff === 0) {
+      // Got the expected packet - clear gap timer
+      if (this.waitingGapSince !== null) {
+        this.logger.info(
+          `[TCP Gap Resolved] ${this.key}: received expected seq ${seqno}`,
+        );
+        this.waitingGapSince = null;
+      }
+    }
+    // else: old/duplicate packet - ignored by the check below
+
+    if ((this.nextSeq - seqno) << 0 <= 0) {
+      this.cache.set(seqno, payload);
+    }
+    while (this.cache.has(this.nextSeq)) {
+      const seq = this.nextSeq;
+      const cachedTcpData = this.cache.get(seq);
+      this.data =
+        this.data.length === 0
+          ? cachedTcpData
+          : Buffer.concat([this.data, cachedTcpData]);
+      this.nextSeq = (seq + cachedTcpData.length) >>> 0;
+      this.cache.delete(seq);
+      this.lastTime = now;
+    }
+  }
+}
+
+module.exports = TcpStream;
@@ -0,0 +1,28 @@
+/**
+ * Minimal async mutex
+ * Kept free of other imports so capture-only processes can use it without the database layer
+ */
+class Lock {
+  constructor() {
+    this.queue = [];
+    this.locked = false;
+  }
+
+  async acquire() {
+    if (this.locked) {
+      return new Promise((resolve) => this.queue.push(resolve));
+    }
+    this.locked = true;
+  }
+
+  release() {
+    if (this.queue.length > 0) {
+      const nextResolve = this.queue.shift();
+      nextResolve();
+    } else {
+      this.locked = false;
+    }
+  }
+}
+
+module.exports = Lock;
@@ -14,6 +14,12 @@ const DEFAULT_SETTINGS = {
   guiWindowBounds: null, // { x, y, width, height }
   clickthrough: false, // Allow clicking through the overlay window
   alwaysOnTop: false, // Keep window always on top
+  networkInterface: null, // Capture device name for live capture, null to detect it
+  dpsTableColumns: {
+    effectiveDamage: false, // Damage that removed HP, without shield absorbs and overkill
+    overkill: false, // Damage of killing blows beyond the target's remaining HP
+  },
+  bossPhaseThresholds: [75, 50, 25], // Boss HP percentages at which a new phase starts
   autoSave: {
     enabled: false,
     onClear: false,
@@ -24,6 +30,16 @@ const DEFAULT_SETTINGS = {
     minPlayers: 1,
     minTotalDamage: 100000,
   },
+  captureRecording: {
+    enabled: false, // Write accepted game-server frames to pcapng files
+    rotatePerSession: false, // Start a new file whenever a session is saved
+    maxFileSizeMB: 100, // Start a new file once the current one reaches this size
+    directory: null, // Defaults to <user data>/captures
+  },
+  protocolInspector: {
+    enabled: false, // Buffer raw game messages for the protocol inspector page
+    maxMessages: 2000, // Messages kept, oldest dropped first
+  },
 };
 
 /**
@@ -64,6 +64,10 @@ export interface CombatData {
   dps?: number;
   realtimeDps?: number;
   realtimeDpsMax?: number;
+  /** Damage that removed HP, without shield absorbs and overkill */
+  effectiveDamage?: number;
+  /** Damage of killing blows beyond the target's remaining HP */
+  overkillDamage?: number;
 
   // Healing stats
   totalHealing?: DamageStats;
@@ -74,6 +78,10 @@ export interface CombatData {
 
   // Hit stats
   totalCount?: HitCounts;
+  missCount?: number;
+  immuneCount?: number;
+  /** Share of damage hits that missed, were dodged or hit an immune target */
+  missRate?: number;
   takenDamage?: number;
 
   // Player attributes
@@ -91,9 +99,14 @@ export interface CombatData {
 
   // Metadata
   isLocalPlayer?: boolean;
+  /** Roster group relative to the local player */
+  group?: PlayerGroup;
   timestamp?: number;
 }
 
+/** Party members (including the local player), the rest of a raid, or anyone else nearby */
+export type PlayerGroup = 'party' | 'raid' | 'other';
+
 // ============================================================================
 // Enemy Data Types
 // ============================================================================
@@ -156,6 +169,145 @@ export interface SheetsConfig {
   sheetName?: string;
 }
 
+// ============================================================================
+// Capture Health Types
+// ============================================================================
+
+/** 'failed' means the capture worker exited and packets are no longer decoded */
+export type CaptureHealthStatus = 'ok' | 'degraded' | 'idle' | 'failed';
+
+/** Capture source switch that is still waiting for its source to open */
+export interface CaptureSourceSwitch {
+  source: string;
+  /** 'detecting' waits for game traffic to pick the interface */
+  state: 'opening' | 'detecting' | 'failed';
+  error: string | null;
+  startedAt: number;
+}
+
+export interface CaptureStats {
+  status: CaptureHealthStatus;
+  reasons: string[];
+  source: string | null;
+  server: string | null;
+  /** BPF filter of a live source, narrowed to the game server once it is detected */
+  filter: string | null;
+  streams: number;
+  uptime: number;
+  lastPacketAt: number | null;
+  framesPerSec: number;
+  bytesDecodedPerSec: number;
+  queueDepth: number;
+  totals: {
+    frames: number;
+    bytesCaptured: number;
+    packets: number;
+    bytesDecoded: number;
+    tcpGaps: number;
+    forcedResyncs: number;
+    expiredFragments: number;
+    expiredStreams: number;
+    decodeErrors: number;
+    invalidLengths: number;
+    bytesDropped: number;
+  };
+  /** Game server clock estimated from SyncServerTime, which combat events are timed by */
+  serverClock?: {
+    synced: boolean;
+    /** Server clock minus capture clock in milliseconds */
+    offset: number | null;
+    lastSyncAt: number | null;
+  };
+  /** Pending switch of the capture source, the current source keeps capturing meanwhile */
+  sourceSwitch?: CaptureSourceSwitch | null;
+  /** Exit of a capture worker that was not restarted, set with status 'failed' */
+  worker?: {
+    exitCode: number;
+    exitedAt: number;
+  };
+}
+
+// ============================================================================
+// Scene Types
+// ============================================================================
+
+export type SceneContentType = 'town' | 'field' | 'dungeon' | 'raid';
+
+/** Local player's scene, resolved against the seeded scenes table */
+export interface SceneInfo {
+  map_id: number | null;
+  /** Scene name as sent by the game */
+  name: string;
+  line_id: number | null;
+  /** Null when the scene is not in the scenes table */
+  name_en: string | null;
+  name_cn: string | null;
+  content_type: SceneContentType | null;
+  /** Minimap tiles: file name prefix and [[minY, minX], [maxY, maxX]] bounds */
+  tile_config: { name: string; bounds: [[number, number], [number, number]] } | null;
+}
+
+// ============================================================================
+// Protocol Inspector Types
+// ============================================================================
+
+/** Messages sharing a message type, service and method ID */
+export interface InspectorGroup {
+  key: string;
+  messageType: 'Notify' | 'Call' | 'Return' | 'DirtyData';
+  /** Service ID as hex */
+  service: string;
+  methodId: number;
+  /** Name the packet processor knows the method by, null for unknown methods */
+  methodName: string | null;
+  count: number;
+  bytes: number;
+  firstSeen: number;
+  lastSeen: number;
+  /** Messages of the group still in the buffer */
+  buffered: number;
+}
+
+export interface InspectorSummary {
+  enabled: boolean;
+  capacity: number;
+  buffered: number;
+  groups: InspectorGroup[];
+}
+
+export interface InspectorMessageInfo {
+  id: number;
+  time: number;
+  size: number;
+  compressed: boolean;
+  /** First bytes of the payload as hex */
+  preview: string;
+}
+
+/** Protobuf field decoded without a schema */
+export interface InspectorField {
+  field: number;
+  type: 'number' | 'bytes';
+  /** Numbers too large for a double are strings */
+  value?: number | string;
+  length?: number;
+  hex?: string;
+  /** The bytes as text, when they are printable UTF-8 */
+  text?: string | null;
+  /** The bytes decoded as a nested message, when they parse as one */
+  fields?: InspectorField[];
+}
+
+export interface InspectorMessage extends Omit<InspectorGroup, 'buffered'> {
+  id: number;
+  time: number;
+  size: number;
+  compressed: boolean;
+  hex: string;
+  /** Null when the payload is not a protobuf message */
+  fields: InspectorField[] | null;
+}
+
 // ============================================================================
 // Socket.IO Event Types
 // ============================================================================
@@ -173,6 +325,7 @@ export interface SocketEvents {
   'theme-changed': (data: { theme: 'light' | 'dark' }) => void;
   'pause-state-changed': (data: { paused: boolean }) => void;
   'combat-cleared': () => void;
+  'capture-stats': (response: ApiResponse<CaptureStats>) => void;
 }
 
 // ============================================================================
@@ -212,6 +365,12 @@ export interface HistorySummary {
 
 export type ViewMode = 'advanced' | 'lite';
 export type LiteModeType = 'dps' | 'healer' | 'tank';
+
+/** Optional values shown on advanced DPS bars */
+export interface DPSTableColumns {
+  effectiveDamage?: boolean;
+  overkill?: boolean;
+}
 export type ZoomLevel = number; // 0.5 - 2.0
 export type Theme = 'light' | 'dark';
 
@@ -233,6 +392,7 @@ export type {
   PlayerAttribute,
   SkillAnalysisData,
   SummaryStats,
+  CastSummary,
 } from './skillAnalysis';
 
 // ============================================================================
@@ -246,7 +406,10 @@ export interface SessionPlayer {
   player_name: string;
   profession_id?: number;
   totalDamage: number;
+  effectiveDamage?: number;
+  overkillDamage?: number;
   totalHealing: number;
+  effectiveHealing?: number;
   totalDps: number;
   totalHps: number;
   max_dps: number;
@@ -260,6 +423,39 @@ export interface SessionPlayer {
 
 export type SessionType = 'Parse' | 'Dungeon' | 'Raid' | 'Guild Hunt' | 'Boss Crusade' | 'Open World';
 
+export interface BossPhase {
+  phase: number;
+  fromPercent: number;
+  toPercent: number;
+  startTime: number;
+  endTime: number | null;
+  duration: number;
+  damage: number;
+  dps: number;
+  players: Record<string, number>;
+}
+
+export interface BossEncounter {
+  uid: number;
+  monsterId: number;
+  name: string | null;
+  classification: string;
+  zone: { mapId: number; name: string | null; contentType: string | null } | null;
+  startTime: number;
+  endTime: number | null;
+  killed: boolean;
+  hp: number | null;
+  maxHp: number | null;
+  duration: number;
+  timeToKill: number | null;
+  estimatedTimeToKill: number | null;
+  damage: number;
+  dps: number;
+  players: Record<string, number>;
+  phases: BossPhase[];
+  samples: Array<{ time: number; hp: number }>;
+}
+
 export interface Session {
   id: number;
   session_name?: string;
@@ -280,6 +476,7 @@ export interface Session {
   updated_at: string;
   // Populated when fetching with details
   players?: SessionPlayer[];
+  boss_encounters?: BossEncounter[];
 }
 
 // ============================================================================
@@ -12,6 +12,17 @@ export interface SkillData {
   luckyCount: number;
   critRate: number;
   luckyRate: number;
+  missCount?: number;
+  immuneCount?: number;
+  missRate?: number;
+  effectiveDamage?: number;
+  overkill?: number;
+  overheal?: number;
+  overhealRate?: number;
+  /** Casts of the skill, on its damage entry if it both damages and heals */
+  castCount?: number;
+  wastedCasts?: number;
+  summons?: SummonDamage[];
   countBreakdown: {
     normal: number;
     critical: number;
@@ -32,11 +43,23 @@ export interface SkillData {
   };
 }
 
+export interface SummonDamage {
+  summonKey: string;
+  monsterId: number | null;
+  summonName: string;
+  count: number;
+  damage: number;
+  hits: number;
+  critHits: number;
+}
+
 export interface TargetDamage {
   monsterName: string;
   monsterType: number;
   monsterClassification: string;
   totalDamage: number;
+  effectiveDamage?: number;
+  overkill?: number;
 }
 
 export interface PlayerAttribute {
@@ -45,6 +68,120 @@ export interface PlayerAttribute {
   hits_taken: number;
 }
 
+export interface SkillCastStats {
+  displayName: string;
+  casts: number;
+  hits: number;
+  landed: number;
+  wasted: number;
+  castsPerMinute: number;
+}
+
+export interface CastSummary {
+  totalCasts: number;
+  totalHits: number;
+  landedCasts: number;
+  wastedCasts: number;
+  castsPerMinute: number;
+  skills: Record<string, SkillCastStats>;
+}
+
+export interface BuffStats {
+  displayName: string;
+  applications: number;
+  /** Milliseconds at least one instance was active */
+  uptime: number;
+  /** Share of the fight the buff was active, 0-1 */
+  uptimeRate: number;
+  /** Average number of entities carrying the buff while it was active */
+  avgTargets: number;
+  active: boolean;
+}
+
+export interface BuffSummary {
+  /** Buffs carried by the player */
+  received: Record<string, BuffStats>;
+  /** Buffs and debuffs the player applied to any entity */
+  applied: Record<string, BuffStats>;
+}
+
+/** A class resource (energy, element), whose cap is the highest value seen */
+export interface ResourceStats {
+  current: number;
+  cap: number;
+  min: number;
+  /** Time-weighted average value */
+  average: number;
+  gained: number;
+  spent: number;
+  /** Milliseconds tracked, from the first sample */
+  duration: number;
+  /** Milliseconds spent at the cap */
+  cappedTime: number;
+  /** Share of the tracked time spent at the cap, 0-1 */
+  cappedRate: number;
+  /** Estimated gains lost while capped, at the average gain rate below the cap */
+  wasted: number;
+  /** Value changes, only from /api/resources/:uid */
+  samples?: Array<{ time: number; value: number }>;
+}
+
+export interface ResourceRow extends ResourceStats {
+  resource: string;
+}
+
+export interface TakenDamageEntry {
+  damage: number;
+  hits: number;
+  critHits: number;
+  critRate: number;
+  maxHit: number;
+  /** Hits that killed the player */
+  kills: number;
+  /** Share of the player's damage taken, 0-1 */
+  damagePercent: number;
+}
+
+export interface TakenDamageSource extends TakenDamageEntry {
+  monsterId: number | null;
+  sourceName: string;
+  monsterTypeLabel: string;
+  monsterClassification: string | null;
+  isPlayer: boolean;
+}
+
+export interface TakenDamageSkill extends TakenDamageEntry {
+  skillId: number;
+  displayName: string;
+}
+
+export interface TakenDamageData {
+  uid: number;
+  name: string;
+  takenDamage: number;
+  deadCount: number;
+  bySource: TakenDamageSource[];
+  bySkill: TakenDamageSkill[];
+}
+
+export interface HealTarget {
+  uid: number;
+  name: string;
+  healing: number;
+  effective: number;
+  overheal: number;
+  overhealRate: number;
+  hits: number;
+}
+
+export interface HealingSummary {
+  total: number;
+  effective: number;
+  overheal: number;
+  overhealRate: number;
+  targets: HealTarget[];
+}
+
 export interface SkillAnalysisData {
   uid: string;
   name: string;
@@ -56,6 +193,10 @@ export interface SkillAnalysisData {
     role: string;
   };
   skills: Record<string, SkillData>;
+  casts?: CastSummary | null;
+  buffs?: BuffSummary;
+  resources?: Record<string, ResourceStats> | null;
+  healing?: HealingSummary;
   targetDamage: TargetDamage[];
   attr: PlayerAttribute;
   fightPoint?: number;
@@ -72,10 +213,30 @@ export interface SummaryStats {
   luckyDamage: number;
   critRate: number;
   luckyRate: number;
+  missRate: number;
+  totalMisses: number;
   avgPerHit: number;
   dps: number;
   hitsTaken: number;
   duration: number;
+  totalCasts: number;
+  wastedCasts: number;
+  castsPerMinute: number;
+}
+
+export interface BuffRow extends BuffStats {
+  buffId: string;
+  source: 'received' | 'applied';
+}
+
+export interface SummonRow {
+  summonKey: string;
+  summonName: string;
+  damage: number;
+  hits: number;
+  critRate: number;
+  damagePercent: number;
+  skills: string;
 }
 
 export interface EnrichedSkillData extends SkillData {
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const Module = require("node:module");
+const path = require("node:path");
+const Long = require("long");
+const pbjs = require("protobufjs/minimal");
+
+// blueprotobuf.js is generated from the game's protos and not in the
+// repository. The test passes decoded messages, so packet.js only needs the
+// damage types from it
+const EDamageType = { Normal: 0, Miss: 1, Heal: 2, Immune: 3 };
+const PB_PATH = path.join(__dirname, "../src/algo/blueprotobuf.js");
+require.cache[PB_PATH] = {
+  id: PB_PATH,
+  filename: PB_PATH,
+  loaded: true,
+  exports: { EDamageType },
+};
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  if (request === "./blueprotobuf") return PB_PATH;
+  return resolveFilename.call(this, request, ...args);
+};
+const PacketProcessor = require("../src/algo/packet");
+Module._resolveFilename = resolveFilename;
+const { UserDataManager } = require("../src/server/service/dataManager");
+
+const ATTR_HP = 0x2c2e;
+const ATTR_MAX_HP = 0x2c38;
+const HEALER_UID = 7;
+const TARGET_UID = 2;
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/** Player UUID as sent by the game: UID shifted by 16 bits, entity type 640 */
+const playerUuid = (uid) => Long.fromNumber(uid * 65536 + 640);
+const int32Attr = (id, value) => ({
+  Id: id,
+  RawData: pbjs.Writer.create().int32(value).finish(),
+});
+
+test("heals in a delta are measured against the HP before its update", () => {
+  const userDataManager = new UserDataManager(logger, {});
+  const processor = new PacketProcessor({ logger, userDataManager });
+  userDataManager.setAttrKV(TARGET_UID, "max_hp", 1000);
+  userDataManager.setAttrKV(TARGET_UID, "hp", 500);
+
+  // The server reports the healed HP in the same delta as the heal
+  processor._processAoiSyncDelta({
+    Uuid: playerUuid(TARGET_UID),
+    Attrs: {
+      Attrs: [int32Attr(ATTR_HP, 800), int32Attr(ATTR_MAX_HP, 1000)],
+    },
+    SkillEffects: {
+      Damages: [
+        {
+          OwnerId: 20,
+          AttackerUuid: playerUuid(HEALER_UID),
+          Value: Long.fromNumber(300),
+          Type: EDamageType.Heal,
+          TypeFlag: 0,
+        },
+      ],
+    },
+  });
+
+  const healer = userDataManager.users.get(HEALER_UID).getSummary();
+  assert.strictEqual(healer.totalHealing.total, 300);
+  assert.strictEqual(healer.effectiveHealing, 300);
+  assert.strictEqual(userDataManager.users.get(TARGET_UID).attr.hp, 800);
+});
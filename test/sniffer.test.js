@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const Sniffer = require("../src/server/service/sniffer");
+const {
+  CAPTURE_FILTER,
+  gameServerFilter,
+} = require("../src/server/service/captureSources");
+
+const CLIENT = "10.0.0.2";
+const TCP_SYN = 0x02;
+const TCP_PSH_ACK = 0x18;
+
+// Login packet a game server sends after the client connected
+const LOGIN_SIGNATURE = Buffer.from([
+  0x00, 0x00, 0x00, 0x62, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x11, 0x45,
+  0x14, 0x00, 0x00, 0x00, 0x00, 0x0a, 0x4e, 0x08, 0x01, 0x22, 0x24,
+]);
+const LOGIN = Buffer.concat([
+  LOGIN_SIGNATURE,
+  Buffer.alloc(0x62 - LOGIN_SIGNATURE.length),
+]);
+
+/** Ethernet frame carrying one TCP segment */
+function tcpFrame({ src, dst, seq = 1, flags = TCP_PSH_ACK, payload }) {
+  const [srcAddress, srcPort] = src.split(":");
+  const [dstAddress, dstPort] = dst.split(":");
+  const ethernet = Buffer.alloc(14);
+  ethernet.writeUInt16BE(0x0800, 12);
+  const ip = Buffer.alloc(20);
+  ip[0] = 0x45;
+  ip.writeUInt16BE(20 + 20 + payload.length, 2);
+  ip[8] = 64;
+  ip[9] = 6;
+  ip.set(srcAddress.split(".").map(Number), 12);
+  ip.set(dstAddress.split(".").map(Number), 16);
+  const tcp = Buffer.alloc(20);
+  tcp.writeUInt16BE(Number(srcPort), 0);
+  tcp.writeUInt16BE(Number(dstPort), 2);
+  tcp.writeUInt32BE(seq, 4);
+  tcp[12] = 0x50;
+  tcp[13] = flags;
+  return Buffer.concat([ethernet, ip, tcp, payload]);
+}
+
+function createSniffer() {
+  const logger = { info() {}, warn() {}, error() {}, debug() {} };
+  const sniffer = new Sniffer(logger, { onServerChange() {} }, {});
+  const filters = [];
+  sniffer.source = { setFilter: (filter) => filters.push(filter) };
+  return { sniffer, filters };
+}
+
+test("narrowed capture only sees the game client connect to game server ports", () => {
+  const filter = gameServerFilter(`10.0.0.1:9002 -> ${CLIENT}:50000`, [9003]);
+  assert.match(filter, /host 10\.0\.0\.1 and \(tcp port 9002/);
+  assert.match(
+    filter,
+    /src host 10\.0\.0\.2 and tcp\[tcpflags\] & \(tcp-syn\|tcp-ack\) == tcp-syn and \(dst port 9002 or dst port 9003\)/,
+  );
+});
+
+test("detects a second game server while the first connection is open", async () => {
+  const { sniffer, filters } = createSniffer();
+  const first = `10.0.0.1:9002 -> ${CLIENT}:50000`;
+  const second = `10.0.0.3:9002 -> ${CLIENT}:50002`;
+
+  await sniffer.processEthPacket(
+    tcpFrame({ src: "10.0.0.1:9002", dst: `${CLIENT}:50000`, payload: LOGIN }),
+  );
+  assert.strictEqual(sniffer.current_server, first);
+  assert.strictEqual(filters.at(-1), gameServerFilter(first));
+
+  // Other connections of the machine keep the capture narrowed
+  const filterChanges = filters.length;
+  await sniffer.processEthPacket(
+    tcpFrame({
+      src: `${CLIENT}:50001`,
+      dst: "10.0.0.9:443",
+      flags: TCP_SYN,
+      payload: Buffer.alloc(0),
+    }),
+  );
+  assert.strictEqual(filters.length, filterChanges);
+
+  // The client connects to the next server, the SYN passes the narrowed filter
+  await sniffer.processEthPacket(
+    tcpFrame({
+      src: `${CLIENT}:50002`,
+      dst: "10.0.0.3:9002",
+      flags: TCP_SYN,
+      payload: Buffer.alloc(0),
+    }),
+  );
+  assert.strictEqual(filters.at(-1), CAPTURE_FILTER);
+  assert.strictEqual(sniffer.current_server, first);
+
+  await sniffer.processEthPacket(
+    tcpFrame({ src: "10.0.0.3:9002", dst: `${CLIENT}:50002`, payload: LOGIN }),
+  );
+  assert.strictEqual(sniffer.current_server, second);
+  assert.strictEqual(filters.at(-1), gameServerFilter(second));
+  // The first connection was not closed, its stream keeps decoding in-flight data
+  assert.ok(sniffer.streams.has(first));
+  assert.ok(sniffer.streams.has(second));
+});